@@ -1,25 +1,143 @@
-export const latticeRange = 10;
 export const DEFAULT_SCALE = 32;
 export const INDUCTION_SCALE = 70; // Larger scale for induction zoom
+export const MIN_SCALE = 4;
+export const MAX_SCALE = 160;
+export const EHRHART_MAX_DILATE = 6;
+// Vertices stay within ±COORDINATE_LIMIT on both axes however far the view is
+// panned. That keeps the scanline lattice point counts quick, which grow with
+// height; work that grows with area, such as cutting a polygon into
+// primitive triangles, has a smaller limit of its own (INDUCTION_MAX_TRIANGLES)
+export const COORDINATE_LIMIT = 1000;
+// Most vertices the polygons on one tab may have between them, holes included
+export const MAX_VERTICES = 100;
 export const SHARED_EDGE_COLOR = "#c026d3";
+export const COUNTED_TWICE_COLOR = "#7c3aed";
 
 export const TABS = {
   TRIANGLE: "triangle",
+  POLYGON: "polygon",
+  HOLES: "holes",
+  EHRHART: "ehrhart",
   ADDITIVE: "additive",
   INDUCTION: "induction",
+  REEVE: "reeve",
 };
 
+// Reeve tetrahedra T_r on the 3D tab: heights offered, how many rows the
+// family table shows, and the coordinate range for a custom tetrahedron
+export const REEVE_LIMITS = {
+  minHeight: 1,
+  maxHeight: 12,
+  familySize: 6,
+  maxCoordinate: 12,
+};
+
+// Starting camera for the 3D tab, in radians: turned about the z-axis, then
+// tilted up
+export const DEFAULT_ORBIT = { yaw: -0.6, pitch: 0.35 };
+
+// Whether the additive tab glues P1 and P2 along an edge or lets them overlap
+export const ADDITIVE_MODES = {
+  GLUED: "glued",
+  OVERLAP: "overlap",
+};
+
+// Where Polygon tab vertices may snap to. Off the lattice Pick's hypothesis
+// fails; "free" snaps to hundredths so areas stay exact fractions.
+export const SNAP_MODES = {
+  LATTICE: "lattice",
+  HALF: "half",
+  THIRD: "third",
+  FREE: "free",
+};
+
+export const SNAP_DENOMINATORS = {
+  [SNAP_MODES.LATTICE]: 1,
+  [SNAP_MODES.HALF]: 2,
+  [SNAP_MODES.THIRD]: 3,
+  [SNAP_MODES.FREE]: 100,
+};
+
+// Basis vectors of the lattice the canvas is drawn on. Vertices are always
+// integer combinations of them; the triangular lattice is also the hexagonal one.
+export const LATTICE_PRESETS = {
+  SQUARE: "square",
+  TRIANGULAR: "triangular",
+  CUSTOM: "custom",
+};
+
+export const LATTICE_BASES = {
+  [LATTICE_PRESETS.SQUARE]: [
+    { x: 1, y: 0 },
+    { x: 0, y: 1 },
+  ],
+  [LATTICE_PRESETS.TRIANGULAR]: [
+    { x: 1, y: 0 },
+    { x: 0.5, y: Math.sqrt(3) / 2 },
+  ],
+};
+
+export const GEOMETRY_BACKENDS = {
+  PYTHON: "python",
+  JS: "js",
+};
+
+// Where the induction tab takes the region it decomposes from
+export const INDUCTION_SOURCES = {
+  STAIRCASE: "staircase",
+  TRIANGLE: TABS.TRIANGLE,
+  POLYGON: TABS.POLYGON,
+};
+
+// Most primitive triangles the induction tab cuts a source polygon into; a
+// lattice polygon of area A takes 2A of them. Cutting and gluing grow faster
+// than the area, so larger sources fall back to the staircase.
+export const INDUCTION_MAX_TRIANGLES = 400;
+
 export const initialTriangle = [
   { x: -3, y: -2 },
   { x: 3, y: -2 },
   { x: 0, y: 4 },
 ];
 
+// Non-convex starting shape for the general polygon tab
+export const initialPolygon = [
+  { x: -4, y: -3 },
+  { x: 4, y: -3 },
+  { x: 5, y: 2 },
+  { x: 1, y: 0 },
+  { x: -1, y: 4 },
+  { x: -5, y: 1 },
+];
+
+export const initialHoledPolygon = {
+  outer: [
+    { x: -6, y: -5 },
+    { x: 6, y: -5 },
+    { x: 6, y: 5 },
+    { x: -6, y: 5 },
+  ],
+  holes: [
+    [
+      { x: -3, y: -2 },
+      { x: 0, y: -2 },
+      { x: -2, y: 2 },
+    ],
+  ],
+};
+
+// Two polygons glued along the edge from (-4, -1) to (2, 4)
 export const initialAdditive = [
-  { x: -4, y: -1 },
-  { x: 3, y: -1 },
-  { x: 2, y: 4 },
-  { x: -3, y: 4 },
+  [
+    { x: -4, y: -1 },
+    { x: 3, y: -1 },
+    { x: 2, y: 4 },
+  ],
+  [
+    { x: -4, y: -1 },
+    { x: 2, y: 4 },
+    { x: -3, y: 4 },
+  ],
 ];
 
 // Outer triangle for induction proof - decomposed into base case triangles
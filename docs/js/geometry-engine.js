@@ -0,0 +1,1143 @@
+/**
+ * Pure-JavaScript geometry engine.
+ *
+ * A line-for-line port of py/geometry.py so the app keeps working when Pyodide
+ * is unavailable. Snapshots have exactly the shape produced by the Python
+ * engine after `toJs()`: points are `[x, y]` arrays and areas are plain numbers.
+ */
+
+// Snapshots leave out their point lists above this many lattice points; the
+// counts are always exact
+const MAX_LISTED_POINTS = 20000;
+
+function gcd(a, b) {
+  let x = Math.abs(a);
+  let y = Math.abs(b);
+  while (y) {
+    [x, y] = [y, x % y];
+  }
+  return x;
+}
+
+/**
+ * Convert and validate a list of vertices into integer `[x, y]` pairs.
+ */
+function validatePoints(points) {
+  const pts = points.map((p) => (Array.isArray(p) ? [p[0], p[1]] : [p.x, p.y]).map(Math.trunc));
+  if (pts.length < 3) {
+    throw new Error("At least three points are required to describe a polygon.");
+  }
+  return pts;
+}
+
+function edgeSign(point, start, end) {
+  return (point[0] - end[0]) * (start[1] - end[1]) - (start[0] - end[0]) * (point[1] - end[1]);
+}
+
+function triangleContains(point, vertices) {
+  const [a, b, c] = vertices;
+  const d1 = edgeSign(point, a, b);
+  const d2 = edgeSign(point, b, c);
+  const d3 = edgeSign(point, c, a);
+  const hasNeg = d1 < 0 || d2 < 0 || d3 < 0;
+  const hasPos = d1 > 0 || d2 > 0 || d3 > 0;
+  const onBoundary = d1 === 0 || d2 === 0 || d3 === 0;
+  return !onBoundary && !(hasNeg && hasPos);
+}
+
+function isPointOnEdge(point, start, end) {
+  const cross = (point[0] - start[0]) * (end[1] - start[1]) - (point[1] - start[1]) * (end[0] - start[0]);
+  if (cross !== 0) return false;
+  return (
+    Math.min(start[0], end[0]) <= point[0] &&
+    point[0] <= Math.max(start[0], end[0]) &&
+    Math.min(start[1], end[1]) <= point[1] &&
+    point[1] <= Math.max(start[1], end[1])
+  );
+}
+
+function isPointInPolygon(point, pts) {
+  const [x, y] = point;
+  let inside = false;
+  const n = pts.length;
+  for (let i = 0; i < n; i++) {
+    const start = pts[i];
+    const end = pts[(i + 1) % n];
+    if (isPointOnEdge(point, start, end)) return false;
+    const [x1, y1] = start;
+    const [x2, y2] = end;
+    if (y1 > y !== y2 > y) {
+      // The edge meets the ray's line right of the point, compared without dividing
+      const denom = y2 - y1;
+      if ((x2 - x1) * (y - y1) > (x - x1) * denom === denom > 0) inside = !inside;
+    }
+  }
+  return inside;
+}
+
+function pointInShape(point, pts) {
+  return pts.length === 3 ? triangleContains(point, pts) : isPointInPolygon(point, pts);
+}
+
+function hasVertex(pts, candidate) {
+  return pts.some((p) => p[0] === candidate[0] && p[1] === candidate[1]);
+}
+
+export function getPolygonArea(points) {
+  const pts = validatePoints(points);
+  let area2 = 0;
+  for (let i = 0; i < pts.length; i++) {
+    const [x1, y1] = pts[i];
+    const [x2, y2] = pts[(i + 1) % pts.length];
+    area2 += x1 * y2 - x2 * y1;
+  }
+  return Math.abs(area2) / 2;
+}
+
+export function getBoundaryPoints(points) {
+  const pts = validatePoints(points);
+  let boundary = 0;
+  for (let i = 0; i < pts.length; i++) {
+    const [x1, y1] = pts[i];
+    const [x2, y2] = pts[(i + 1) % pts.length];
+    boundary += gcd(x2 - x1, y2 - y1);
+  }
+  return boundary;
+}
+
+export function collectBoundaryPoints(vertices) {
+  const pts = validatePoints(vertices);
+  const boundary = new Map();
+  for (let i = 0; i < pts.length; i++) {
+    const start = pts[i];
+    const end = pts[(i + 1) % pts.length];
+    const dx = end[0] - start[0];
+    const dy = end[1] - start[1];
+    const steps = gcd(dx, dy);
+    if (steps === 0) {
+      boundary.set(`${start[0]},${start[1]}`, start);
+      continue;
+    }
+    const stepX = dx / steps;
+    const stepY = dy / steps;
+    for (let j = 0; j <= steps; j++) {
+      const p = [start[0] + stepX * j, start[1] + stepY * j];
+      boundary.set(`${p[0]},${p[1]}`, p);
+    }
+  }
+  return Array.from(boundary.values()).sort(([ax, ay], [bx, by]) => (ax === bx ? ay - by : ax - bx));
+}
+
+/**
+ * floor(num / den) for integers with den > 0, corrected so float rounding in
+ * the division cannot move it.
+ */
+function floorDiv(num, den) {
+  let q = Math.floor(num / den);
+  if (q * den > num) q--;
+  else if ((q + 1) * den <= num) q++;
+  return q;
+}
+
+/**
+ * Sort integer ranges `[lo, hi]`, drop empty ones and merge those that
+ * overlap or touch (mirrors `_merge_ranges`).
+ */
+function mergeRanges(ranges) {
+  const merged = [];
+  for (const [lo, hi] of [...ranges].sort((a, b) => a[0] - b[0] || a[1] - b[1])) {
+    if (lo > hi) continue;
+    const last = merged[merged.length - 1];
+    if (last && lo <= last[1] + 1) last[1] = Math.max(last[1], hi);
+    else merged.push([lo, hi]);
+  }
+  return merged;
+}
+
+/**
+ * The integers in both of two merged range lists (mirrors `_intersect_ranges`).
+ */
+function intersectRanges(first, second) {
+  const common = [];
+  let i = 0;
+  let j = 0;
+  while (i < first.length && j < second.length) {
+    const lo = Math.max(first[i][0], second[j][0]);
+    const hi = Math.min(first[i][1], second[j][1]);
+    if (lo <= hi) common.push([lo, hi]);
+    if (first[i][1] < second[j][1]) i++;
+    else j++;
+  }
+  return common;
+}
+
+/**
+ * The integers of merged ranges that are not in any of the merged cuts
+ * (mirrors `_subtract_ranges`).
+ */
+function subtractRanges(ranges, cuts) {
+  const left = [];
+  for (const [start, hi] of ranges) {
+    let lo = start;
+    for (const [cutLo, cutHi] of cuts) {
+      if (cutHi < lo || cutLo > hi) continue;
+      if (cutLo > lo) left.push([lo, cutLo - 1]);
+      lo = cutHi + 1;
+    }
+    if (lo <= hi) left.push([lo, hi]);
+  }
+  return left;
+}
+
+const rangeSize = (ranges) => ranges.reduce((sum, [lo, hi]) => sum + hi - lo + 1, 0);
+
+/**
+ * Walk the lattice rows from the lowest to the highest vertex (mirrors
+ * `_scanline_rows`), returning `[y, closed, inside]` per row: the points of
+ * the row on or in the region, and those strictly inside it, as merged
+ * `[lo, hi]` ranges. The region is what an odd number of the rings enclose,
+ * and vertices are scaled by `denominator`. A crossing at x is kept as
+ * `{whole, rest, den}` with x = whole + rest / den and 0 <= rest < den, so
+ * sorting and rounding stay exact even for scaled rational vertices.
+ */
+function scanlineRows(rings, denominator = 1) {
+  const d = denominator;
+  const edges = rings.flatMap((pts) => pts.map((p, i) => [p, pts[(i + 1) % pts.length]]));
+  const peaks = rings.flatMap((pts) =>
+    pts.filter(
+      (p, i) =>
+        pts[(i + pts.length - 1) % pts.length][1] < p[1] && pts[(i + 1) % pts.length][1] < p[1] && p[0] % d === 0
+    )
+  );
+  const ys = rings.flat().map((p) => p[1]);
+  // First lattice x at or after, and last at or before, a crossing
+  const ceilX = (c) => -floorDiv(-(c.whole + (c.rest > 0 ? 1 : 0)), d);
+  const floorX = (c) => floorDiv(c.whole, d);
+  const rows = [];
+  for (let y = -floorDiv(-Math.min(...ys), d); y <= floorDiv(Math.max(...ys), d); y++) {
+    const row = y * d;
+    const crossings = [];
+    const runs = peaks.filter((p) => p[1] === row).map(([x]) => [x / d, x / d]);
+    for (const [[x1, y1], [x2, y2]] of edges) {
+      if (y1 > row !== y2 > row) {
+        const sign = y2 > y1 ? 1 : -1;
+        const num = sign * (x1 * (y2 - y1) + (x2 - x1) * (row - y1));
+        const den = sign * (y2 - y1);
+        const whole = floorDiv(num, den);
+        crossings.push({ whole, rest: num - whole * den, den });
+      } else if (y1 === row && y2 === row) {
+        runs.push([-floorDiv(-Math.min(x1, x2), d), floorDiv(Math.max(x1, x2), d)]);
+      }
+    }
+    crossings.sort((a, b) => a.whole - b.whole || a.rest * b.den - b.rest * a.den);
+    const merged = mergeRanges(runs);
+    const closed = [...merged];
+    const inside = [];
+    for (let i = 0; i + 1 < crossings.length; i += 2) {
+      closed.push([ceilX(crossings[i]), floorX(crossings[i + 1])]);
+      inside.push([floorX(crossings[i]) + 1, ceilX(crossings[i + 1]) - 1]);
+    }
+    rows.push([y, mergeRanges(closed), subtractRanges(mergeRanges(inside), merged)]);
+  }
+  return rows;
+}
+
+/**
+ * Count the boundary and interior lattice points of a region, keeping its
+ * rows to list them later (mirrors `_scan_region`).
+ */
+function scanRegion(rings, denominator = 1) {
+  const rows = scanlineRows(rings, denominator);
+  const interior = rows.reduce((sum, [, , inside]) => sum + rangeSize(inside), 0);
+  const closed = rows.reduce((sum, [, closedRanges]) => sum + rangeSize(closedRanges), 0);
+  return { boundary: closed - interior, interior, rows };
+}
+
+/**
+ * The boundary and interior points of rows from `scanlineRows`, each sorted
+ * (mirrors `_list_rows`).
+ */
+function listRows(rows) {
+  const boundaryPoints = [];
+  const interiorPoints = [];
+  for (const [y, closed, inside] of rows) {
+    for (const [lo, hi] of subtractRanges(closed, inside)) {
+      for (let x = lo; x <= hi; x++) boundaryPoints.push([x, y]);
+    }
+    for (const [lo, hi] of inside) {
+      for (let x = lo; x <= hi; x++) interiorPoints.push([x, y]);
+    }
+  }
+  return { boundaryPoints: boundaryPoints.sort(byCoordinates), interiorPoints: interiorPoints.sort(byCoordinates) };
+}
+
+export function collectInteriorPoints(vertices) {
+  return listRows(scanRegion([validatePoints(vertices)]).rows).interiorPoints;
+}
+
+export function getInteriorPoints(points) {
+  return scanRegion([validatePoints(points)]).interior;
+}
+
+/**
+ * The original interior count: test every point of the bounding box against
+ * every edge. Kept as the reference for `benchmarkInteriorCounting`.
+ */
+function collectInteriorByRayCasting(vertices) {
+  const pts = validatePoints(vertices);
+  const xs = pts.map((p) => p[0]);
+  const ys = pts.map((p) => p[1]);
+  const n = pts.length;
+  const interior = [];
+  for (let x = Math.min(...xs); x <= Math.max(...xs); x++) {
+    for (let y = Math.min(...ys); y <= Math.max(...ys); y++) {
+      const candidate = [x, y];
+      if (hasVertex(pts, candidate)) continue;
+      let onEdge = false;
+      for (let i = 0; i < n && !onEdge; i++) {
+        onEdge = isPointOnEdge(candidate, pts[i], pts[(i + 1) % n]);
+      }
+      if (onEdge) continue;
+      if (pointInShape(candidate, pts)) interior.push(candidate);
+    }
+  }
+  return interior;
+}
+
+/**
+ * Compute a complete snapshot of polygon statistics (mirrors `compute_snapshot`).
+ * @param {Array<{x: number, y: number}>} vertices
+ * @returns {Object} Polygon snapshot
+ */
+export function computeSnapshot(vertices) {
+  const pts = validatePoints(vertices);
+  const boundary = getBoundaryPoints(pts);
+  const { interior, rows } = scanRegion([pts]);
+  const listed = boundary + interior <= MAX_LISTED_POINTS;
+  const { boundaryPoints, interiorPoints } = listed ? listRows(rows) : { boundaryPoints: [], interiorPoints: [] };
+  return {
+    area: getPolygonArea(pts),
+    boundary,
+    interior,
+    boundary_points: boundaryPoints,
+    interior_points: interiorPoints,
+    points_listed: listed,
+  };
+}
+
+/**
+ * Time the scanline interior count against the original ray casting on the
+ * dilates tP of a polygon (mirrors `benchmark_interior_counting`).
+ * @param {Array<{x: number, y: number}>} vertices
+ * @param {number[]} scales
+ * @param {number} maxRayCastingArea - Bounding box size above which ray casting is skipped
+ * @returns {Array<Object>} One row per scale
+ */
+export function benchmarkInteriorCounting(vertices, scales, maxRayCastingArea) {
+  const pts = validatePoints(vertices);
+  return scales.map((t) => {
+    const dilate = pts.map(([x, y]) => [t * x, t * y]);
+    let start = performance.now();
+    const interior = getInteriorPoints(dilate);
+    const scanlineMs = performance.now() - start;
+
+    const xs = dilate.map((p) => p[0]);
+    const ys = dilate.map((p) => p[1]);
+    const boxArea = (Math.max(...xs) - Math.min(...xs) + 1) * (Math.max(...ys) - Math.min(...ys) + 1);
+    let rayCastingMs = null;
+    let agree = null;
+    if (boxArea <= maxRayCastingArea) {
+      start = performance.now();
+      const reference = collectInteriorByRayCasting(dilate);
+      rayCastingMs = performance.now() - start;
+      agree = JSON.stringify(reference) === JSON.stringify(collectInteriorPoints(dilate));
+    }
+    return {
+      scale: t,
+      area: getPolygonArea(dilate),
+      boundary: getBoundaryPoints(dilate),
+      interior,
+      scanline_ms: scanlineMs,
+      ray_casting_ms: rayCastingMs,
+      agree,
+    };
+  });
+}
+
+/**
+ * Compute a snapshot of a polygon whose vertices need not be lattice points
+ * (mirrors `compute_rational_snapshot`). Vertex i is `numerators[i] / denominator`.
+ * @param {Array<[number, number]>} numerators
+ * @param {number} denominator
+ * @returns {Object} Polygon snapshot plus `area_fraction` and `denominator`
+ */
+export function computeRationalSnapshot(numerators, denominator) {
+  const pts = validatePoints(numerators);
+  const d = Math.trunc(denominator);
+  if (d < 1) throw new Error("The denominator must be a positive integer.");
+  const n = pts.length;
+  let area2 = 0;
+  for (let i = 0; i < n; i++) {
+    const [x1, y1] = pts[i];
+    const [x2, y2] = pts[(i + 1) % n];
+    area2 += x1 * y2 - x2 * y1;
+  }
+  const twiceDen = 2 * d * d;
+  const common = gcd(area2, twiceDen);
+
+  const { boundary, interior, rows } = scanRegion([pts], d);
+  const listed = boundary + interior <= MAX_LISTED_POINTS;
+  const { boundaryPoints, interiorPoints } = listed ? listRows(rows) : { boundaryPoints: [], interiorPoints: [] };
+  return {
+    area: Math.abs(area2) / twiceDen,
+    area_fraction: [Math.abs(area2) / common, twiceDen / common],
+    denominator: d,
+    boundary,
+    interior,
+    boundary_points: boundaryPoints,
+    interior_points: interiorPoints,
+    points_listed: listed,
+  };
+}
+
+/**
+ * Compute a snapshot for a polygon with holes (mirrors `compute_holes_snapshot`).
+ * @param {Array<{x: number, y: number}>} outer
+ * @param {Array<Array<{x: number, y: number}>>} holes
+ * @returns {Object} Polygon snapshot plus `holes`, `euler_characteristic` and `pinches`
+ */
+export function computeHolesSnapshot(outer, holes) {
+  const outerPts = validatePoints(outer);
+  const holePts = holes.map(validatePoints);
+
+  // The holes lie inside the outer ring, so the region is what an odd number of rings enclose
+  const { boundary, interior, rows } = scanRegion([outerPts, ...holePts]);
+  const ringBoundary = getBoundaryPoints(outerPts) + holePts.reduce((sum, hole) => sum + getBoundaryPoints(hole), 0);
+  const listed = boundary + interior <= MAX_LISTED_POINTS;
+  const { boundaryPoints, interiorPoints } = listed ? listRows(rows) : { boundaryPoints: [], interiorPoints: [] };
+
+  return {
+    area: getPolygonArea(outerPts) - holePts.reduce((sum, hole) => sum + getPolygonArea(hole), 0),
+    boundary,
+    interior,
+    boundary_points: boundaryPoints,
+    interior_points: interiorPoints,
+    points_listed: listed,
+    holes: holePts.length,
+    euler_characteristic: 1 - holePts.length,
+    pinches: ringBoundary - boundary,
+  };
+}
+
+/**
+ * Count lattice points in the dilates tP for t = 1..maxDilate and fit the
+ * Ehrhart polynomial (mirrors `compute_ehrhart_data`). Coefficients are
+ * half-integers, so plain number arithmetic is exact here.
+ * @param {Array<{x: number, y: number}>} vertices
+ * @param {number} maxDilate
+ * @returns {Object} dilates, polynomial and reciprocity
+ */
+export function computeEhrhartData(vertices, maxDilate) {
+  const pts = validatePoints(vertices);
+  if (maxDilate < 3) {
+    throw new Error("At least three dilates are needed to fit a quadratic.");
+  }
+
+  const dilates = [];
+  for (let t = 1; t <= maxDilate; t++) {
+    const snapshot = computeSnapshot(pts.map(([x, y]) => [t * x, t * y]));
+    dilates.push({ ...snapshot, t, lattice_points: snapshot.boundary + snapshot.interior });
+  }
+
+  const [l1, l2, l3] = dilates.slice(0, 3).map((d) => d.lattice_points);
+  const c2 = (l3 - 2 * l2 + l1) / 2;
+  const c1 = l2 - l1 - 3 * c2;
+  const c0 = l1 - c1 - c2;
+  const evaluate = (t) => c2 * t * t + c1 * t + c0;
+
+  return {
+    dilates,
+    polynomial: {
+      quadratic: c2,
+      linear: c1,
+      constant: c0,
+      fits_all: dilates.every((d) => evaluate(d.t) === d.lattice_points),
+    },
+    reciprocity: dilates.map((d) => ({ t: d.t, interior: d.interior, l_negative: evaluate(-d.t) })),
+  };
+}
+
+function signedArea2(pts) {
+  let area2 = 0;
+  for (let i = 0; i < pts.length; i++) {
+    const [x1, y1] = pts[i];
+    const [x2, y2] = pts[(i + 1) % pts.length];
+    area2 += x1 * y2 - x2 * y1;
+  }
+  return area2;
+}
+
+function latticeSteps(pts) {
+  const steps = [];
+  for (let i = 0; i < pts.length; i++) {
+    const start = pts[i];
+    const end = pts[(i + 1) % pts.length];
+    const count = gcd(end[0] - start[0], end[1] - start[1]);
+    const stepX = (end[0] - start[0]) / count;
+    const stepY = (end[1] - start[1]) / count;
+    for (let j = 0; j < count; j++) {
+      steps.push([
+        [start[0] + stepX * j, start[1] + stepY * j],
+        [start[0] + stepX * (j + 1), start[1] + stepY * (j + 1)],
+      ]);
+    }
+  }
+  return steps;
+}
+
+function segmentsIntersect(p1, p2, p3, p4) {
+  const o1 = edgeSign(p3, p1, p2);
+  const o2 = edgeSign(p4, p1, p2);
+  const o3 = edgeSign(p1, p3, p4);
+  const o4 = edgeSign(p2, p3, p4);
+  if (o1 === 0 && isPointOnEdge(p3, p1, p2)) return true;
+  if (o2 === 0 && isPointOnEdge(p4, p1, p2)) return true;
+  if (o3 === 0 && isPointOnEdge(p1, p3, p4)) return true;
+  if (o4 === 0 && isPointOnEdge(p2, p3, p4)) return true;
+  return o1 * o2 < 0 && o3 * o4 < 0;
+}
+
+function isSimpleRing(pts) {
+  const n = pts.length;
+  for (let i = 0; i < n; i++) {
+    for (let j = i + 2; j < n; j++) {
+      if (i === 0 && j === n - 1) continue;
+      if (segmentsIntersect(pts[i], pts[(i + 1) % n], pts[j], pts[(j + 1) % n])) return false;
+    }
+  }
+  return true;
+}
+
+const pointKey = ([x, y]) => `${x},${y}`;
+const stepKey = ([start, end]) => `${pointKey(start)}>${pointKey(end)}`;
+
+function mergeSteps(steps) {
+  const runs = [];
+  for (const [start, end] of steps) {
+    const direction = `${end[0] - start[0]},${end[1] - start[1]}`;
+    const last = runs[runs.length - 1];
+    if (last && pointKey(last.end) === pointKey(start) && last.direction === direction) {
+      last.end = end;
+    } else {
+      runs.push({ start, end, direction });
+    }
+  }
+  // The last run may continue into the first one around the ring
+  const [first, last] = [runs[0], runs[runs.length - 1]];
+  if (runs.length > 1 && pointKey(last.end) === pointKey(first.start) && last.direction === first.direction) {
+    first.start = runs.pop().start;
+  }
+  return runs.map(({ start, end }) => [start, end]);
+}
+
+/**
+ * Glue two simple lattice polygons along the boundary they have in common
+ * (mirrors `glue_polygons`). Instead of raising, a configuration that cannot
+ * be glued is reported in `problem`, one of "not-simple", "overlap",
+ * "no-shared-edge" or "not-single-polygon", so callers can use it for
+ * validation.
+ * @param {Array<{x: number, y: number}>} first
+ * @param {Array<{x: number, y: number}>} second
+ * @returns {{ring: Array<Array<number>>|null, shared: Array, problem: string|null}}
+ */
+export function gluePolygons(first, second) {
+  const fail = (problem) => ({ ring: null, shared: [], problem });
+  const rings = [];
+  for (const polygon of [first, second]) {
+    const pts = validatePoints(polygon);
+    if (!isSimpleRing(pts)) return fail("not-simple");
+    rings.push(signedArea2(pts) > 0 ? pts : pts.reverse());
+  }
+  const [firstSteps, secondSteps] = rings.map(latticeSteps);
+
+  const secondSet = new Set(secondSteps.map(stepKey));
+  // Running the same way along a step puts both interiors on the same side
+  if (firstSteps.some((step) => secondSet.has(stepKey(step)))) return fail("overlap");
+  const shared = firstSteps.filter(([start, end]) => secondSet.has(stepKey([end, start])));
+  if (shared.length === 0) return fail("no-shared-edge");
+
+  const sharedSet = new Set(shared.map(stepKey));
+  const reversedShared = new Set(shared.map(([start, end]) => stepKey([end, start])));
+  const remaining = [
+    ...firstSteps.filter((step) => !sharedSet.has(stepKey(step))),
+    ...secondSteps.filter((step) => !reversedShared.has(stepKey(step))),
+  ];
+
+  const successor = new Map();
+  for (const [start, end] of remaining) {
+    if (successor.has(pointKey(start))) return fail("not-single-polygon");
+    successor.set(pointKey(start), end);
+  }
+
+  const origin = remaining[0][0];
+  const loop = [origin];
+  let current = successor.get(pointKey(origin));
+  while (pointKey(current) !== pointKey(origin) && loop.length <= remaining.length) {
+    loop.push(current);
+    current = successor.get(pointKey(current)) ?? origin;
+  }
+  if (loop.length !== remaining.length) return fail("not-single-polygon");
+
+  const n = loop.length;
+  const ring = loop.filter((p, i) => edgeSign(loop[(i + 1) % n], loop[(i - 1 + n) % n], p) !== 0);
+  if (ring.length < 3 || !isSimpleRing(ring)) return fail("not-single-polygon");
+  return { ring, shared, problem: null };
+}
+
+const GLUE_ERRORS = {
+  "not-simple": "Both polygons must be simple.",
+  overlap: "The polygons overlap.",
+  "no-shared-edge": "The polygons do not share an edge.",
+  "not-single-polygon": "The polygons do not glue into a single polygon.",
+};
+
+/**
+ * Compute snapshots for two polygons glued along a common edge (mirrors
+ * `compute_additive_snapshot`).
+ * @param {Array<{x: number, y: number}>} first
+ * @param {Array<{x: number, y: number}>} second
+ * @returns {Object} Additive snapshot with p1, p2, union, and shared_edge
+ */
+export function computeAdditiveSnapshot(first, second) {
+  const p1 = computeSnapshot(first);
+  const p2 = computeSnapshot(second);
+  const { ring, shared, problem } = gluePolygons(first, second);
+  if (problem) {
+    throw new Error(GLUE_ERRORS[problem]);
+  }
+  const union = { ...computeSnapshot(ring), vertices: ring };
+
+  // Boundary points are collected whatever the size: there are only as many as the perimeter has
+  const unionBoundary = new Set(collectBoundaryPoints(ring).map(pointKey));
+  const absorbed = new Map();
+  for (const p of [...collectBoundaryPoints(first), ...collectBoundaryPoints(second)]) {
+    if (!unionBoundary.has(pointKey(p))) absorbed.set(pointKey(p), p);
+  }
+  const points = Array.from(absorbed.values()).sort(([ax, ay], [bx, by]) => (ax === bx ? ay - by : ax - bx));
+
+  return {
+    p1,
+    p2,
+    union,
+    shared_edge: {
+      points,
+      interior_count: points.length,
+      segments: mergeSteps(shared),
+    },
+  };
+}
+
+const cross = (u, v) => u[0] * v[1] - u[1] * v[0];
+
+// Points off the lattice are matched up to rounding when rings are traced
+const approxKey = ([x, y]) => `${x.toFixed(9)},${y.toFixed(9)}`;
+
+/**
+ * Ray casting for a point known not to lie on the ring.
+ */
+function isInsideRing(point, pts) {
+  const [x, y] = point;
+  let inside = false;
+  const n = pts.length;
+  for (let i = 0; i < n; i++) {
+    const [x1, y1] = pts[i];
+    const [x2, y2] = pts[(i + 1) % n];
+    if (y1 > y !== y2 > y && x < x1 + ((x2 - x1) * (y - y1)) / (y2 - y1)) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+/**
+ * The pieces of a counter-clockwise ring's boundary that bound its
+ * intersection with another counter-clockwise ring (mirrors
+ * `_clip_ring_boundary`).
+ */
+function clipRingBoundary(ring, other, keepShared) {
+  const pieces = [];
+  const n = ring.length;
+  const m = other.length;
+  for (let i = 0; i < n; i++) {
+    const a = ring[i];
+    const b = ring[(i + 1) % n];
+    const ab = [b[0] - a[0], b[1] - a[1]];
+    const length2 = ab[0] * ab[0] + ab[1] * ab[1];
+    const cuts = [0, 1];
+    const along = [];
+    for (let j = 0; j < m; j++) {
+      const c = other[j];
+      const d = other[(j + 1) % m];
+      const cd = [d[0] - c[0], d[1] - c[1]];
+      const ac = [c[0] - a[0], c[1] - a[1]];
+      const denom = cross(ab, cd);
+      if (denom !== 0) {
+        const t = cross(ac, cd) / denom;
+        const u = cross(ac, ab) / denom;
+        if (t >= 0 && t <= 1 && u >= 0 && u <= 1) cuts.push(t);
+      } else if (cross(ac, ab) === 0) {
+        // Collinear: note the stretch of this edge that lies along c-d
+        const tc = (ac[0] * ab[0] + ac[1] * ab[1]) / length2;
+        const td = ((d[0] - a[0]) * ab[0] + (d[1] - a[1]) * ab[1]) / length2;
+        const low = Math.max(Math.min(tc, td), 0);
+        const high = Math.min(Math.max(tc, td), 1);
+        if (low < high) {
+          cuts.push(low, high);
+          along.push({ low, high, same: ab[0] * cd[0] + ab[1] * cd[1] > 0 });
+        }
+      }
+    }
+    // The same cut reached from two edges of `other` may differ by rounding
+    const sorted = cuts.sort((x, y) => x - y).filter((t, idx, all) => idx === 0 || t - all[idx - 1] > 1e-12);
+    const at = (t) => [a[0] + ab[0] * t, a[1] + ab[1] * t];
+    for (let k = 0; k + 1 < sorted.length; k++) {
+      const mid = (sorted[k] + sorted[k + 1]) / 2;
+      const overlap = along.find(({ low, high }) => low <= mid && mid <= high);
+      const keep = overlap ? overlap.same && keepShared : isInsideRing(at(mid), other);
+      if (keep) pieces.push([at(sorted[k]), at(sorted[k + 1])]);
+    }
+  }
+  return pieces;
+}
+
+/**
+ * Chain boundary pieces end to start into closed rings (mirrors `_trace_rings`).
+ */
+function traceRings(pieces) {
+  const successors = new Map();
+  for (const [start, end] of pieces) {
+    if (!successors.has(approxKey(start))) successors.set(approxKey(start), []);
+    successors.get(approxKey(start)).push(end);
+  }
+  const rings = [];
+  for (const [start] of pieces) {
+    if (!successors.get(approxKey(start))?.length) continue;
+    const loop = [start];
+    let current = successors.get(approxKey(start)).pop();
+    while (approxKey(current) !== approxKey(start) && successors.get(approxKey(current))?.length) {
+      loop.push(current);
+      current = successors.get(approxKey(current)).pop();
+    }
+    const n = loop.length;
+    const ring = loop.filter((p, i) => {
+      const prev = loop[(i - 1 + n) % n];
+      const next = loop[(i + 1) % n];
+      return Math.abs(cross([p[0] - prev[0], p[1] - prev[1]], [next[0] - p[0], next[1] - p[1]])) > 1e-9;
+    });
+    if (ring.length >= 3) rings.push(ring);
+  }
+  return rings;
+}
+
+/**
+ * The number of connected pieces of the intersection of two rings, counting
+ * places where the boundaries only touch (mirrors `_count_components`).
+ */
+function countComponents(rings, pieces) {
+  const parent = new Map();
+  const find = (start) => {
+    let key = start;
+    if (!parent.has(key)) parent.set(key, key);
+    while (parent.get(key) !== key) {
+      parent.set(key, parent.get(parent.get(key)));
+      key = parent.get(key);
+    }
+    return key;
+  };
+  const join = (p, q) => parent.set(find(approxKey(p)), find(approxKey(q)));
+
+  for (const [start, end] of pieces) join(start, end);
+  const [first, second] = rings;
+  const n = first.length;
+  const m = second.length;
+  for (let i = 0; i < n; i++) {
+    const a = first[i];
+    const b = first[(i + 1) % n];
+    const ab = [b[0] - a[0], b[1] - a[1]];
+    const length2 = ab[0] * ab[0] + ab[1] * ab[1];
+    const at = (t) => [a[0] + ab[0] * t, a[1] + ab[1] * t];
+    for (let j = 0; j < m; j++) {
+      const c = second[j];
+      const d = second[(j + 1) % m];
+      const cd = [d[0] - c[0], d[1] - c[1]];
+      const ac = [c[0] - a[0], c[1] - a[1]];
+      const denom = cross(ab, cd);
+      if (denom !== 0) {
+        const t = cross(ac, cd) / denom;
+        const u = cross(ac, ab) / denom;
+        if (t >= 0 && t <= 1 && u >= 0 && u <= 1) find(approxKey(at(t)));
+      } else if (cross(ac, ab) === 0) {
+        const tc = (ac[0] * ab[0] + ac[1] * ab[1]) / length2;
+        const td = ((d[0] - a[0]) * ab[0] + (d[1] - a[1]) * ab[1]) / length2;
+        const low = Math.max(Math.min(tc, td), 0);
+        const high = Math.min(Math.max(tc, td), 1);
+        if (low <= high) join(at(low), at(high));
+      }
+    }
+  }
+  return new Set([...parent.keys()].map(find)).size;
+}
+
+/**
+ * Whether the union of the rings covers a small disc around a lattice point
+ * on their boundaries (mirrors `_covered_around`).
+ */
+function coveredAround(point, rings, span) {
+  const directions = new Map();
+  for (const pts of rings) {
+    const n = pts.length;
+    for (let i = 0; i < n; i++) {
+      const a = pts[i];
+      const b = pts[(i + 1) % n];
+      if (!isPointOnEdge(point, a, b)) continue;
+      for (const end of [a, b]) {
+        if (pointKey(end) === pointKey(point)) continue;
+        const g = gcd(end[0] - point[0], end[1] - point[1]);
+        const direction = [(end[0] - point[0]) / g, (end[1] - point[1]) / g];
+        directions.set(pointKey(direction), direction);
+      }
+    }
+  }
+  const ordered = [...directions.values()].sort((d1, d2) => Math.atan2(d1[1], d1[0]) - Math.atan2(d2[1], d2[0]));
+  return ordered.every((d1, i) => {
+    const d2 = ordered[(i + 1) % ordered.length];
+    const turn = cross(d1, d2);
+    let v;
+    if (ordered.length === 1 || turn === 0) {
+      v = [-d1[1], d1[0]];
+    } else if (turn > 0) {
+      v = [d1[0] + d2[0], d1[1] + d2[1]];
+    } else {
+      v = [-d1[0] - d2[0], -d1[1] - d2[1]];
+    }
+    // Edges not through the point are at least 1 / (2 * span) away
+    const step = 1 / (4 * span * (Math.abs(v[0]) + Math.abs(v[1])));
+    const sample = [point[0] + v[0] * step, point[1] + v[1] * step];
+    return rings.some((pts) => isInsideRing(sample, pts));
+  });
+}
+
+const byCoordinates = ([ax, ay], [bx, by]) => (ax === bx ? ay - by : ax - bx);
+
+/**
+ * Compute snapshots for two polygons that may overlap (mirrors
+ * `compute_overlap_snapshot`).
+ * @param {Array<{x: number, y: number}>} first
+ * @param {Array<{x: number, y: number}>} second
+ * @returns {Object} Overlap snapshot with p1, p2, intersection (with its
+ *   rings and components), union and counted_twice
+ */
+export function computeOverlapSnapshot(first, second) {
+  const rings = [];
+  for (const polygon of [first, second]) {
+    const pts = validatePoints(polygon);
+    if (!isSimpleRing(pts)) {
+      throw new Error("Both polygons must be simple.");
+    }
+    rings.push(signedArea2(pts) > 0 ? pts : pts.reverse());
+  }
+  const p1 = computeSnapshot(first);
+  const p2 = computeSnapshot(second);
+
+  const pieces = [...clipRingBoundary(rings[0], rings[1], true), ...clipRingBoundary(rings[1], rings[0], false)];
+  const area = pieces.reduce((sum, [start, end]) => sum + cross(start, end), 0) / 2;
+  const intersectionRings = traceRings(pieces);
+
+  // Row by row, the points in both polygons are the common part of their ranges
+  const rows = rings.map((pts) => new Map(scanlineRows([pts]).map(([y, closed, inside]) => [y, [closed, inside]])));
+  const bothRows = [];
+  const unionRows = [];
+  for (const y of [...new Set([...rows[0].keys(), ...rows[1].keys()])].sort((a, b) => a - b)) {
+    const [[closed1, inside1], [closed2, inside2]] = rows.map((byRow) => byRow.get(y) ?? [[], []]);
+    bothRows.push([y, intersectRanges(closed1, closed2), intersectRanges(inside1, inside2)]);
+    unionRows.push([y, mergeRanges([...closed1, ...closed2]), mergeRanges([...inside1, ...inside2])]);
+  }
+
+  // A point on both boundaries is inside the union when the two polygons close in around it
+  const coords = rings.flat(2);
+  const span = Math.max(...coords) - Math.min(...coords) + 1;
+  const onSecond = new Set(collectBoundaryPoints(rings[1]).map(pointKey));
+  const covered = collectBoundaryPoints(rings[0]).filter(
+    (p) => onSecond.has(pointKey(p)) && coveredAround(p, rings, span)
+  );
+
+  const total = (rowList, column) => rowList.reduce((sum, row) => sum + rangeSize(row[column]), 0);
+  const both = total(bothRows, 1);
+  const bothInside = total(bothRows, 2);
+  const unionClosed = total(unionRows, 1);
+  const unionInside = total(unionRows, 2) + covered.length;
+
+  const listed = unionClosed <= MAX_LISTED_POINTS;
+  const none = { boundaryPoints: [], interiorPoints: [] };
+  const intersectionPoints = listed ? listRows(bothRows) : none;
+  const unionPoints = listed ? listRows(unionRows) : none;
+  const coveredKeys = new Set(covered.map(pointKey));
+  return {
+    p1,
+    p2,
+    intersection: {
+      area,
+      boundary: both - bothInside,
+      interior: bothInside,
+      boundary_points: intersectionPoints.boundaryPoints,
+      interior_points: intersectionPoints.interiorPoints,
+      rings: intersectionRings,
+      components: countComponents(rings, pieces),
+    },
+    union: {
+      area: p1.area + p2.area - area,
+      boundary: unionClosed - unionInside,
+      interior: unionInside,
+      boundary_points: unionPoints.boundaryPoints.filter((p) => !coveredKeys.has(pointKey(p))),
+      interior_points: listed ? [...unionPoints.interiorPoints, ...covered].sort(byCoordinates) : [],
+    },
+    counted_twice: [...intersectionPoints.boundaryPoints, ...intersectionPoints.interiorPoints].sort(byCoordinates),
+    points_listed: listed,
+  };
+}
+
+/**
+ * Drop vertices that lie on the segment between their neighbours.
+ */
+function corners(pts) {
+  const n = pts.length;
+  const kept = pts.filter((p, i) => {
+    const prev = pts[(i + n - 1) % n];
+    const next = pts[(i + 1) % n];
+    return cross([p[0] - prev[0], p[1] - prev[1]], [next[0] - p[0], next[1] - p[1]]) !== 0;
+  });
+  if (kept.length < 3) {
+    throw new Error("The polygon needs at least three corners that are not collinear.");
+  }
+  return kept;
+}
+
+/**
+ * [g, s, t] with a*s + b*t = g = gcd(a, b), using Python's floored division.
+ */
+function extendedGcd(a, b) {
+  if (b === 0) return a >= 0 ? [a, 1, 0] : [-a, -1, 0];
+  const q = Math.floor(a / b);
+  const [g, s, t] = extendedGcd(b, a - q * b);
+  return [g, t, s - q * t];
+}
+
+// Affine maps are [matrix, offset] with matrix [[a, b], [c, d]]
+function compose([[[a, b], [c, d]], [ox, oy]], [[[e, f], [g, h]], [x, y]]) {
+  const matrix = [
+    [a * e + b * g, a * f + b * h],
+    [c * e + d * g, c * f + d * h],
+  ];
+  return [matrix, [a * x + b * y + ox, c * x + d * y + oy]];
+}
+
+function invert([[[a, b], [c, d]], [x, y]]) {
+  const det = a * d - b * c;
+  const matrix = [
+    [d * det, -b * det],
+    [-c * det, a * det],
+  ];
+  return [matrix, [-(matrix[0][0] * x + matrix[0][1] * y), -(matrix[1][0] * x + matrix[1][1] * y)]];
+}
+
+function applyMap([[[a, b], [c, d]], [x, y]], p) {
+  return [a * p[0] + b * p[1] + x, c * p[0] + d * p[1] + y];
+}
+
+/**
+ * The unimodular affine map sending `start` to the origin, the edge towards
+ * `ahead` along the positive x-axis, and `behind` to a point (x, y) with
+ * y > 0 and 0 <= x < y.
+ */
+function canonicalMap(start, ahead, behind) {
+  const dx = ahead[0] - start[0];
+  const dy = ahead[1] - start[1];
+  const g = gcd(dx, dy);
+  const [p, q] = [dx / g, dy / g];
+  // Complete (p, q) to a basis (p, q), (r, s) with p*s - q*r = 1
+  const [, s, minusR] = extendedGcd(p, q);
+  const toBasis = [
+    [s, minusR],
+    [-q, p],
+  ];
+  const [wx, wy] = applyMap([toBasis, [0, 0]], [behind[0] - start[0], behind[1] - start[1]]);
+  // Reflect so `behind` is above the axis, then shear it into the strip
+  const flip = wy > 0 ? 1 : -1;
+  const k = Math.floor(wx / (wy * flip));
+  let linear = compose(
+    [
+      [
+        [1, -k],
+        [0, 1],
+      ],
+      [0, 0],
+    ],
+    [
+      [
+        [1, 0],
+        [0, flip],
+      ],
+      [0, 0],
+    ]
+  );
+  linear = compose(linear, [toBasis, [0, 0]]);
+  const image = applyMap(linear, start);
+  return [linear[0], [-image[0], -image[1]]];
+}
+
+function compareVertexLists(a, b) {
+  for (let i = 0; i < Math.min(a.length, b.length); i++) {
+    const diff = byCoordinates(a[i], b[i]);
+    if (diff !== 0) return diff;
+  }
+  return a.length - b.length;
+}
+
+// Integer results can come out as -0, which Python does not have
+const plain = (values) => values.map((v) => v + 0);
+
+/**
+ * Canonical representative of a lattice polygon under GL(2, Z) and integer
+ * translations (mirrors `lattice_normal_form`).
+ * @param {Array<{x: number, y: number}>} vertices
+ * @returns {{vertices: Array<number[]>, matrix: number[][], offset: number[], corners: number, area: number}}
+ */
+export function latticeNormalForm(vertices) {
+  const pts = corners(validatePoints(vertices));
+  const n = pts.length;
+  let best = null;
+  for (const order of [pts, [...pts].reverse()]) {
+    for (let i = 0; i < n; i++) {
+      const transform = canonicalMap(order[i], order[(i + 1) % n], order[(i + n - 1) % n]);
+      const image = Array.from({ length: n }, (_, j) => applyMap(transform, order[(i + j) % n]));
+      if (best === null || compareVertexLists(image, best[0]) < 0) {
+        best = [image, transform];
+      }
+    }
+  }
+
+  const [image, [matrix, offset]] = best;
+  return {
+    vertices: image.map(plain),
+    matrix: matrix.map(plain),
+    offset: plain(offset),
+    corners: n,
+    area: Math.abs(signedArea2(image)) / 2,
+  };
+}
+
+/**
+ * Decide whether two lattice polygons are equivalent under GL(2, Z) and
+ * integer translations (mirrors `compare_lattice_polygons`).
+ * @param {Array<{x: number, y: number}>} first
+ * @param {Array<{x: number, y: number}>} second
+ * @returns {{first: Object, second: Object, equivalent: boolean, matrix: number[][]|null, offset: number[]|null}}
+ *   When equivalent, v ↦ Mv + t sends the first polygon onto the second
+ */
+export function compareLatticePolygons(first, second) {
+  const firstForm = latticeNormalForm(first);
+  const secondForm = latticeNormalForm(second);
+  const equivalent = compareVertexLists(firstForm.vertices, secondForm.vertices) === 0;
+  let matrix = null;
+  let offset = null;
+  if (equivalent) {
+    [matrix, offset] = compose(invert([secondForm.matrix, secondForm.offset]), [firstForm.matrix, firstForm.offset]);
+    matrix = matrix.map(plain);
+    offset = plain(offset);
+  }
+  return { first: firstForm, second: secondForm, equivalent, matrix, offset };
+}
+
+function det3(u, v, w) {
+  return (
+    u[0] * (v[1] * w[2] - v[2] * w[1]) - u[1] * (v[0] * w[2] - v[2] * w[0]) + u[2] * (v[0] * w[1] - v[1] * w[0])
+  );
+}
+
+/**
+ * Six times the signed volume of the tetrahedron abcd.
+ */
+function signedVolume6(a, b, c, d) {
+  const from = (p) => [p[0] - a[0], p[1] - a[1], p[2] - a[2]];
+  return det3(from(b), from(c), from(d));
+}
+
+/**
+ * Count the lattice points of a lattice tetrahedron and compute its volume
+ * (mirrors `compute_tetrahedron_snapshot`).
+ * @param {Array<{x: number, y: number, z: number}>} vertices
+ * @returns {Object} Snapshot with volume, volume_sixths, boundary, interior and the points
+ */
+export function computeTetrahedronSnapshot(vertices) {
+  const pts = vertices.map((p) => (Array.isArray(p) ? [p[0], p[1], p[2]] : [p.x, p.y, p.z]).map(Math.trunc));
+  if (pts.length !== 4 || pts.some((p) => p.some(Number.isNaN))) {
+    throw new Error("A tetrahedron needs exactly four points in space.");
+  }
+  const whole = signedVolume6(...pts);
+  if (whole === 0) {
+    throw new Error("The four vertices lie in one plane.");
+  }
+  const sign = whole > 0 ? 1 : -1;
+
+  const boundaryPoints = [];
+  const interiorPoints = [];
+  const lows = [0, 1, 2].map((axis) => Math.min(...pts.map((p) => p[axis])));
+  const highs = [0, 1, 2].map((axis) => Math.max(...pts.map((p) => p[axis])));
+  for (let x = lows[0]; x <= highs[0]; x++) {
+    for (let y = lows[1]; y <= highs[1]; y++) {
+      for (let z = lows[2]; z <= highs[2]; z++) {
+        const p = [x, y, z];
+        const parts = [0, 1, 2, 3].map((i) => sign * signedVolume6(...pts.map((q, j) => (j === i ? p : q))));
+        if (Math.min(...parts) < 0) continue;
+        (parts.includes(0) ? boundaryPoints : interiorPoints).push(p);
+      }
+    }
+  }
+
+  return {
+    volume: Math.abs(whole) / 6,
+    volume_sixths: Math.abs(whole),
+    boundary: boundaryPoints.length,
+    interior: interiorPoints.length,
+    boundary_points: boundaryPoints,
+    interior_points: interiorPoints,
+  };
+}
+
+/**
+ * Reeve's tetrahedron T_r with vertices (0,0,0), (1,0,0), (0,1,0), (1,1,r).
+ */
+export function reeveTetrahedron(height) {
+  return [
+    [0, 0, 0],
+    [1, 0, 0],
+    [0, 1, 0],
+    [1, 1, height],
+  ];
+}
+
+/**
+ * Snapshots of the Reeve tetrahedra T_1, ..., T_maxHeight, each with its
+ * height `r` (mirrors `compute_reeve_family`).
+ * @param {number} maxHeight
+ * @returns {Array<Object>}
+ */
+export function computeReeveFamily(maxHeight) {
+  if (maxHeight < 2) {
+    throw new Error("At least two Reeve tetrahedra are needed to compare.");
+  }
+  return Array.from({ length: maxHeight }, (_, idx) => ({
+    ...computeTetrahedronSnapshot(reeveTetrahedron(idx + 1)),
+    r: idx + 1,
+  }));
+}
@@ -0,0 +1,77 @@
+/**
+ * Web Worker hosting Pyodide and the Python geometry module.
+ *
+ * Messages in:  { id, type: "init" }
+ *               { id, type: "call", fn, args }
+ *               { id, type: "batch", calls: [{ fn, args }] }
+ * Messages out: { id, result } or { id, error }. A batch's result has one
+ * { result } or { error } per call, so one failing call leaves the rest.
+ */
+
+/* global loadPyodide */
+importScripts("https://cdn.jsdelivr.net/pyodide/v0.26.4/full/pyodide.js");
+
+let pyodide = null;
+let initPromise = null;
+
+function init() {
+  if (initPromise) return initPromise;
+
+  initPromise = (async () => {
+    pyodide = await loadPyodide({
+      indexURL: "https://cdn.jsdelivr.net/pyodide/v0.26.4/full/",
+    });
+
+    // Fetch and run the Python geometry module (resolved relative to this worker)
+    const response = await fetch("../py/geometry.py");
+    const pythonCode = await response.text();
+    await pyodide.runPythonAsync(pythonCode);
+  })();
+
+  return initPromise;
+}
+
+/**
+ * Call a top-level Python function with JS arguments and convert the result back.
+ */
+function callPython(fn, args = []) {
+  const func = pyodide.globals.get(fn);
+  if (!func) {
+    throw new Error(`Unknown Python function: ${fn}`);
+  }
+  const pyArgs = args.map((arg) => pyodide.toPy(arg));
+  try {
+    const result = func(...pyArgs);
+    if (result && typeof result.toJs === "function") {
+      const converted = result.toJs({ dict_converter: Object.fromEntries });
+      result.destroy();
+      return converted;
+    }
+    return result;
+  } finally {
+    pyArgs.forEach((arg) => arg?.destroy?.());
+    func.destroy();
+  }
+}
+
+self.onmessage = async (evt) => {
+  const { id, type, fn, args, calls } = evt.data;
+  try {
+    await init();
+    let result = true;
+    if (type === "call") {
+      result = callPython(fn, args);
+    } else if (type === "batch") {
+      result = calls.map((call) => {
+        try {
+          return { result: callPython(call.fn, call.args) };
+        } catch (error) {
+          return { error: error?.message ?? String(error) };
+        }
+      });
+    }
+    self.postMessage({ id, result });
+  } catch (error) {
+    self.postMessage({ id, error: error?.message ?? String(error) });
+  }
+};
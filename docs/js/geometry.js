@@ -1,23 +1,253 @@
 /**
  * Geometry utilities for the lattice triangle app.
  * 
- * Main computations (area, boundary/interior points) are done in Python via Pyodide.
- * This module provides JS utilities for validation and re-exports Python functions.
+ * Main computations (area, boundary/interior points) are done in Python via Pyodide,
+ * with the pure-JS engine in geometry-engine.js as a selectable backend and as the
+ * fallback while Python is loading or if it fails to load.
+ * This module provides JS utilities for validation and the backend dispatch.
  */
 
-import { latticeRange } from "./constants.js";
+import { COORDINATE_LIMIT, GEOMETRY_BACKENDS, REEVE_LIMITS, SNAP_DENOMINATORS } from "./constants.js";
+import * as jsEngine from "./geometry-engine.js";
 import {
+  benchmarkInteriorCounting as pyBenchmarkCounting,
   computePolygonSnapshot as pyComputeSnapshot,
+  computePolygonSnapshots as pyComputeSnapshots,
   computeAdditiveSnapshot as pyComputeAdditive,
+  computeOverlapSnapshot as pyComputeOverlap,
+  computeHolesSnapshot as pyComputeHoles,
+  computeRationalSnapshot as pyComputeRational,
+  computeEhrhartData as pyComputeEhrhart,
+  compareLatticePolygons as pyCompareLattice,
+  computeReeveFamily as pyComputeReeveFamily,
+  computeTetrahedronSnapshot as pyComputeTetrahedron,
   createEmptySnapshot,
+  createEmptyComparison,
   createEmptyAdditiveSnapshot,
+  createEmptyEhrhartData,
+  createEmptyHolesSnapshot,
+  createEmptyOverlapSnapshot,
+  createEmptyRationalSnapshot,
+  createEmptyTetrahedronSnapshot,
+  isPythonReady,
 } from "./pyodide-loader.js";
 
-// Re-export the Pyodide-based computation functions
-export const computePolygonSnapshot = pyComputeSnapshot;
-export const computeAdditiveSnapshot = pyComputeAdditive;
 export { createEmptySnapshot as createEmptyPolygonSnapshot };
-export { createEmptyAdditiveSnapshot };
+export {
+  createEmptyAdditiveSnapshot,
+  createEmptyComparison,
+  createEmptyEhrhartData,
+  createEmptyHolesSnapshot,
+  createEmptyOverlapSnapshot,
+  createEmptyRationalSnapshot,
+  createEmptyTetrahedronSnapshot,
+};
+
+let backend = GEOMETRY_BACKENDS.PYTHON;
+
+export function getGeometryBackend() {
+  return backend;
+}
+
+export function setGeometryBackend(name) {
+  if (!Object.values(GEOMETRY_BACKENDS).includes(name)) {
+    throw new Error(`Unknown geometry backend: ${name}`);
+  }
+  backend = name;
+}
+
+/**
+ * Whether snapshots will come from Python (as opposed to the JS engine).
+ */
+function usePython() {
+  return backend === GEOMETRY_BACKENDS.PYTHON && isPythonReady();
+}
+
+/**
+ * Run a JS engine computation, falling back to an empty result marked
+ * `failed: true` on error.
+ */
+function runJsEngine(compute, createEmpty, label) {
+  try {
+    return compute();
+  } catch (error) {
+    console.error(`Error computing ${label}:`, error);
+    return Object.assign(createEmpty(), { failed: true });
+  }
+}
+
+/**
+ * Compute a polygon snapshot with the selected backend.
+ * @param {Array<{x: number, y: number}>} vertices
+ * @param {{channel?: string}} [options] - Coalescing channel for the Python worker
+ * @returns {Promise<Object|null>} Snapshot, or null if superseded by a newer request
+ */
+export async function computePolygonSnapshot(vertices, options) {
+  if (usePython()) return pyComputeSnapshot(vertices, options);
+  return runJsEngine(() => jsEngine.computeSnapshot(vertices), createEmptySnapshot, "polygon snapshot");
+}
+
+/**
+ * Compute the snapshot of a polygon whose vertices may lie off the lattice,
+ * with the exact area as a fraction. Coordinates are multiples of
+ * `1 / vertexDenominator(vertices)`.
+ * @param {Array<{x: number, y: number}>} vertices
+ * @param {{channel?: string}} [options] - Coalescing channel for the Python worker
+ * @returns {Promise<Object|null>} Snapshot, or null if superseded by a newer request
+ */
+export async function computeRationalSnapshot(vertices, options) {
+  const denominator = vertexDenominator(vertices);
+  const numerators = toNumerators(vertices, denominator);
+  if (usePython()) return pyComputeRational(numerators, denominator, options);
+  return runJsEngine(
+    () => jsEngine.computeRationalSnapshot(numerators.map((v) => [v.x, v.y]), denominator),
+    createEmptyRationalSnapshot,
+    "rational polygon snapshot"
+  );
+}
+
+/**
+ * Compute snapshots for a list of polygons with the selected backend.
+ * @param {Array<Array<{x: number, y: number}>>} polygons
+ * @returns {Promise<Array<Object>>} Snapshots the engine could not compute
+ *   are empty and marked `failed: true`
+ */
+export async function computePolygonSnapshots(polygons) {
+  if (usePython()) return pyComputeSnapshots(polygons);
+  return polygons.map((vertices) =>
+    runJsEngine(() => jsEngine.computeSnapshot(vertices), createEmptySnapshot, "polygon snapshot")
+  );
+}
+
+/**
+ * Compute the snapshot of two polygons glued along a common edge with the
+ * selected backend.
+ * @param {Array<{x: number, y: number}>} first
+ * @param {Array<{x: number, y: number}>} second
+ * @param {{channel?: string}} [options] - Coalescing channel for the Python worker
+ * @returns {Promise<Object|null>} Snapshot, or null if superseded by a newer request
+ */
+export async function computeAdditiveSnapshot(first, second, options) {
+  if (usePython()) return pyComputeAdditive(first, second, options);
+  return runJsEngine(
+    () => jsEngine.computeAdditiveSnapshot(first, second),
+    createEmptyAdditiveSnapshot,
+    "additive snapshot"
+  );
+}
+
+/**
+ * Compute the snapshot of two possibly overlapping polygons, with their
+ * intersection, with the selected backend.
+ * @param {Array<{x: number, y: number}>} first
+ * @param {Array<{x: number, y: number}>} second
+ * @param {{channel?: string}} [options] - Coalescing channel for the Python worker
+ * @returns {Promise<Object|null>} Snapshot, or null if superseded by a newer request
+ */
+export async function computeOverlapSnapshot(first, second, options) {
+  if (usePython()) return pyComputeOverlap(first, second, options);
+  return runJsEngine(
+    () => jsEngine.computeOverlapSnapshot(first, second),
+    createEmptyOverlapSnapshot,
+    "overlap snapshot"
+  );
+}
+
+/**
+ * Compute the snapshot of a polygon with holes with the selected backend.
+ * @param {Array<{x: number, y: number}>} outer
+ * @param {Array<Array<{x: number, y: number}>>} holes
+ * @param {{channel?: string}} [options] - Coalescing channel for the Python worker
+ * @returns {Promise<Object|null>} Snapshot, or null if superseded by a newer request
+ */
+export async function computeHolesSnapshot(outer, holes, options) {
+  if (usePython()) return pyComputeHoles(outer, holes, options);
+  return runJsEngine(
+    () => jsEngine.computeHolesSnapshot(outer, holes),
+    createEmptyHolesSnapshot,
+    "holes snapshot"
+  );
+}
+
+/**
+ * Count lattice points in the dilates tP and fit the Ehrhart polynomial with
+ * the selected backend.
+ * @param {Array<{x: number, y: number}>} vertices
+ * @param {number} maxDilate
+ * @param {{channel?: string}} [options] - Coalescing channel for the Python worker
+ * @returns {Promise<Object|null>} Ehrhart data, or null if superseded by a newer request
+ */
+export async function computeEhrhartData(vertices, maxDilate, options) {
+  if (usePython()) return pyComputeEhrhart(vertices, maxDilate, options);
+  return runJsEngine(
+    () => jsEngine.computeEhrhartData(vertices, maxDilate),
+    createEmptyEhrhartData,
+    "Ehrhart data"
+  );
+}
+
+/**
+ * Decide whether two polygons are lattice-equivalent (the same up to GL(2, Z)
+ * and integer translations) with the selected backend.
+ * @param {Array<{x: number, y: number}>} first
+ * @param {Array<{x: number, y: number}>} second
+ * @param {{channel?: string}} [options] - Coalescing channel for the Python worker
+ * @returns {Promise<Object|null>} Comparison, or null if superseded by a newer request
+ */
+export async function compareLatticePolygons(first, second, options) {
+  if (usePython()) return pyCompareLattice(first, second, options);
+  return runJsEngine(
+    () => jsEngine.compareLatticePolygons(first, second),
+    createEmptyComparison,
+    "lattice comparison"
+  );
+}
+
+/**
+ * Count the lattice points of a tetrahedron and compute its volume with the
+ * selected backend.
+ * @param {Array<{x: number, y: number, z: number}>} vertices
+ * @param {{channel?: string}} [options] - Coalescing channel for the Python worker
+ * @returns {Promise<Object|null>} Snapshot, or null if superseded by a newer request
+ */
+export async function computeTetrahedronSnapshot(vertices, options) {
+  if (usePython()) return pyComputeTetrahedron(vertices, options);
+  return runJsEngine(
+    () => jsEngine.computeTetrahedronSnapshot(vertices),
+    createEmptyTetrahedronSnapshot,
+    "tetrahedron snapshot"
+  );
+}
+
+/**
+ * Snapshots of the Reeve tetrahedra T_1, ..., T_maxHeight with the selected
+ * backend.
+ * @param {number} maxHeight
+ * @param {{channel?: string}} [options] - Coalescing channel for the Python worker
+ * @returns {Promise<Array<Object>|null>} Snapshots, or null if superseded by a newer request
+ */
+export async function computeReeveFamily(maxHeight, options) {
+  if (usePython()) return pyComputeReeveFamily(maxHeight, options);
+  return runJsEngine(() => jsEngine.computeReeveFamily(maxHeight), () => [], "Reeve tetrahedra");
+}
+
+/**
+ * Time the scanline interior count against the original ray casting with the
+ * selected backend. Python times itself in the worker, so the round trip is
+ * not counted.
+ * @param {Array<{x: number, y: number}>} vertices
+ * @param {number[]} scales - Dilation factors t
+ * @param {number} maxRayCastingArea - Bounding box size above which ray casting is skipped
+ * @returns {Promise<Array<Object>>} One row per scale
+ */
+export async function benchmarkInteriorCounting(vertices, scales, maxRayCastingArea) {
+  if (usePython()) return pyBenchmarkCounting(vertices, scales, maxRayCastingArea);
+  return runJsEngine(
+    () => jsEngine.benchmarkInteriorCounting(vertices, scales, maxRayCastingArea),
+    () => [],
+    "counting benchmark"
+  );
+}
 
 /**
  * GCD calculation (used for JS-side validation).
@@ -31,16 +261,81 @@ export function gcd(a, b) {
   return x;
 }
 
+const clampCoordinate = (value) => Math.max(-COORDINATE_LIMIT, Math.min(COORDINATE_LIMIT, value));
+
 /**
- * Clamp a vertex to the lattice range.
+ * Pull a point back inside the editable range ±COORDINATE_LIMIT.
  */
 export function clampVertex(vertex) {
   return {
-    x: Math.max(-latticeRange, Math.min(latticeRange, Math.round(vertex.x))),
-    y: Math.max(-latticeRange, Math.min(latticeRange, Math.round(vertex.y))),
+    x: clampCoordinate(vertex.x),
+    y: clampCoordinate(vertex.y),
   };
 }
 
+/**
+ * Snap a point to the nearest lattice point in the editable range.
+ */
+export function roundVertex(vertex) {
+  return clampVertex({
+    x: Math.round(vertex.x),
+    y: Math.round(vertex.y),
+  });
+}
+
+/**
+ * Snap a lattice coordinate pair to the nearest multiple of 1/denominator in
+ * the editable range.
+ */
+export function snapToFraction(vertex, denominator) {
+  return clampVertex({
+    x: Math.round(vertex.x * denominator) / denominator,
+    y: Math.round(vertex.y * denominator) / denominator,
+  });
+}
+
+/**
+ * Why a coordinate pair is outside the editable range, or null if it fits.
+ */
+export function findCoordinateProblem(vertices) {
+  const tooFar = vertices.some((v) => Math.abs(v.x) > COORDINATE_LIMIT || Math.abs(v.y) > COORDINATE_LIMIT);
+  return tooFar ? `Keep coordinates between −${COORDINATE_LIMIT} and ${COORDINATE_LIMIT}.` : null;
+}
+
+// Every snapped coordinate is a multiple of 1/COMMON_DENOMINATOR, even when
+// vertices were placed in different snapping modes
+export const COMMON_DENOMINATOR = Object.values(SNAP_DENOMINATORS).reduce((a, b) => (a * b) / gcd(a, b));
+
+/**
+ * The smallest d such that every coordinate is a multiple of 1/d.
+ */
+export function vertexDenominator(vertices) {
+  const fits = (d) => vertices.every((v) => [v.x, v.y].every((c) => Math.abs(c * d - Math.round(c * d)) < 1e-6));
+  for (let d = 1; d < COMMON_DENOMINATOR; d++) {
+    if (fits(d)) return d;
+  }
+  return COMMON_DENOMINATOR;
+}
+
+/**
+ * A coordinate as a reduced fraction [numerator, denominator].
+ */
+export function toFraction(value) {
+  const denominator = vertexDenominator([{ x: value, y: 0 }]);
+  return [Math.round(value * denominator), denominator];
+}
+
+/**
+ * Integer numerators of the vertices over `denominator`.
+ */
+export function toNumerators(vertices, denominator) {
+  return vertices.map((v) => ({ x: Math.round(v.x * denominator), y: Math.round(v.y * denominator) }));
+}
+
+export function isLatticeRing(vertices) {
+  return vertices.every((v) => Number.isInteger(v.x) && Number.isInteger(v.y));
+}
+
 /**
  * Calculate the signed area of a polygon (used for validation).
  */
@@ -55,6 +350,28 @@ export function polygonAreaValue(vertices) {
   return area2 / 2;
 }
 
+/**
+ * Why four points do not make a lattice tetrahedron the 3D tab can show, or
+ * null if they do.
+ * @param {Array<{x: number, y: number, z: number}>} vertices
+ * @returns {string|null}
+ */
+export function findTetrahedronProblem(vertices) {
+  const coords = vertices.flatMap((v) => [v.x, v.y, v.z]);
+  if (!coords.every(Number.isInteger)) {
+    return "Every coordinate must be a whole number.";
+  }
+  const { maxCoordinate } = REEVE_LIMITS;
+  if (coords.some((c) => Math.abs(c) > maxCoordinate)) {
+    return `Keep coordinates within ±${maxCoordinate}.`;
+  }
+  const [a, b, c, d] = vertices;
+  const [u, v, w] = [b, c, d].map((p) => [p.x - a.x, p.y - a.y, p.z - a.z]);
+  const volume6 =
+    u[0] * (v[1] * w[2] - v[2] * w[1]) - u[1] * (v[0] * w[2] - v[2] * w[0]) + u[2] * (v[0] * w[1] - v[1] * w[0]);
+  return volume6 === 0 ? "The four vertices lie in one plane, so they do not span a tetrahedron." : null;
+}
+
 /**
  * Calculate orientation of three points.
  * Returns positive if counter-clockwise, negative if clockwise, 0 if collinear.
@@ -93,43 +410,110 @@ export function segmentsIntersect(p1, p2, p3, p4) {
 }
 
 /**
- * Check if a polygon is simple (no self-intersecting edges).
+ * Find everything that keeps a polygon from being simple. Vertices are
+ * referred to by index and edges by the index pair of their endpoints, so the
+ * caller can label and highlight them:
+ * - `duplicate`: `vertices` share a position
+ * - `touching`: vertex `vertices[0]` lies on the non-adjacent edge `edges[0]`
+ * - `crossing`: `edges` cross at `point`
+ * - `degenerate`: no two of the above, but the polygon has no area
+ * @param {Array<{x: number, y: number}>} vertices
+ * @returns {Array<{kind: string, vertices: number[], edges: number[][], point?: {x: number, y: number}}>}
+ *   Empty if the polygon is simple
  */
-export function isSimplePolygon(vertices) {
-  if (!vertices || vertices.length < 3) return false;
-  const unique = new Set(vertices.map((v) => `${v.x},${v.y}`));
-  if (unique.size !== vertices.length) return false;
-  if (Math.abs(polygonAreaValue(vertices)) < 0.5) return false;
+export function findPolygonProblems(vertices) {
+  if (!vertices || vertices.length < 3) {
+    return [{ kind: "degenerate", vertices: (vertices ?? []).map((_, idx) => idx), edges: [] }];
+  }
+  // Off-lattice vertices are checked on the polygon scaled up to integer
+  // coordinates, where the orientation tests are exact
+  const denominator = vertexDenominator(vertices);
+  if (denominator > 1) {
+    return findPolygonProblems(toNumerators(vertices, denominator)).map((problem) =>
+      problem.point
+        ? { ...problem, point: { x: problem.point.x / denominator, y: problem.point.y / denominator } }
+        : problem
+    );
+  }
 
+  const problems = [];
   const n = vertices.length;
+  const seen = new Map();
+  const touching = new Set();
+  vertices.forEach((v, idx) => {
+    const key = `${v.x},${v.y}`;
+    if (seen.has(key)) {
+      problems.push({ kind: "duplicate", vertices: [seen.get(key), idx], edges: [] });
+    } else {
+      seen.set(key, idx);
+    }
+  });
+
   for (let i = 0; i < n; i++) {
-    const a1 = vertices[i];
-    const a2 = vertices[(i + 1) % n];
-    for (let j = i + 1; j < n; j++) {
-      if (Math.abs(i - j) <= 1) continue;
+    const edgeA = [i, (i + 1) % n];
+    for (let j = i + 2; j < n; j++) {
       if (i === 0 && j === n - 1) continue;
-      const b1 = vertices[j];
-      const b2 = vertices[(j + 1) % n];
-      if (segmentsIntersect(a1, a2, b1, b2)) {
-        return false;
+      const edgeB = [j, (j + 1) % n];
+      const [a1, a2] = edgeA.map((idx) => vertices[idx]);
+      const [b1, b2] = edgeB.map((idx) => vertices[idx]);
+      if (!segmentsIntersect(a1, a2, b1, b2)) continue;
+
+      // A shared position is already reported as a duplicate
+      const toucher = [...edgeB.map((idx) => [idx, edgeA]), ...edgeA.map((idx) => [idx, edgeB])].find(
+        ([idx, edge]) => {
+          const v = vertices[idx];
+          const [s, e] = edge.map((k) => vertices[k]);
+          return isPointOnEdge(v, s, e) && !(v.x === s.x && v.y === s.y) && !(v.x === e.x && v.y === e.y);
+        }
+      );
+      if (toucher) {
+        // A vertex on an edge touches it through both of its own edges
+        const key = `${toucher[0]}:${toucher[1]}`;
+        if (!touching.has(key)) {
+          touching.add(key);
+          problems.push({ kind: "touching", vertices: [toucher[0]], edges: [toucher[1]] });
+        }
+      } else if (!edgeA.some((a) => edgeB.some((b) => vertices[a].x === vertices[b].x && vertices[a].y === vertices[b].y))) {
+        const d = orientation(a1, a2, b1) - orientation(a1, a2, b2);
+        const t = orientation(a1, a2, b1) / d;
+        const point = { x: b1.x + t * (b2.x - b1.x), y: b1.y + t * (b2.y - b1.y) };
+        problems.push({ kind: "crossing", vertices: [], edges: [edgeA, edgeB], point });
       }
     }
   }
-  return true;
+
+  if (problems.length === 0 && Math.abs(polygonAreaValue(vertices)) < 0.5) {
+    problems.push({ kind: "degenerate", vertices: vertices.map((_, idx) => idx), edges: [] });
+  }
+  return problems;
 }
 
 /**
- * Check if two triangles in a quadrilateral are on opposite sides of the diagonal.
+ * Check if a polygon is simple (no self-intersecting edges).
  */
-export function trianglesOnOppositeSides(vertices) {
-  if (!vertices || vertices.length !== 4) return false;
-  const [a, b, c, d] = vertices;
-  const oB = orientation(a, c, b);
-  const oD = orientation(a, c, d);
-  if (oB === 0 || oD === 0) {
-    return false;
-  }
-  return oB * oD < 0;
+export function isSimplePolygon(vertices) {
+  return findPolygonProblems(vertices).length === 0;
+}
+
+/**
+ * Find what keeps two polygons from being glued along a common edge. Each
+ * polygon's own problems from `findPolygonProblems` carry a `ring` (0 or 1);
+ * once both are simple, the pair can fail with `overlap`, `no-shared-edge` or
+ * `not-single-polygon` (they touch elsewhere or enclose a gap). With
+ * `allowOverlap` only the polygons themselves are checked.
+ * @param {Array<{x: number, y: number}>} first
+ * @param {Array<{x: number, y: number}>} second
+ * @param {{allowOverlap?: boolean}} [options]
+ * @returns {Array<Object>} Empty if the polygons glue into one simple polygon
+ */
+export function findSharedEdgeProblems(first, second, { allowOverlap = false } = {}) {
+  const problems = [first, second].flatMap((ring, idx) =>
+    findPolygonProblems(ring).map((problem) => ({ ...problem, ring: idx }))
+  );
+  if (problems.length > 0 || allowOverlap) return problems;
+
+  const { problem } = jsEngine.gluePolygons(first, second);
+  return problem ? [{ kind: problem, vertices: [], edges: [] }] : [];
 }
 
 /**
@@ -145,6 +529,62 @@ export function isPointOnEdge(point, start, end) {
   return point.x >= minX && point.x <= maxX && point.y >= minY && point.y <= maxY;
 }
 
+/**
+ * Check if a point lies strictly inside a polygon (points on an edge are outside).
+ */
+export function isPointInsidePolygon(point, vertices) {
+  let inside = false;
+  for (let i = 0; i < vertices.length; i++) {
+    const start = vertices[i];
+    const end = vertices[(i + 1) % vertices.length];
+    if (isPointOnEdge(point, start, end)) return false;
+    if (start.y > point.y !== end.y > point.y) {
+      const xinters = ((end.x - start.x) * (point.y - start.y)) / (end.y - start.y) + start.x;
+      if (xinters > point.x) inside = !inside;
+    }
+  }
+  return inside;
+}
+
+function ringsIntersect(ringA, ringB) {
+  for (let i = 0; i < ringA.length; i++) {
+    for (let j = 0; j < ringB.length; j++) {
+      if (
+        segmentsIntersect(
+          ringA[i],
+          ringA[(i + 1) % ringA.length],
+          ringB[j],
+          ringB[(j + 1) % ringB.length]
+        )
+      ) {
+        return true;
+      }
+    }
+  }
+  return false;
+}
+
+/**
+ * Check that an outer ring and its holes form a valid polygon with holes:
+ * every ring is simple, each hole lies strictly inside the outer ring, and
+ * no two rings touch or nest.
+ */
+export function isValidPolygonWithHoles(outer, holes) {
+  if (!isSimplePolygon(outer)) return false;
+  for (let i = 0; i < holes.length; i++) {
+    const hole = holes[i];
+    if (!isSimplePolygon(hole)) return false;
+    if (!hole.every((v) => isPointInsidePolygon(v, outer))) return false;
+    if (ringsIntersect(hole, outer)) return false;
+    for (let j = 0; j < i; j++) {
+      const other = holes[j];
+      if (ringsIntersect(hole, other)) return false;
+      if (isPointInsidePolygon(hole[0], other) || isPointInsidePolygon(other[0], hole)) return false;
+    }
+  }
+  return true;
+}
+
 /**
  * Collect boundary points for a polygon (JS fallback, used by induction).
  */
@@ -171,6 +611,106 @@ export function collectBoundaryPoints(vertices) {
     .sort(([ax, ay], [bx, by]) => (ax === bx ? ay - by : ax - bx));
 }
 
+function pointInClosedTriangle(p, a, b, c) {
+  return orientation(a, b, p) >= 0 && orientation(b, c, p) >= 0 && orientation(c, a, p) >= 0;
+}
+
+/**
+ * Ear-clip a simple polygon into triangles, all counter-clockwise.
+ * Collinear vertices are dropped first so every ear tip is strictly convex.
+ */
+function earClip(vertices) {
+  let ring = polygonAreaValue(vertices) < 0 ? [...vertices].reverse() : [...vertices];
+  ring = ring.filter((v, i) => {
+    const prev = ring[(i - 1 + ring.length) % ring.length];
+    const next = ring[(i + 1) % ring.length];
+    return orientation(prev, v, next) !== 0;
+  });
+
+  const triangles = [];
+  while (ring.length > 3) {
+    let clipped = false;
+    for (let i = 0; i < ring.length; i++) {
+      const prev = ring[(i - 1 + ring.length) % ring.length];
+      const cur = ring[i];
+      const next = ring[(i + 1) % ring.length];
+      if (orientation(prev, cur, next) <= 0) continue;
+      const blocked = ring.some(
+        (v) => v !== prev && v !== cur && v !== next && pointInClosedTriangle(v, prev, cur, next)
+      );
+      if (blocked) continue;
+      triangles.push([prev, cur, next]);
+      ring.splice(i, 1);
+      clipped = true;
+      break;
+    }
+    if (!clipped) return [];
+  }
+  triangles.push(ring);
+  return triangles;
+}
+
+/**
+ * Insert a lattice point into a triangulation, splitting the triangle that
+ * contains it into three, or the one or two triangles whose edge it lies on
+ * into two each.
+ */
+function insertTriangulationPoint(triangles, p) {
+  const result = [];
+  for (const tri of triangles) {
+    const [a, b, c] = tri;
+    if (!pointInClosedTriangle(p, a, b, c)) {
+      result.push(tri);
+      continue;
+    }
+    if (orientation(a, b, p) === 0) {
+      result.push([a, p, c], [p, b, c]);
+    } else if (orientation(b, c, p) === 0) {
+      result.push([b, p, a], [p, c, a]);
+    } else if (orientation(c, a, p) === 0) {
+      result.push([c, p, b], [p, a, b]);
+    } else {
+      result.push([a, b, p], [b, c, p], [c, a, p]);
+    }
+  }
+  return result;
+}
+
+/**
+ * Triangulate a simple lattice polygon into primitive triangles (area 1/2,
+ * no lattice points besides their vertices) using every boundary and interior
+ * lattice point as a vertex.
+ * @param {Array<{x: number, y: number}>} vertices
+ * @returns {Array<Array<{x: number, y: number}>>} Counter-clockwise triangles, or [] if degenerate
+ */
+export function triangulateUnimodular(vertices) {
+  if (!isSimplePolygon(vertices)) return [];
+  let triangles = earClip(vertices.map((v) => ({ x: v.x, y: v.y })));
+  if (triangles.length === 0) return [];
+
+  const used = new Set(triangles.flat().map((v) => `${v.x},${v.y}`));
+  const latticePoints = [
+    ...collectBoundaryPoints(vertices),
+    ...jsEngine.collectInteriorPoints(vertices),
+  ];
+  for (const [x, y] of latticePoints) {
+    const key = `${x},${y}`;
+    if (used.has(key)) continue;
+    used.add(key);
+    triangles = insertTriangulationPoint(triangles, { x, y });
+  }
+  return triangles;
+}
+
+/**
+ * Format a vertex coordinate for display: an integer, or a fraction such as
+ * -1/3 off the lattice.
+ */
+export function formatCoordinate(value) {
+  const [numerator, denominator] = toFraction(value);
+  return denominator === 1 ? String(numerator) : `${numerator}/${denominator}`;
+}
+
 /**
  * Format an area value for display.
  */
@@ -0,0 +1,87 @@
+/**
+ * Undo/redo history for vertex edits.
+ * Each tab keeps its own stacks of vertex rings. An edit is bracketed by
+ * `beginEdit` and `commitEdit` (a whole drag, from pointerdown to pointerup,
+ * is one edit), and is only recorded if it actually changed something.
+ * The shared edge tab keeps separate stacks per mode, so undoing in glue mode
+ * never brings back an overlap.
+ */
+
+import { TABS } from "./constants.js";
+import { getActiveRings, setActiveRings, state } from "./state.js";
+
+const MAX_HISTORY = 100;
+
+const histories = new Map();
+let pendingEdit = null;
+
+const cloneRings = (rings) => rings.map((ring) => ring.map((v) => ({ x: v.x, y: v.y })));
+const sameRings = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+function getHistory(tab = state.currentTab) {
+  const key = tab === TABS.ADDITIVE ? `${tab}:${state.additiveMode}` : tab;
+  if (!histories.has(key)) {
+    histories.set(key, { undo: [], redo: [] });
+  }
+  return histories.get(key);
+}
+
+/**
+ * Remember the active tab's vertices before an edit starts.
+ */
+export function beginEdit() {
+  pendingEdit = { tab: state.currentTab, rings: cloneRings(getActiveRings()) };
+}
+
+/**
+ * Finish the edit started by `beginEdit`, recording it if the vertices changed.
+ * @returns {boolean} True if a history entry was added
+ */
+export function commitEdit() {
+  const edit = pendingEdit;
+  pendingEdit = null;
+  if (!edit || edit.tab !== state.currentTab || sameRings(edit.rings, getActiveRings())) {
+    return false;
+  }
+
+  const history = getHistory();
+  history.undo.push(edit.rings);
+  if (history.undo.length > MAX_HISTORY) {
+    history.undo.shift();
+  }
+  history.redo = [];
+  return true;
+}
+
+export function canUndo() {
+  return getHistory().undo.length > 0;
+}
+
+export function canRedo() {
+  return getHistory().redo.length > 0;
+}
+
+function step(from, to) {
+  if (from.length === 0) return false;
+  to.push(cloneRings(getActiveRings()));
+  setActiveRings(from.pop());
+  return true;
+}
+
+/**
+ * Restore the active tab's vertices from before the last edit.
+ * @returns {boolean} False if there was nothing to undo
+ */
+export function undo() {
+  const history = getHistory();
+  return step(history.undo, history.redo);
+}
+
+/**
+ * Reapply the last undone edit on the active tab.
+ * @returns {boolean} False if there was nothing to redo
+ */
+export function redo() {
+  const history = getHistory();
+  return step(history.redo, history.undo);
+}
@@ -1,8 +1,22 @@
-import { inductionOuterTriangle } from "./constants.js";
-import { computePolygonSnapshot, orientation } from "./geometry.js";
-import { state, resetInductionSnapshots } from "./state.js";
+import { INDUCTION_MAX_TRIANGLES, INDUCTION_SOURCES, inductionOuterTriangle } from "./constants.js";
+import {
+  computeHolesSnapshot,
+  computePolygonSnapshots,
+  isSimplePolygon,
+  orientation,
+  polygonAreaValue,
+  triangulateUnimodular,
+} from "./geometry.js";
+import { getInductionSourcePolygon, state, resetInductionSnapshots } from "./state.js";
 
-export function buildInductionTriangles() {
+const pointKey = (v) => `${v.x},${v.y}`;
+const edgeKey = (a, b) => [pointKey(a), pointKey(b)].sort().join("|");
+
+/**
+ * The default decomposition: the staircase of half-unit triangles filling
+ * `inductionOuterTriangle`.
+ */
+function buildStaircaseTriangles() {
   const v0 = inductionOuterTriangle[0]; // right angle vertex
   const n = inductionOuterTriangle[1].x - v0.x; // leg length = 4
 
@@ -10,161 +24,331 @@ export function buildInductionTriangles() {
 
   for (let i = 0; i < n; i++) {
     for (let j = 0; j < n - i; j++) {
-      allTriangles.push({
-        vertices: [
-          { x: v0.x + i, y: v0.y + j },
-          { x: v0.x + i + 1, y: v0.y + j },
-          { x: v0.x + i, y: v0.y + j + 1 },
-        ],
-        gridPos: { i, j, type: "lower" },
-      });
+      allTriangles.push([
+        { x: v0.x + i, y: v0.y + j },
+        { x: v0.x + i + 1, y: v0.y + j },
+        { x: v0.x + i, y: v0.y + j + 1 },
+      ]);
 
       if (i + j < n - 1) {
-        allTriangles.push({
-          vertices: [
-            { x: v0.x + i + 1, y: v0.y + j },
-            { x: v0.x + i + 1, y: v0.y + j + 1 },
-            { x: v0.x + i, y: v0.y + j + 1 },
-          ],
-          gridPos: { i, j, type: "upper" },
-        });
+        allTriangles.push([
+          { x: v0.x + i + 1, y: v0.y + j },
+          { x: v0.x + i + 1, y: v0.y + j + 1 },
+          { x: v0.x + i, y: v0.y + j + 1 },
+        ]);
       }
     }
   }
 
-  const ordered = [];
-  const used = new Set();
-  const getKey = (tri) => tri.vertices.map((v) => `${v.x},${v.y}`).sort().join("|");
-  const sharesEdge = (t1, t2) => {
-    const v1 = t1.vertices.map((v) => `${v.x},${v.y}`);
-    const v2 = t2.vertices.map((v) => `${v.x},${v.y}`);
-    let shared = 0;
-    for (const p of v1) {
-      if (v2.includes(p)) shared++;
-    }
-    return shared === 2;
+  return allTriangles;
+}
+
+/**
+ * Order triangles so that each one is glued onto the region built so far.
+ * Glues that keep the region a disc are preferred: along one edge with a new
+ * opposite vertex, or along two edges closing a notch.
+ */
+export function orderForGluing(triangles) {
+  if (triangles.length === 0) return [];
+
+  const edges = new Set();
+  const points = new Set();
+  const absorb = (tri) => {
+    tri.forEach((v, i) => {
+      points.add(pointKey(v));
+      edges.add(edgeKey(v, tri[(i + 1) % 3]));
+    });
+  };
+  const sharedEdgeStarts = (tri) => [0, 1, 2].filter((i) => edges.has(edgeKey(tri[i], tri[(i + 1) % 3])));
+  const isCleanGlue = (tri) => {
+    const shared = sharedEdgeStarts(tri);
+    if (shared.length === 2) return true;
+    return shared.length === 1 && !points.has(pointKey(tri[(shared[0] + 2) % 3]));
   };
 
-  const startTri = allTriangles.find(
-    (t) => t.gridPos.i === 0 && t.gridPos.j === 0 && t.gridPos.type === "lower"
-  );
-  if (startTri) {
-    ordered.push(startTri.vertices);
-    used.add(getKey(startTri));
+  const ordered = [triangles[0]];
+  const remaining = triangles.slice(1);
+  absorb(triangles[0]);
+
+  while (remaining.length > 0) {
+    let idx = remaining.findIndex(isCleanGlue);
+    if (idx === -1) idx = remaining.findIndex((tri) => sharedEdgeStarts(tri).length > 0);
+    if (idx === -1) idx = 0;
+    const [tri] = remaining.splice(idx, 1);
+    ordered.push(tri);
+    absorb(tri);
   }
 
-  while (ordered.length < allTriangles.length) {
-    let added = false;
-    for (const tri of allTriangles) {
-      const key = getKey(tri);
-      if (used.has(key)) continue;
-      for (const addedVerts of ordered) {
-        if (sharesEdge({ vertices: addedVerts }, tri)) {
-          ordered.push(tri.vertices);
-          used.add(key);
-          added = true;
-          break;
-        }
-      }
-      if (added) break;
-    }
-    if (!added) {
-      for (const tri of allTriangles) {
-        const key = getKey(tri);
-        if (!used.has(key)) {
-          ordered.push(tri.vertices);
-          used.add(key);
-          break;
-        }
-      }
+  return ordered;
+}
+
+/**
+ * Build the triangles glued together by the induction proof for the current
+ * source. User polygons are cut into primitive triangles through all of their
+ * lattice points, as long as that takes at most INDUCTION_MAX_TRIANGLES.
+ * @returns {string|null} Why the source polygon cannot be used, or null once
+ *   the triangles are built
+ */
+export function buildInductionTriangles() {
+  let outer = inductionOuterTriangle;
+  let triangles;
+  if (state.inductionSource === INDUCTION_SOURCES.STAIRCASE) {
+    triangles = buildStaircaseTriangles();
+  } else {
+    outer = getInductionSourcePolygon();
+    if (!isSimplePolygon(outer)) return "is not simple";
+    const needed = Math.abs(2 * polygonAreaValue(outer));
+    if (needed > INDUCTION_MAX_TRIANGLES) {
+      return `would take ${needed} triangles, more than the ${INDUCTION_MAX_TRIANGLES} the induction tab cuts`;
     }
+    triangles = triangulateUnimodular(outer);
+    if (triangles.length === 0) return "could not be triangulated";
   }
 
-  state.inductionTriangles = ordered;
+  state.inductionOuter = outer.map((v) => ({ x: v.x, y: v.y }));
+  state.inductionTriangles = orderForGluing(triangles);
+  return null;
 }
 
-export function getAccumulatedPolygon(stepIndex) {
-  if (stepIndex <= 0) return [];
-  if (stepIndex >= state.inductionTriangles.length) {
-    return [...inductionOuterTriangle];
+/**
+ * Add a triangle to a map of directed boundary edges. Each triangle is walked
+ * counterclockwise, so an edge shared by two glued triangles appears once in
+ * each direction and cancels; what is left is the union's boundary with the
+ * region on its left. The triangles come from a conforming mesh, so no vertex
+ * lies in the middle of another edge.
+ */
+function addTriangleEdges(directed, tri) {
+  const ccw = orientation(tri[0], tri[1], tri[2]) > 0 ? tri : [tri[0], tri[2], tri[1]];
+  for (let i = 0; i < 3; i++) {
+    const a = ccw[i];
+    const b = ccw[(i + 1) % 3];
+    const reverseKey = `${pointKey(b)}>${pointKey(a)}`;
+    if (directed.has(reverseKey)) {
+      directed.delete(reverseKey);
+    } else {
+      directed.set(`${pointKey(a)}>${pointKey(b)}`, [a, b]);
+    }
   }
+}
 
-  const pointSet = new Set();
-  for (let i = 0; i < stepIndex; i++) {
-    for (const v of state.inductionTriangles[i]) {
-      pointSet.add(`${v.x},${v.y}`);
-    }
+/**
+ * Directed boundary edges of the union of the first `stepIndex` triangles.
+ */
+function getBoundaryEdges(stepIndex) {
+  const directed = new Map();
+  for (const tri of state.inductionTriangles.slice(0, stepIndex)) {
+    addTriangleEdges(directed, tri);
   }
+  return Array.from(directed.values());
+}
 
-  const points = Array.from(pointSet).map((s) => {
-    const [x, y] = s.split(",").map(Number);
-    return { x, y };
-  });
+/**
+ * Counterclockwise turn from the direction b→a to the direction b→c, in (0, 2π].
+ */
+function turnAngle(a, b, c) {
+  const ux = a.x - b.x;
+  const uy = a.y - b.y;
+  const vx = c.x - b.x;
+  const vy = c.y - b.y;
+  const angle = Math.atan2(ux * vy - uy * vx, ux * vx + uy * vy);
+  return angle <= 0 ? angle + 2 * Math.PI : angle;
+}
 
-  if (points.length < 3) return points;
+/**
+ * Cut a closed walk into simple loops at every vertex it passes more than
+ * once. Each time the walk returns to a vertex already on the stack, the
+ * stretch since that visit is a closed loop of its own.
+ */
+function splitAtRepeatedVertices(walk) {
+  const loops = [];
+  const stack = [];
+  const position = new Map();
+  for (const point of walk) {
+    const key = pointKey(point);
+    if (position.has(key)) {
+      const start = position.get(key);
+      const loop = stack.splice(start + 1);
+      loop.unshift(stack[start]);
+      loop.forEach((p) => position.delete(pointKey(p)));
+      position.set(key, start);
+      if (loop.length >= 3) loops.push(loop);
+    } else {
+      position.set(key, stack.length);
+      stack.push(point);
+    }
+  }
+  if (stack.length >= 3) loops.push(stack);
+  return loops;
+}
 
-  let start = points.reduce((a, b) =>
-    a.x < b.x || (a.x === b.x && a.y < b.y) ? a : b
-  );
-  const hull = [];
-  let current = start;
+/**
+ * Chain boundary edges into closed loops. Where the region touches itself at
+ * a single vertex the walk runs on through both pieces; it is then cut at
+ * that vertex, so every loop returned is simple and a pinched region comes
+ * out as an outer ring plus a hole that shares the pinch vertex.
+ */
+function traceLoops(edges) {
+  const outgoing = new Map();
+  for (const edge of edges) {
+    const key = pointKey(edge[0]);
+    if (!outgoing.has(key)) outgoing.set(key, []);
+    outgoing.get(key).push(edge);
+  }
 
-  do {
-    hull.push(current);
-    let next = points[0];
-    for (const p of points) {
-      if (next === current || orientation(current, next, p) < 0) {
-        next = p;
+  const used = new Set();
+  const loops = [];
+  for (const first of edges) {
+    if (used.has(first)) continue;
+    const loop = [];
+    let edge = first;
+    while (edge) {
+      used.add(edge);
+      loop.push(edge[0]);
+      const [a, b] = edge;
+      const candidates = outgoing.get(pointKey(b)).filter((next) => !used.has(next));
+      edge = null;
+      for (const next of candidates) {
+        if (!edge || turnAngle(a, b, next[1]) < turnAngle(a, b, edge[1])) {
+          edge = next;
+        }
       }
     }
-    current = next;
-  } while (current !== start && hull.length < points.length + 1);
+    loops.push(...splitAtRepeatedVertices(loop));
+  }
+  return loops;
+}
 
-  return hull;
+function signedArea(loop) {
+  let area2 = 0;
+  for (let i = 0; i < loop.length; i++) {
+    const a = loop[i];
+    const b = loop[(i + 1) % loop.length];
+    area2 += a.x * b.y - b.x * a.y;
+  }
+  return area2 / 2;
 }
 
-export function getSharedEdgeForStep(stepIndex) {
-  if (stepIndex <= 0 || stepIndex >= state.inductionTriangles.length) return null;
+/**
+ * The region covered by the first `stepIndex` triangles, as an outer ring
+ * plus any holes left enclosed by the gluing order. `orderForGluing` keeps
+ * the region connected, so there is a single outer ring.
+ * @returns {{outer: Array<{x: number, y: number}>, holes: Array<Array<{x: number, y: number}>>}}
+ */
+export function getAccumulatedRegion(stepIndex) {
+  if (stepIndex <= 0) return { outer: [], holes: [] };
+  return regionFromEdges(getBoundaryEdges(stepIndex));
+}
 
-  const newTri = state.inductionTriangles[stepIndex];
-  const accumulated = getAccumulatedPolygon(stepIndex);
-  if (accumulated.length < 2) return null;
+/**
+ * The regions after every step, as from `getAccumulatedRegion(1..n)`. Each
+ * step only adds its triangle's edges to the boundary left by the one before.
+ */
+function getAccumulatedRegions() {
+  const directed = new Map();
+  return state.inductionTriangles.map((tri) => {
+    addTriangleEdges(directed, tri);
+    return regionFromEdges(Array.from(directed.values()));
+  });
+}
 
-  for (let i = 0; i < 3; i++) {
-    const e1 = newTri[i];
-    const e2 = newTri[(i + 1) % 3];
-    const e1InAcc = accumulated.some((v) => v.x === e1.x && v.y === e1.y);
-    const e2InAcc = accumulated.some((v) => v.x === e2.x && v.y === e2.y);
-
-    if (e1InAcc && e2InAcc) {
-      for (let j = 0; j < accumulated.length; j++) {
-        const a1 = accumulated[j];
-        const a2 = accumulated[(j + 1) % accumulated.length];
-        const sameDirection = a1.x === e1.x && a1.y === e1.y && a2.x === e2.x && a2.y === e2.y;
-        const oppositeDirection = a1.x === e2.x && a1.y === e2.y && a2.x === e1.x && a2.y === e1.y;
-        if (sameDirection || oppositeDirection) {
-          return { start: e1, end: e2 };
-        }
-      }
+/**
+ * Split boundary edges into the outer ring and the holes.
+ */
+function regionFromEdges(edges) {
+  const loops = traceLoops(edges);
+  let outer = [];
+  let outerArea = 0;
+  const holes = [];
+  for (const loop of loops) {
+    const area = signedArea(loop);
+    if (area < 0) {
+      holes.push(loop);
+    } else if (area > outerArea) {
+      outer = loop;
+      outerArea = area;
     }
   }
+  return { outer, holes };
+}
 
-  return null;
+export function getAccumulatedPolygon(stepIndex) {
+  return getAccumulatedRegion(stepIndex).outer;
 }
 
-export function computeInductionSnapshots() {
-  resetInductionSnapshots();
-  for (const tri of state.inductionTriangles) {
-    const result = computePolygonSnapshot(tri);
-    state.inductionSnapshots.push(result);
-  }
+/**
+ * The edges along which the triangle for `stepIndex` is glued onto the region
+ * built by the earlier steps. Usually one; two when the triangle fills a notch.
+ * @returns {Array<{start: {x: number, y: number}, end: {x: number, y: number}}>}
+ */
+export function getSharedEdgesForStep(stepIndex) {
+  if (stepIndex <= 0 || stepIndex >= state.inductionTriangles.length) return [];
 
-  for (let i = 0; i < state.inductionTriangles.length; i++) {
-    const accPoly = getAccumulatedPolygon(i + 1);
-    if (accPoly.length >= 3) {
-      const result = computePolygonSnapshot(accPoly);
-      state.inductionAccumulatedSnapshots.push(result);
+  const boundary = new Set(getBoundaryEdges(stepIndex).map(([a, b]) => edgeKey(a, b)));
+  const newTri = state.inductionTriangles[stepIndex];
+  const shared = [];
+  for (let i = 0; i < 3; i++) {
+    const start = newTri[i];
+    const end = newTri[(i + 1) % 3];
+    if (boundary.has(edgeKey(start, end))) {
+      shared.push({ start, end });
     }
   }
+  return shared;
 }
 
+/**
+ * What gluing the triangle for `stepIndex` onto the earlier region changed:
+ * the deltas read off the computed snapshots, and the points absorbed into
+ * the interior read off the triangles themselves.
+ * @returns {{deltaA: number, deltaB: number, deltaI: number, deltaH: number, deltaP: number, absorbed: number,
+ *   sharedEdges: Array}|null}
+ *   Null for the base case or while snapshots are missing
+ */
+export function getGlueSummary(stepIndex) {
+  const before = state.inductionAccumulatedSnapshots[stepIndex - 1];
+  const after = state.inductionAccumulatedSnapshots[stepIndex];
+  if (stepIndex <= 0 || !before || !after) return null;
+
+  // Edges of primitive triangles hold no lattice points but their ends, so the
+  // points absorbed are the shared edges' ends that leave the boundary. This
+  // needs no point lists, which large snapshots leave out.
+  const sharedEdges = getSharedEdgesForStep(stepIndex);
+  const boundaryAfter = new Set(getBoundaryEdges(stepIndex + 1).flat().map(pointKey));
+  const sharedPoints = new Set(sharedEdges.flatMap(({ start, end }) => [pointKey(start), pointKey(end)]));
+  const absorbed = [...sharedPoints].filter((key) => !boundaryAfter.has(key)).length;
+
+  return {
+    deltaA: after.area - before.area,
+    deltaB: after.boundary - before.boundary,
+    deltaI: after.interior - before.interior,
+    deltaH: (after.holes ?? 0) - (before.holes ?? 0),
+    deltaP: (after.pinches ?? 0) - (before.pinches ?? 0),
+    absorbed,
+    sharedEdges,
+  };
+}
+
+export async function computeInductionSnapshots() {
+  const regions = getAccumulatedRegions();
+  const simple = regions.filter((region) => region.holes.length === 0).map((region) => region.outer);
+
+  // One batch so the worker handles every hole-free region in a single round trip
+  const [results, holedResults] = await Promise.all([
+    computePolygonSnapshots([...state.inductionTriangles, ...simple]),
+    Promise.all(
+      regions
+        .filter((region) => region.holes.length > 0)
+        .map((region) => computeHolesSnapshot(region.outer, region.holes))
+    ),
+  ]);
+
+  resetInductionSnapshots();
+  state.inductionSnapshots.push(...results.slice(0, state.inductionTriangles.length));
+  let simpleIndex = state.inductionTriangles.length;
+  let holedIndex = 0;
+  for (const region of regions) {
+    state.inductionAccumulatedSnapshots.push(
+      region.holes.length === 0 ? results[simpleIndex++] : holedResults[holedIndex++]
+    );
+  }
+}
@@ -94,6 +94,10 @@ export const MATH = {
   // The conjecture: A = B/2 + I - 1
   conjecture: "A = \\frac{B}{2} + I - 1",
   conjectureFull: "A(P) = \\frac{B(P)}{2} + I(P) - 1",
+
+  // Generalised formula for polygons with h holes (Euler characteristic 1 - h)
+  conjectureHoles: "A = \\frac{B}{2} + I - 1 + h",
+  conjectureEuler: "A = \\frac{B}{2} + I - \\chi",
   
   // Polygon labels
   P1: "P_1",
@@ -112,6 +116,11 @@ export const MATH = {
   // Fractions
   frac: (num, denom) => `\\frac{${num}}{${denom}}`,
   half: "\\frac{1}{2}",
+  halves: (value) => {
+    const twice = Math.round(value * 2);
+    if (twice % 2 === 0) return `${twice / 2}`;
+    return twice < 0 ? `-\\frac{${-twice}}{2}` : `\\frac{${twice}}{2}`;
+  },
   
   // Verification
   check: "\\checkmark",
@@ -125,6 +134,10 @@ export const MATH = {
     return `${areaStr} = \\frac{${boundary}}{2} + ${interior} - 1 = ${rhsStr}`;
   },
   
+  // Gluing identity for one induction step, with values already formatted as LaTeX
+  glueIdentity: (deltaA, deltaB, deltaI) =>
+    `\\Delta A = \\frac{\\Delta B}{2} + \\Delta I: \\quad ${deltaA} = \\frac{${deltaB}}{2} + ${deltaI}`,
+
   // Interior equation for union
   interiorUnion: (i1, i2, shared, total) => 
     `I(P_1 \\cup P_2) = I(P_1) + I(P_2) + I(\\text{shared}) = ${i1} + ${i2} + ${shared} = ${total}`,
@@ -0,0 +1,124 @@
+/**
+ * Lattice basis.
+ * Vertices are stored as integer coordinates (a, b) and every count is made
+ * in those coordinates; the basis vectors v1 and v2 only decide where the
+ * point a·v1 + b·v2 sits in the plane. Lattice points, B and I do not change
+ * with the basis, and Euclidean area is the lattice area times |det(v1, v2)|,
+ * the area of the fundamental parallelogram.
+ */
+
+import { LATTICE_BASES, LATTICE_PRESETS } from "./constants.js";
+import { state } from "./state.js";
+
+// Custom bases must stay drawable: short vectors, not close to parallel
+export const BASIS_LIMITS = { maxComponent: 5, minDeterminant: 0.1 };
+
+/**
+ * Area of the fundamental parallelogram, always positive.
+ */
+export function getDeterminant(basis = state.lattice.basis) {
+  const [v1, v2] = basis;
+  return Math.abs(v1.x * v2.y - v1.y * v2.x);
+}
+
+export function isSquareLattice() {
+  return state.lattice.preset === LATTICE_PRESETS.SQUARE;
+}
+
+/**
+ * Position of the lattice point (a, b) in the plane.
+ */
+export function latticeToWorld(point) {
+  const [v1, v2] = state.lattice.basis;
+  return {
+    x: point.x * v1.x + point.y * v2.x,
+    y: point.x * v1.y + point.y * v2.y,
+  };
+}
+
+/**
+ * Lattice coordinates (not rounded) of a point in the plane.
+ */
+export function worldToLattice(point) {
+  const [v1, v2] = state.lattice.basis;
+  const det = v1.x * v2.y - v1.y * v2.x;
+  return {
+    x: (point.x * v2.y - point.y * v2.x) / det,
+    y: (v1.x * point.y - v1.y * point.x) / det,
+  };
+}
+
+const dot = (u, v) => u.x * v.x + u.y * v.y;
+
+/**
+ * Lagrange–Gauss reduction: a basis of the same lattice whose vectors are as
+ * short and as close to orthogonal as the lattice allows. Each reduced vector
+ * comes with its integer coordinates in the original basis.
+ * @returns {Array<{world: {x: number, y: number}, coords: {x: number, y: number}}>}
+ */
+function reduceBasis([v1, v2]) {
+  let u = { world: v1, coords: { x: 1, y: 0 } };
+  let w = { world: v2, coords: { x: 0, y: 1 } };
+  for (;;) {
+    if (dot(u.world, u.world) > dot(w.world, w.world)) [u, w] = [w, u];
+    const mu = Math.round(dot(u.world, w.world) / dot(u.world, u.world));
+    if (mu === 0) return [u, w];
+    w = {
+      world: { x: w.world.x - mu * u.world.x, y: w.world.y - mu * u.world.y },
+      coords: { x: w.coords.x - mu * u.coords.x, y: w.coords.y - mu * u.coords.y },
+    };
+  }
+}
+
+/**
+ * The lattice point closest to a point in the plane. A skewed basis can put
+ * the nearest point far from the parallelogram containing the point, so the
+ * search runs over a reduced basis, where it lies among the corners of the
+ * containing cell; one more ring of cells around it covers rounding.
+ */
+export function nearestLatticePoint(point) {
+  const [u, w] = reduceBasis(state.lattice.basis);
+  const det = u.world.x * w.world.y - u.world.y * w.world.x;
+  const p = Math.floor((point.x * w.world.y - point.y * w.world.x) / det);
+  const q = Math.floor((u.world.x * point.y - u.world.y * point.x) / det);
+  let best = null;
+  let bestDist2 = Infinity;
+  for (let i = p - 1; i <= p + 2; i++) {
+    for (let j = q - 1; j <= q + 2; j++) {
+      const x = i * u.world.x + j * w.world.x;
+      const y = i * u.world.y + j * w.world.y;
+      const dist2 = (x - point.x) ** 2 + (y - point.y) ** 2;
+      if (dist2 < bestDist2) {
+        best = { x: i * u.coords.x + j * w.coords.x, y: i * u.coords.y + j * w.coords.y };
+        bestDist2 = dist2;
+      }
+    }
+  }
+  return best;
+}
+
+/**
+ * Why a custom basis cannot be used, or null if it can.
+ * @param {Array<{x: number, y: number}>} basis - [v1, v2]
+ * @returns {string|null}
+ */
+export function findBasisProblem(basis) {
+  const components = basis.flatMap((v) => [v.x, v.y]);
+  if (!components.every(Number.isFinite)) return "Basis vectors need two numbers each";
+  if (components.some((c) => Math.abs(c) > BASIS_LIMITS.maxComponent)) {
+    return `Keep basis coordinates between −${BASIS_LIMITS.maxComponent} and ${BASIS_LIMITS.maxComponent}`;
+  }
+  if (getDeterminant(basis) < BASIS_LIMITS.minDeterminant) {
+    return "v1 and v2 are (nearly) parallel, so they do not span a lattice";
+  }
+  return null;
+}
+
+/**
+ * Switch to a preset basis, or to a custom one.
+ * @param {string} preset - A value of LATTICE_PRESETS
+ * @param {Array<{x: number, y: number}>} [basis] - Required for the custom preset
+ */
+export function setLattice(preset, basis = LATTICE_BASES[preset]) {
+  state.lattice = { preset, basis: basis.map((v) => ({ x: v.x, y: v.y })) };
+}
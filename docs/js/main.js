@@ -1,24 +1,103 @@
-import { TABS } from "./constants.js";
 import {
+  ADDITIVE_MODES,
+  GEOMETRY_BACKENDS,
+  INDUCTION_SOURCES,
+  LATTICE_PRESETS,
+  MAX_VERTICES,
+  REEVE_LIMITS,
+  SNAP_DENOMINATORS,
+  TABS,
+  initialAdditive,
+} from "./constants.js";
+import {
+  compareLatticePolygons,
   computeAdditiveSnapshot,
+  computeEhrhartData,
+  computeHolesSnapshot,
+  computeOverlapSnapshot,
   computePolygonSnapshot,
+  computeRationalSnapshot,
+  computeReeveFamily,
+  computeTetrahedronSnapshot,
+  findCoordinateProblem,
+  findPolygonProblems,
+  findSharedEdgeProblems,
+  findTetrahedronProblem,
+  getGeometryBackend,
+  isLatticeRing,
   isSimplePolygon,
-  trianglesOnOppositeSides,
+  isValidPolygonWithHoles,
+  setGeometryBackend,
+  snapToFraction,
 } from "./geometry.js";
+import {
+  PARITY_HOLED_POLYGONS,
+  PARITY_POLYGONS,
+  PARITY_GLUED_PAIRS,
+  PARITY_OVERLAPPING_PAIRS,
+  PARITY_RATIONAL_POLYGONS,
+  PARITY_TETRAHEDRA,
+  runParityCheck,
+} from "./parity.js";
 import { loadPyodide, isPythonReady } from "./pyodide-loader.js";
+import { findBasisProblem, setLattice } from "./lattice.js";
 import { buildInductionTriangles, computeInductionSnapshots } from "./induction.js";
-import { drawScene, canvasToLattice, findHandle, initRenderer } from "./render.js";
-import { updateSidebar } from "./sidebar.js";
 import {
+  drawScene,
+  canvasToLattice,
+  findEdge,
+  findHandle,
+  fitViewToContent,
+  initRenderer,
+  panView,
+  zoomView,
+} from "./render.js";
+import {
+  describeActiveTab,
+  describeProblem,
+  updateBenchmarkBox,
+  updateSidebar,
+  updateStressTestBox,
+} from "./sidebar.js";
+import {
+  getActiveRings,
   getActiveVertices,
+  findReeveHeight,
+  getEhrhartPolygon,
+  getLinkedHandles,
+  handleIndex,
+  isOverlapMode,
+  locateHandle,
+  orbitBy,
+  reeveTetrahedron,
   resetInductionStep,
   setActiveHandle,
+  setHandleVertex,
+  setRejectedEdit,
+  setSelectedHandle,
   setTab,
+  setTransformTween,
   state,
 } from "./state.js";
+import { applyHash, scheduleHashUpdate, writeHash } from "./url-state.js";
+import { buildSceneSvg } from "./svg-export.js";
+import { buildLatexDocument } from "./tikz-export.js";
+import { beginEdit, canRedo, canUndo, commitEdit, redo, undo } from "./history.js";
+import { runCountingBenchmark, runStressTest, STRESS_LIMITS } from "./stress-test.js";
+import {
+  createTransformTween,
+  findImageProblem,
+  findTransformProblem,
+  TRANSFORM_PRESETS,
+  transformVertices,
+  tweenProgress,
+} from "./transform.js";
 
 const dom = {
   canvas: document.getElementById("gridCanvas"),
+  liveRegion: document.getElementById("liveRegion"),
+  rejectionBox: document.getElementById("rejectionBox"),
+  rejectionText: document.getElementById("rejectionText"),
   areaEl: document.getElementById("areaValue"),
   boundaryEl: document.getElementById("boundaryValue"),
   interiorEl: document.getElementById("interiorValue"),
@@ -27,10 +106,35 @@ const dom = {
     document.getElementById("vertexB"),
     document.getElementById("vertexC"),
   ],
+  vertexList: document.getElementById("vertexList"),
+  vertexError: document.getElementById("vertexError"),
   tabButtons: document.querySelectorAll(".tab"),
   trianglePanel: document.getElementById("trianglePanel"),
+  polygonPanel: document.getElementById("polygonPanel"),
   additivePanel: document.getElementById("additivePanel"),
   inductionPanel: document.getElementById("inductionPanel"),
+  polyAreaEl: document.getElementById("polyAreaValue"),
+  polyBoundaryEl: document.getElementById("polyBoundaryValue"),
+  polyInteriorEl: document.getElementById("polyInteriorValue"),
+  polyVertexCountEl: document.getElementById("polyVertexCount"),
+  polyConjectureWork: document.getElementById("polyConjectureWork"),
+  snapSelect: document.getElementById("snapSelect"),
+  polyVertexList: document.getElementById("polyVertexList"),
+  holesPanel: document.getElementById("holesPanel"),
+  holesAreaEl: document.getElementById("holesAreaValue"),
+  holesBoundaryEl: document.getElementById("holesBoundaryValue"),
+  holesInteriorEl: document.getElementById("holesInteriorValue"),
+  holesCountEl: document.getElementById("holesCountValue"),
+  holesConjectureWork: document.getElementById("holesConjectureWork"),
+  addHoleBtn: document.getElementById("addHoleBtn"),
+  removeHoleBtn: document.getElementById("removeHoleBtn"),
+  ehrhartPanel: document.getElementById("ehrhartPanel"),
+  ehrhartSource: document.getElementById("ehrhartSource"),
+  ehrhartDilates: document.getElementById("ehrhartDilates"),
+  ehrhartTable: document.getElementById("ehrhartTable"),
+  ehrhartPolynomial: document.getElementById("ehrhartPolynomial"),
+  ehrhartReciprocityTable: document.getElementById("ehrhartReciprocityTable"),
+  ehrhartPick: document.getElementById("ehrhartPick"),
   additiveStats: {
     p1: {
       label: document.getElementById("addP1Label"),
@@ -50,16 +154,39 @@ const dom = {
       boundary: document.getElementById("addUnionBoundary"),
       interior: document.getElementById("addUnionInterior"),
     },
+    intersection: {
+      cluster: document.getElementById("addIntersectionCluster"),
+      label: document.getElementById("addIntersectionLabel"),
+      area: document.getElementById("addIntersectionArea"),
+      boundary: document.getElementById("addIntersectionBoundary"),
+      interior: document.getElementById("addIntersectionInterior"),
+      countedTwice: document.getElementById("addCountedTwice"),
+    },
     edgeInterior: document.getElementById("addEdgeInterior"),
+    edgeInteriorStat: document.getElementById("addEdgeInteriorStat"),
+    sharedSegments: document.getElementById("addSharedSegments"),
     equation: document.getElementById("addInteriorEquation"),
+    inclusionExclusion: document.getElementById("addInclusionExclusion"),
     conjectureWork: document.getElementById("addConjectureWork"),
+    gluedHint: document.getElementById("addGluedHint"),
+    overlapHint: document.getElementById("addOverlapHint"),
   },
-  additiveVertexEls: [
-    document.getElementById("addVertexA"),
-    document.getElementById("addVertexB"),
-    document.getElementById("addVertexC"),
-    document.getElementById("addVertexD"),
-  ],
+  additiveMode: document.getElementById("additiveMode"),
+  additiveVertexList: document.getElementById("addVertexList"),
+  addVertexError: document.getElementById("addVertexError"),
+  stressCount: document.getElementById("stressCount"),
+  stressVertices: document.getElementById("stressVertices"),
+  stressRange: document.getElementById("stressRange"),
+  stressConvex: document.getElementById("stressConvex"),
+  stressRunBtn: document.getElementById("stressRunBtn"),
+  stressError: document.getElementById("stressError"),
+  stressTable: document.getElementById("stressTable"),
+  stressFailures: document.getElementById("stressFailures"),
+  benchmarkRunBtn: document.getElementById("benchmarkRunBtn"),
+  benchmarkError: document.getElementById("benchmarkError"),
+  benchmarkTable: document.getElementById("benchmarkTable"),
+  benchmarkSummary: document.getElementById("benchmarkSummary"),
+  indSource: document.getElementById("indSource"),
   indPrevBtn: document.getElementById("indPrevBtn"),
   indNextBtn: document.getElementById("indNextBtn"),
   indResetBtn: document.getElementById("indResetBtn"),
@@ -76,11 +203,58 @@ const dom = {
   indInterior: document.getElementById("indInterior"),
   indConjectureResult: document.getElementById("indConjectureResult"),
   indGlueBox: document.getElementById("indGlueBox"),
-  indNewArea: document.getElementById("indNewArea"),
+  indDeltaALabel: document.getElementById("indDeltaALabel"),
+  indDeltaBLabel: document.getElementById("indDeltaBLabel"),
+  indDeltaILabel: document.getElementById("indDeltaILabel"),
+  indDeltaA: document.getElementById("indDeltaA"),
+  indDeltaB: document.getElementById("indDeltaB"),
+  indDeltaI: document.getElementById("indDeltaI"),
   indAbsorbed: document.getElementById("indAbsorbed"),
+  indGlueWork: document.getElementById("indGlueWork"),
   indConjectureWork: document.getElementById("indConjectureWork"),
   indFinalCheck: document.getElementById("indFinalCheck"),
   indFinalMessage: document.getElementById("indFinalMessage"),
+  engineSelect: document.getElementById("engineSelect"),
+  latticeSelect: document.getElementById("latticeSelect"),
+  latticeCustom: document.getElementById("latticeCustom"),
+  basisInputs: ["basisV1x", "basisV1y", "basisV2x", "basisV2y"].map((id) => document.getElementById(id)),
+  basisApplyBtn: document.getElementById("basisApplyBtn"),
+  latticeBox: document.getElementById("latticeBox"),
+  latticeInfo: document.getElementById("latticeInfo"),
+  reevePanel: document.getElementById("reevePanel"),
+  reeveVolume: document.getElementById("reeveVolume"),
+  reeveBoundary: document.getElementById("reeveBoundary"),
+  reeveInterior: document.getElementById("reeveInterior"),
+  reeveHeight: document.getElementById("reeveHeight"),
+  orbitSpin: document.getElementById("orbitSpin"),
+  tetraVertexList: document.getElementById("tetraVertexList"),
+  tetraVertexEls: document.querySelectorAll("#tetraVertexList [data-handle]"),
+  tetraError: document.getElementById("tetraError"),
+  reeveConjectureWork: document.getElementById("reeveConjectureWork"),
+  reeveTable: document.getElementById("reeveTable"),
+  reeveArgument: document.getElementById("reeveArgument"),
+  transformBox: document.getElementById("transformBox"),
+  transformPresets: document.getElementById("transformPresets"),
+  transformInputs: document.getElementById("transformInputs"),
+  transformMatrix: ["transformA", "transformB", "transformC", "transformD"].map((id) => document.getElementById(id)),
+  transformOffset: ["transformDx", "transformDy"].map((id) => document.getElementById(id)),
+  transformApplyBtn: document.getElementById("transformApplyBtn"),
+  transformError: document.getElementById("transformError"),
+  transformWork: document.getElementById("transformWork"),
+  equivalenceBox: document.getElementById("equivalenceBox"),
+  saveShapeBtn: document.getElementById("saveShapeBtn"),
+  compareShapeBtn: document.getElementById("compareShapeBtn"),
+  equivalenceSaved: document.getElementById("equivalenceSaved"),
+  equivalenceWork: document.getElementById("equivalenceWork"),
+  parityBtn: document.getElementById("parityBtn"),
+  undoBtn: document.getElementById("undoBtn"),
+  redoBtn: document.getElementById("redoBtn"),
+  fitBtn: document.getElementById("fitBtn"),
+  copyLinkBtn: document.getElementById("copyLinkBtn"),
+  exportSvgBtn: document.getElementById("exportSvgBtn"),
+  svgCaption: document.getElementById("svgCaption"),
+  exportTikzBtn: document.getElementById("exportTikzBtn"),
+  toolbarStatus: document.getElementById("toolbarStatus"),
   loadingOverlay: null, // Will be created dynamically
 };
 
@@ -103,6 +277,11 @@ function hideLoadingOverlay() {
   }
 }
 
+function setStatus(message, isError = false) {
+  dom.toolbarStatus.textContent = message;
+  dom.toolbarStatus.classList.toggle("alert", isError);
+}
+
 function pointerPosition(evt) {
   const rect = dom.canvas.getBoundingClientRect();
   return {
@@ -111,26 +290,273 @@ function pointerPosition(evt) {
   };
 }
 
-function recomputeCurrentTab() {
-  if (!isPythonReady()) return;
-  
-  if (state.currentTab === TABS.TRIANGLE) {
-    state.triangleSnapshot = computePolygonSnapshot(state.triangleVertices);
-  } else if (state.currentTab === TABS.ADDITIVE) {
-    state.additiveSnapshot = computeAdditiveSnapshot(state.additiveVertices);
-  } else if (state.currentTab === TABS.INDUCTION) {
-    computeInductionSnapshots();
+/**
+ * Snapshot of the Polygon tab's polygon, with its exact fractional area once
+ * a vertex is off the lattice.
+ */
+function computePolygonTabSnapshot(options) {
+  const vertices = state.polygonVertices;
+  return isLatticeRing(vertices) ? computePolygonSnapshot(vertices, options) : computeRationalSnapshot(vertices, options);
+}
+
+/**
+ * Vertices dragged on the active tab snap to multiples of 1/denominator.
+ */
+function snapDenominator() {
+  return state.currentTab === TABS.POLYGON ? SNAP_DENOMINATORS[state.snapMode] : 1;
+}
+
+async function recomputeAll() {
+  const [triangle, polygon, holes, additive, ehrhart, , tetrahedron, family] = await Promise.all([
+    computePolygonSnapshot(state.triangleVertices),
+    computePolygonTabSnapshot(),
+    computeHolesSnapshot(state.holedPolygon.outer, state.holedPolygon.holes),
+    isOverlapMode() ? computeOverlapSnapshot(...state.additivePolygons) : computeAdditiveSnapshot(...state.additivePolygons),
+    computeEhrhartData(getEhrhartPolygon(), state.ehrhartDilates),
+    computeInductionSnapshots(),
+    computeTetrahedronSnapshot(state.tetrahedron),
+    computeReeveFamily(REEVE_LIMITS.familySize),
+  ]);
+  state.triangleSnapshot = triangle;
+  state.polygonSnapshot = polygon;
+  state.holesSnapshot = holes;
+  if (isOverlapMode()) state.overlapSnapshot = additive;
+  else state.additiveSnapshot = additive;
+  state.ehrhartData = ehrhart;
+  state.tetrahedronSnapshot = tetrahedron;
+  state.reeveFamily = family;
+}
+
+/**
+ * Recompute the active tab's snapshot. Requests go out on a per-tab channel,
+ * so while dragging only the newest position is computed; until it arrives
+ * the scene keeps showing the last good snapshot.
+ */
+async function recomputeCurrentTab() {
+  if (getGeometryBackend() === GEOMETRY_BACKENDS.PYTHON && !isPythonReady()) return;
+
+  const tab = state.currentTab;
+  const options = { channel: tab };
+  if (tab === TABS.TRIANGLE) {
+    const snapshot = await computePolygonSnapshot(state.triangleVertices, options);
+    if (snapshot) state.triangleSnapshot = snapshot;
+  } else if (tab === TABS.POLYGON) {
+    const snapshot = await computePolygonTabSnapshot(options);
+    if (snapshot) state.polygonSnapshot = snapshot;
+  } else if (tab === TABS.HOLES) {
+    const { outer, holes } = state.holedPolygon;
+    const snapshot = await computeHolesSnapshot(outer, holes, options);
+    if (snapshot) state.holesSnapshot = snapshot;
+  } else if (tab === TABS.ADDITIVE && isOverlapMode()) {
+    const snapshot = await computeOverlapSnapshot(...state.additivePolygons, options);
+    if (snapshot) state.overlapSnapshot = snapshot;
+  } else if (tab === TABS.ADDITIVE) {
+    const snapshot = await computeAdditiveSnapshot(...state.additivePolygons, options);
+    if (snapshot) state.additiveSnapshot = snapshot;
+  } else if (tab === TABS.EHRHART) {
+    const data = await computeEhrhartData(getEhrhartPolygon(), state.ehrhartDilates, options);
+    if (data) state.ehrhartData = data;
+  } else if (tab === TABS.INDUCTION) {
+    await computeInductionSnapshots();
+  } else if (tab === TABS.REEVE) {
+    const [snapshot, family] = await Promise.all([
+      computeTetrahedronSnapshot(state.tetrahedron, options),
+      state.reeveFamily.length > 0 ? state.reeveFamily : computeReeveFamily(REEVE_LIMITS.familySize),
+    ]);
+    if (snapshot) state.tetrahedronSnapshot = snapshot;
+    if (family) state.reeveFamily = family;
   }
 }
 
+function updateHistoryButtons() {
+  dom.undoBtn.disabled = !canUndo();
+  dom.redoBtn.disabled = !canRedo();
+}
+
 function refreshUI() {
   updateSidebar(dom);
+  updateHistoryButtons();
   drawScene();
+  scheduleHashUpdate();
+}
+
+function onViewChange() {
+  drawScene();
+  scheduleHashUpdate();
+}
+
+/**
+ * Read the active tab's vertex and A/B/I out through the live region, but only
+ * when something it describes has changed.
+ */
+function announce() {
+  const text = describeActiveTab();
+  if (text && text !== dom.liveRegion.textContent) {
+    dom.liveRegion.textContent = text;
+  }
 }
 
 function onVertexChange() {
-  recomputeCurrentTab();
+  setRejectedEdit(null);
+  setTransformTween(null);
   refreshUI();
+  recomputeCurrentTab().then(() => {
+    refreshUI();
+    announce();
+  });
+}
+
+/**
+ * What is wrong with the active tab's vertices, on the tabs that can explain
+ * it; null elsewhere.
+ */
+function findEditProblems() {
+  if (state.currentTab === TABS.POLYGON) {
+    return findPolygonProblems(state.polygonVertices);
+  }
+  if (state.currentTab === TABS.ADDITIVE) {
+    return findSharedEdgeProblems(...state.additivePolygons, { allowOverlap: isOverlapMode() });
+  }
+  return null;
+}
+
+/**
+ * Whether the active tab's vertices currently form a configuration we accept.
+ */
+function isEditValid() {
+  if (state.currentTab === TABS.HOLES) {
+    return isValidPolygonWithHoles(state.holedPolygon.outer, state.holedPolygon.holes);
+  }
+  const problems = findEditProblems();
+  return !problems || problems.length === 0;
+}
+
+/**
+ * Move a handle together with the handles linked to it.
+ * @returns {number[]} The handles moved, for `rejectEdit` to put back
+ */
+function moveHandle(index, vertex) {
+  const moved = index === state.activeHandle ? state.linkedHandles : getLinkedHandles(index);
+  moved.forEach((i) => setHandleVertex(i, vertex));
+  return moved;
+}
+
+/**
+ * Put the handles from `moveHandle` back after a refused move, keeping the
+ * refused position as a ghost along with the reasons, for the canvas and
+ * sidebar to explain.
+ */
+function rejectEdit(moved, previous) {
+  const problems = findEditProblems();
+  const rings = getActiveRings().map((ring) => ring.map((v) => ({ ...v })));
+  const [index] = moved;
+  const { ringIndex, position } = locateHandle(index);
+  moved.forEach((i) => setHandleVertex(i, previous));
+  setRejectedEdit(
+    problems?.length ? { tab: state.currentTab, rings, handle: index, ring: ringIndex, position, problems } : null
+  );
+  refreshUI();
+}
+
+/**
+ * Whether the active tab lets vertices be inserted and removed.
+ */
+function canEditTopology() {
+  return state.currentTab === TABS.POLYGON || state.currentTab === TABS.HOLES || state.currentTab === TABS.ADDITIVE;
+}
+
+function insertVertex(ringIndex, edgeIndex, vertex) {
+  const verts = getActiveRings()[ringIndex];
+  if (getActiveVertices().some((v) => v.x === vertex.x && v.y === vertex.y)) return;
+  if (getActiveVertices().length >= MAX_VERTICES) {
+    setStatus(`Polygons on this tab are limited to ${MAX_VERTICES} vertices`, true);
+    return;
+  }
+  beginEdit();
+  verts.splice(edgeIndex + 1, 0, vertex);
+  if (!isEditValid()) {
+    verts.splice(edgeIndex + 1, 1);
+    return;
+  }
+  commitEdit();
+  setSelectedHandle(handleIndex(ringIndex, edgeIndex + 1));
+  onVertexChange();
+}
+
+function removeVertex(index) {
+  const location = locateHandle(index);
+  if (!location || location.ring.length <= 3) return;
+  beginEdit();
+  const [removed] = location.ring.splice(location.position, 1);
+  if (!isEditValid()) {
+    location.ring.splice(location.position, 0, removed);
+    return;
+  }
+  commitEdit();
+  setSelectedHandle(null);
+  onVertexChange();
+}
+
+/**
+ * Find a unit square (or failing that a unit triangle) on interior lattice
+ * points that can be cut out as a new hole.
+ */
+function findHolePlacement() {
+  const { outer, holes } = state.holedPolygon;
+  const shapes = [
+    [[0, 0], [1, 0], [1, 1], [0, 1]],
+    [[0, 0], [1, 0], [0, 1]],
+  ];
+  for (const shape of shapes) {
+    for (const [x, y] of state.holesSnapshot.interior_points ?? []) {
+      const hole = shape.map(([dx, dy]) => ({ x: x + dx, y: y + dy }));
+      if (isValidPolygonWithHoles(outer, [...holes, hole])) return hole;
+    }
+  }
+  return null;
+}
+
+function attachHoleControls() {
+  dom.addHoleBtn.addEventListener("click", () => {
+    const hole = findHolePlacement();
+    if (!hole) {
+      setStatus("No room for another hole; enlarge the outer polygon first", true);
+      return;
+    }
+    if (getActiveVertices().length + hole.length > MAX_VERTICES) {
+      setStatus(`Polygons on this tab are limited to ${MAX_VERTICES} vertices`, true);
+      return;
+    }
+    beginEdit();
+    state.holedPolygon.holes.push(hole);
+    commitEdit();
+    setSelectedHandle(null);
+    onVertexChange();
+  });
+
+  dom.removeHoleBtn.addEventListener("click", () => {
+    const { holes } = state.holedPolygon;
+    if (holes.length === 0) return;
+    const location = state.selectedHandle === null ? null : locateHandle(state.selectedHandle);
+    const target = location && location.ringIndex > 0 ? location.ringIndex - 1 : holes.length - 1;
+    beginEdit();
+    holes.splice(target, 1);
+    commitEdit();
+    setSelectedHandle(null);
+    onVertexChange();
+  });
+}
+
+function syncTabButtons() {
+  dom.tabButtons.forEach((btn) => {
+    const isActive = btn.dataset.tab === state.currentTab;
+    btn.classList.toggle("active", isActive);
+    btn.setAttribute("aria-selected", isActive ? "true" : "false");
+  });
+  // The exports draw the plane lattice, which the 3D tab does not use
+  const is3d = state.currentTab === TABS.REEVE;
+  dom.exportSvgBtn.disabled = is3d;
+  dom.exportTikzBtn.disabled = is3d;
 }
 
 function attachTabListeners() {
@@ -139,62 +565,508 @@ function attachTabListeners() {
       const targetTab = button.dataset.tab;
       if (!targetTab || targetTab === state.currentTab) return;
       setTab(targetTab);
-      dom.tabButtons.forEach((btn) => {
-        const isActive = btn.dataset.tab === targetTab;
-        btn.classList.toggle("active", isActive);
-        btn.setAttribute("aria-selected", isActive ? "true" : "false");
-      });
+      setRejectedEdit(null);
+      syncTabButtons();
       setActiveHandle(null);
-      recomputeCurrentTab();
+      setSelectedHandle(null);
+      if (targetTab === TABS.INDUCTION && state.inductionSource !== INDUCTION_SOURCES.STAIRCASE) {
+        // The source polygon may have been edited since the proof was built
+        rebuildInduction();
+      }
       refreshUI();
+      recomputeCurrentTab().then(refreshUI);
     });
   });
 }
 
+// Radians the 3D camera turns per pixel dragged, and per arrow key press
+const ORBIT_PER_PIXEL = 0.01;
+const ORBIT_PER_KEY = 0.1;
+const SPIN_PER_FRAME = 0.008;
+
 function attachPointerHandlers() {
+  // Pointers currently down on the canvas, for drag-to-pan and pinch zoom
+  const pointers = new Map();
+  let panning = false;
+
+  const pinchGeometry = () => {
+    const [a, b] = Array.from(pointers.values());
+    return {
+      midpoint: { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 },
+      distance: Math.hypot(a.x - b.x, a.y - b.y),
+    };
+  };
+
   dom.canvas.addEventListener("pointerdown", (evt) => {
-    if (state.currentTab === TABS.INDUCTION) return;
+    if (evt.button > 0) return;
     const pos = pointerPosition(evt);
-    const hit = findHandle(pos);
+    pointers.set(evt.pointerId, pos);
+    dom.canvas.setPointerCapture(evt.pointerId);
+    if (pointers.size > 1) {
+      // A second finger turns any drag into a pinch
+      if (state.activeHandle !== null) commitEdit();
+      setActiveHandle(null);
+      panning = false;
+      return;
+    }
+
+    const hit = state.currentTab === TABS.INDUCTION || state.currentTab === TABS.REEVE ? null : findHandle(pos);
     if (hit !== null) {
       setActiveHandle(hit);
-      dom.canvas.setPointerCapture(evt.pointerId);
+      setSelectedHandle(hit);
+      beginEdit();
+      return;
+    }
+    panning = true;
+    dom.canvas.classList.add("panning");
+    if (state.selectedHandle !== null) {
+      setSelectedHandle(null);
+      refreshUI();
     }
   });
 
   dom.canvas.addEventListener("pointermove", (evt) => {
-    if (state.activeHandle === null) return;
+    if (!pointers.has(evt.pointerId)) return;
     const pos = pointerPosition(evt);
+
+    if (pointers.size > 1) {
+      const before = pinchGeometry();
+      pointers.set(evt.pointerId, pos);
+      const after = pinchGeometry();
+      panView(after.midpoint.x - before.midpoint.x, after.midpoint.y - before.midpoint.y);
+      if (before.distance > 0) {
+        zoomView(after.distance / before.distance, after.midpoint);
+      }
+      onViewChange();
+      return;
+    }
+
+    const last = pointers.get(evt.pointerId);
+    pointers.set(evt.pointerId, pos);
+    if (panning && state.currentTab === TABS.REEVE) {
+      // Dragging on the 3D tab orbits the camera instead of panning
+      orbitBy((pos.x - last.x) * ORBIT_PER_PIXEL, (pos.y - last.y) * ORBIT_PER_PIXEL);
+      drawScene();
+      return;
+    }
+    if (panning) {
+      panView(pos.x - last.x, pos.y - last.y);
+      onViewChange();
+      return;
+    }
+
+    if (state.activeHandle === null) return;
     const verts = getActiveVertices();
     const previous = { ...verts[state.activeHandle] };
-    const next = canvasToLattice(pos);
+    const next = canvasToLattice(pos, snapDenominator());
     if (previous.x === next.x && previous.y === next.y) {
       return;
     }
-    verts[state.activeHandle] = next;
-    if (
-      state.currentTab === TABS.ADDITIVE &&
-      (!isSimplePolygon(state.additiveVertices) || !trianglesOnOppositeSides(state.additiveVertices))
-    ) {
-      verts[state.activeHandle] = previous;
-      drawScene();
+    const moved = moveHandle(state.activeHandle, next);
+    if (!isEditValid()) {
+      rejectEdit(moved, previous);
       return;
     }
     onVertexChange();
   });
 
   function releasePointer(evt) {
-    if (state.activeHandle !== null && dom.canvas.hasPointerCapture(evt.pointerId)) {
+    if (dom.canvas.hasPointerCapture(evt.pointerId)) {
       dom.canvas.releasePointerCapture(evt.pointerId);
     }
+    pointers.delete(evt.pointerId);
+    if (pointers.size === 0) {
+      panning = false;
+      dom.canvas.classList.remove("panning");
+    }
+    if (state.activeHandle !== null && commitEdit()) {
+      updateHistoryButtons();
+    }
     setActiveHandle(null);
   }
 
   dom.canvas.addEventListener("pointerup", releasePointer);
   dom.canvas.addEventListener("pointercancel", releasePointer);
+
+  dom.canvas.addEventListener(
+    "wheel",
+    (evt) => {
+      evt.preventDefault();
+      zoomView(Math.exp(-evt.deltaY * 0.0015), pointerPosition(evt));
+      onViewChange();
+    },
+    { passive: false }
+  );
+}
+
+function stepHistory(apply) {
+  if (!apply()) return;
+  setActiveHandle(null);
+  setSelectedHandle(null);
+  onVertexChange();
+}
+
+function attachHistoryControls() {
+  dom.undoBtn.addEventListener("click", () => stepHistory(undo));
+  dom.redoBtn.addEventListener("click", () => stepHistory(redo));
+
+  window.addEventListener("keydown", (evt) => {
+    if (!(evt.ctrlKey || evt.metaKey) || evt.altKey) return;
+    if (evt.target instanceof HTMLInputElement || evt.target instanceof HTMLSelectElement) return;
+    const key = evt.key.toLowerCase();
+    if (key === "z") {
+      evt.preventDefault();
+      stepHistory(evt.shiftKey ? redo : undo);
+    } else if (key === "y") {
+      evt.preventDefault();
+      stepHistory(redo);
+    }
+  });
+}
+
+/**
+ * Why a typed vertex position was rejected, or null if it is acceptable.
+ * Typed coordinates also have to keep the triangle non-degenerate.
+ */
+function typedVertexProblem(label) {
+  if (state.currentTab === TABS.TRIANGLE && !isSimplePolygon(getActiveVertices())) {
+    return `Moving ${label} there would make the triangle degenerate (collinear or repeated vertices).`;
+  }
+  const problems = findEditProblems();
+  if (problems?.length) {
+    return describeProblem(problems[0]);
+  }
+  return isEditValid() ? null : `Moving ${label} there is not allowed.`;
+}
+
+/**
+ * Parse a typed whole number such as "-3", or NaN for anything else,
+ * including the "1e3", "0x10" and blank text that Number() would accept.
+ */
+function parseInteger(text) {
+  const trimmed = text.trim();
+  return /^-?\d+$/.test(trimmed) ? Number(trimmed) : NaN;
+}
+
+/**
+ * Wire the coordinate inputs in a sidebar vertex list so typing a coordinate
+ * moves the vertex live, with the same checks as dragging and an inline
+ * message when the position is rejected. Each pair of inputs sits in an
+ * element carrying the vertex's `data-handle` and `data-label`.
+ */
+function attachCoordinateInputs(list, errorEl) {
+  list.addEventListener("input", (evt) => {
+    const input = evt.target;
+    const row = input.closest("[data-handle]");
+    if (!row) return;
+    const idx = Number(row.dataset.handle);
+    const label = row.dataset.label;
+
+    const text = input.value.trim();
+    if (text === "" || text === "-") return;
+
+    const value = parseInteger(text);
+    if (!Number.isInteger(value)) {
+      input.setAttribute("aria-invalid", "true");
+      errorEl.textContent = `${label} needs whole-number coordinates.`;
+      return;
+    }
+
+    const previous = { ...getActiveVertices()[idx] };
+    const next = { ...previous, [input.dataset.axis]: value };
+    if (next.x === previous.x && next.y === previous.y) return;
+    const rangeProblem = findCoordinateProblem([next]);
+    if (rangeProblem) {
+      input.setAttribute("aria-invalid", "true");
+      errorEl.textContent = rangeProblem;
+      return;
+    }
+
+    beginEdit();
+    const moved = moveHandle(idx, next);
+    const problem = typedVertexProblem(label);
+    if (problem) {
+      rejectEdit(moved, previous);
+      input.setAttribute("aria-invalid", "true");
+      errorEl.textContent = problem;
+      return;
+    }
+    commitEdit();
+    input.removeAttribute("aria-invalid");
+    errorEl.textContent = "";
+    setSelectedHandle(idx);
+    onVertexChange();
+  });
+
+  // Leaving a rejected input puts the vertex's real coordinate back
+  list.addEventListener("focusout", () => {
+    errorEl.textContent = "";
+    refreshUI();
+  });
+}
+
+const ARROW_STEPS = {
+  ArrowLeft: { x: -1, y: 0 },
+  ArrowRight: { x: 1, y: 0 },
+  ArrowUp: { x: 0, y: 1 },
+  ArrowDown: { x: 0, y: -1 },
+};
+
+/**
+ * Keyboard editing on the focused canvas: Tab and Shift+Tab cycle through
+ * the handles (leaving the canvas after the last one), the arrow keys move
+ * the selected vertex one snapping step, and Escape clears the selection.
+ */
+function attachKeyboardEditing() {
+  dom.canvas.addEventListener("keydown", (evt) => {
+    if (state.currentTab === TABS.REEVE && ARROW_STEPS[evt.key]) {
+      evt.preventDefault();
+      const delta = ARROW_STEPS[evt.key];
+      orbitBy(delta.x * ORBIT_PER_KEY, delta.y * ORBIT_PER_KEY);
+      drawScene();
+      return;
+    }
+    const count = getActiveVertices().length;
+    if (evt.key === "Tab" && count > 0) {
+      const current = state.selectedHandle;
+      const next = evt.shiftKey
+        ? current === null ? count - 1 : current - 1
+        : current === null ? 0 : current + 1;
+      if (next < 0 || next >= count) {
+        setSelectedHandle(null);
+        refreshUI();
+        return;
+      }
+      evt.preventDefault();
+      setSelectedHandle(next);
+      refreshUI();
+      announce();
+    } else if (evt.key === "Escape" && state.selectedHandle !== null) {
+      setSelectedHandle(null);
+      refreshUI();
+    } else if (ARROW_STEPS[evt.key] && state.selectedHandle !== null) {
+      evt.preventDefault();
+      const previous = { ...getActiveVertices()[state.selectedHandle] };
+      const delta = ARROW_STEPS[evt.key];
+      const denominator = snapDenominator();
+      const next = { x: previous.x + delta.x / denominator, y: previous.y + delta.y / denominator };
+      beginEdit();
+      const moved = moveHandle(state.selectedHandle, snapToFraction(next, denominator));
+      if (!isEditValid()) {
+        const problems = findEditProblems();
+        rejectEdit(moved, previous);
+        dom.liveRegion.textContent = problems?.length
+          ? `Cannot move there: ${describeProblem(problems[0])}`
+          : "Cannot move there: the shape would no longer be valid.";
+        return;
+      }
+      commitEdit();
+      onVertexChange();
+    }
+  });
+
+  // The focus ring is only drawn while the canvas has focus
+  dom.canvas.addEventListener("focus", drawScene);
+  dom.canvas.addEventListener("blur", drawScene);
+}
+
+function downloadText(text, type, filename) {
+  const url = URL.createObjectURL(new Blob([text], { type }));
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  link.click();
+  // Some browsers start the download after click() returns, so keep the URL alive until then
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+function attachExportControls() {
+  dom.exportSvgBtn.addEventListener("click", () => {
+    const svg = buildSceneSvg(dom.canvas.getBoundingClientRect(), { caption: dom.svgCaption.checked });
+    downloadText(svg, "image/svg+xml", `lattice-${state.currentTab}.svg`);
+    setStatus("SVG exported");
+  });
+
+  dom.exportTikzBtn.addEventListener("click", () => {
+    downloadText(buildLatexDocument(), "application/x-tex", `lattice-${state.currentTab}.tex`);
+    setStatus("LaTeX exported");
+  });
+}
+
+function attachViewControls() {
+  dom.fitBtn.addEventListener("click", () => {
+    fitViewToContent();
+    onViewChange();
+  });
+
+  dom.copyLinkBtn.addEventListener("click", async () => {
+    writeHash();
+    try {
+      await navigator.clipboard.writeText(window.location.href);
+      setStatus("Link copied to the clipboard");
+    } catch (error) {
+      console.error("Failed to copy link:", error);
+      setStatus("Could not copy the link; copy it from the address bar instead", true);
+    }
+  });
+}
+
+function attachPolygonEditing() {
+  dom.canvas.addEventListener("dblclick", (evt) => {
+    if (!canEditTopology()) return;
+    const pos = pointerPosition(evt);
+    if (findHandle(pos) !== null) return;
+    const edge = findEdge(pos);
+    if (edge === null) return;
+    insertVertex(edge.ring, edge.index, canvasToLattice(pos, snapDenominator()));
+  });
+
+  dom.canvas.addEventListener("contextmenu", (evt) => {
+    if (!canEditTopology()) return;
+    evt.preventDefault();
+    const hit = findHandle(pointerPosition(evt));
+    if (hit !== null) {
+      removeVertex(hit);
+    }
+  });
+
+  window.addEventListener("keydown", (evt) => {
+    if (!canEditTopology() || state.selectedHandle === null) return;
+    if (evt.target instanceof HTMLInputElement) return;
+    if (evt.key === "Delete" || evt.key === "Backspace") {
+      evt.preventDefault();
+      removeVertex(state.selectedHandle);
+    }
+  });
+}
+
+/**
+ * Read a whole number from a stress test input, or null if it is outside
+ * [min, max].
+ */
+function readStressOption(input, min, max) {
+  const value = parseInteger(input.value);
+  const ok = Number.isInteger(value) && value >= min && value <= max;
+  input.toggleAttribute("aria-invalid", !ok);
+  return ok ? value : null;
+}
+
+function attachStressTest() {
+  let failures = [];
+
+  dom.stressRunBtn.addEventListener("click", async () => {
+    const { minCount, maxCount, minVertices, maxVertices, minRange, maxRange } = STRESS_LIMITS;
+    const count = readStressOption(dom.stressCount, minCount, maxCount);
+    const vertexCount = readStressOption(dom.stressVertices, minVertices, maxVertices);
+    const range = readStressOption(dom.stressRange, minRange, maxRange);
+    if (count === null || vertexCount === null || range === null) {
+      dom.stressError.textContent =
+        `Use ${minCount}–${maxCount} polygons, ${minVertices}–${maxVertices} vertices and a range of ${minRange}–${maxRange}.`;
+      return;
+    }
+
+    dom.stressError.textContent = "";
+    dom.stressRunBtn.disabled = true;
+    try {
+      const result = await runStressTest({ count, vertexCount, range, convex: dom.stressConvex.checked });
+      failures = result.failures;
+      updateStressTestBox(dom, result);
+    } catch (error) {
+      dom.stressError.textContent = error.message;
+    } finally {
+      dom.stressRunBtn.disabled = false;
+    }
+  });
+
+  // Load a failing polygon into the canvas so it can be inspected
+  dom.stressFailures.addEventListener("click", (evt) => {
+    const button = evt.target.closest("[data-failure]");
+    const failure = button && failures[Number(button.dataset.failure)];
+    if (!failure) return;
+    beginEdit();
+    state.polygonVertices = failure.vertices.map((v) => ({ ...v }));
+    commitEdit();
+    setSelectedHandle(null);
+    fitViewToContent();
+    onVertexChange();
+    setStatus(`Loaded failing polygon #${failure.index + 1}`);
+  });
+
+  dom.benchmarkRunBtn.addEventListener("click", async () => {
+    const vertices = state.polygonVertices.map((v) => ({ ...v }));
+    if (!isLatticeRing(vertices)) {
+      dom.benchmarkError.textContent = "Snap the vertices back to lattice points to benchmark the lattice point count.";
+      return;
+    }
+    dom.benchmarkError.textContent = "";
+    dom.benchmarkRunBtn.disabled = true;
+    try {
+      updateBenchmarkBox(dom, await runCountingBenchmark(vertices));
+    } catch (error) {
+      dom.benchmarkError.textContent = error.message;
+    } finally {
+      dom.benchmarkRunBtn.disabled = false;
+    }
+  });
+}
+
+function attachAdditiveControls() {
+  const cloneRings = (rings) => rings.map((ring) => ring.map((v) => ({ ...v })));
+  // P1 and P2 as they were when overlapping was switched on, to go back to if
+  // they no longer fit together when it is switched off again
+  let lastGlued = cloneRings(initialAdditive);
+
+  dom.additiveMode.addEventListener("change", () => {
+    const mode = dom.additiveMode.value;
+    if (mode === ADDITIVE_MODES.OVERLAP) {
+      lastGlued = cloneRings(state.additivePolygons);
+    } else if (findSharedEdgeProblems(...state.additivePolygons).length > 0) {
+      state.additivePolygons = cloneRings(lastGlued);
+      setStatus("P1 and P2 no longer shared an edge without overlapping, so they are back where they were last glued");
+    }
+    state.additiveMode = mode;
+    setSelectedHandle(null);
+    onVertexChange();
+  });
+}
+
+function attachEhrhartControls() {
+  dom.ehrhartSource.addEventListener("change", () => {
+    state.ehrhartSource = dom.ehrhartSource.value;
+    onVertexChange();
+  });
+
+  dom.ehrhartDilates.addEventListener("change", () => {
+    state.ehrhartDilates = Number(dom.ehrhartDilates.value);
+    onVertexChange();
+  });
+}
+
+/**
+ * Rebuild the induction triangles from the selected source, falling back to
+ * the staircase if the source polygon cannot be triangulated or is too large. The step is
+ * reset whenever the decomposition changes.
+ */
+function rebuildInduction() {
+  const previous = JSON.stringify(state.inductionTriangles);
+  const problem = buildInductionTriangles();
+  if (problem) {
+    state.inductionSource = INDUCTION_SOURCES.STAIRCASE;
+    buildInductionTriangles();
+    setStatus(`That polygon ${problem}, so the staircase is shown instead`, true);
+  }
+  if (JSON.stringify(state.inductionTriangles) !== previous) {
+    resetInductionStep();
+  }
 }
 
 function attachInductionControls() {
+  dom.indSource.addEventListener("change", () => {
+    state.inductionSource = dom.indSource.value;
+    rebuildInduction();
+    onVertexChange();
+  });
+
   dom.indPrevBtn.addEventListener("click", () => {
     if (state.inductionStep > 0) {
       state.inductionStep -= 1;
@@ -215,8 +1087,276 @@ function attachInductionControls() {
   });
 }
 
+function attachEngineControls() {
+  dom.engineSelect.value = getGeometryBackend();
+  dom.engineSelect.addEventListener("change", async () => {
+    setGeometryBackend(dom.engineSelect.value);
+    await recomputeAll();
+    refreshUI();
+    setStatus(
+      dom.engineSelect.value === GEOMETRY_BACKENDS.JS ? "Using the JavaScript engine" : "Using the Python engine"
+    );
+  });
+
+  dom.parityBtn.addEventListener("click", async () => {
+    const clone = (verts) => verts.map((v) => ({ ...v }));
+    dom.parityBtn.disabled = true;
+    try {
+      const polygonOnLattice = isLatticeRing(state.polygonVertices);
+      const { checked, mismatches } = await runParityCheck({
+        polygons: [
+          clone(state.triangleVertices),
+          ...(polygonOnLattice ? [clone(state.polygonVertices)] : []),
+          ...PARITY_POLYGONS,
+        ],
+        rationalPolygons: polygonOnLattice
+          ? PARITY_RATIONAL_POLYGONS
+          : [clone(state.polygonVertices), ...PARITY_RATIONAL_POLYGONS],
+        gluedPairs: isOverlapMode() ? PARITY_GLUED_PAIRS : [state.additivePolygons.map(clone), ...PARITY_GLUED_PAIRS],
+        overlappingPairs: isOverlapMode()
+          ? [state.additivePolygons.map(clone), ...PARITY_OVERLAPPING_PAIRS]
+          : PARITY_OVERLAPPING_PAIRS,
+        holed: [
+          { outer: clone(state.holedPolygon.outer), holes: state.holedPolygon.holes.map(clone) },
+          ...PARITY_HOLED_POLYGONS,
+        ],
+        tetrahedra: [state.tetrahedron.map((v) => ({ ...v })), ...PARITY_TETRAHEDRA],
+      });
+      if (mismatches.length === 0) {
+        setStatus(`Engines agree on ${checked} configurations`);
+      } else {
+        console.table(mismatches);
+        setStatus(`${mismatches.length} mismatches across ${checked} configurations (see console)`, true);
+      }
+    } catch (error) {
+      console.error("Parity check failed:", error);
+      setStatus(`Parity check failed: ${error.message}`, true);
+    } finally {
+      dom.parityBtn.disabled = false;
+    }
+  });
+}
+
+/**
+ * Show the lattice preset, and the custom basis inputs when they apply.
+ */
+function syncLatticeControls() {
+  const { preset, basis } = state.lattice;
+  dom.latticeSelect.value = preset;
+  dom.latticeCustom.classList.toggle("hidden", preset !== LATTICE_PRESETS.CUSTOM);
+  const values = basis.flatMap((v) => [v.x, v.y]);
+  dom.basisInputs.forEach((input, idx) => {
+    input.value = Number(values[idx].toFixed(4));
+    input.removeAttribute("aria-invalid");
+  });
+}
+
+function onLatticeChange() {
+  syncLatticeControls();
+  fitViewToContent();
+  refreshUI();
+}
+
+function attachLatticeControls() {
+  syncLatticeControls();
+
+  dom.latticeSelect.addEventListener("change", () => {
+    const preset = dom.latticeSelect.value;
+    // A custom basis starts from the one on screen
+    setLattice(preset, preset === LATTICE_PRESETS.CUSTOM ? state.lattice.basis : undefined);
+    onLatticeChange();
+  });
+
+  const applyBasis = () => {
+    const [x1, y1, x2, y2] = dom.basisInputs.map((input) => (input.value.trim() === "" ? NaN : Number(input.value)));
+    const basis = [
+      { x: x1, y: y1 },
+      { x: x2, y: y2 },
+    ];
+    const problem = findBasisProblem(basis);
+    if (problem) {
+      dom.basisInputs.forEach((input) => input.setAttribute("aria-invalid", "true"));
+      setStatus(problem, true);
+      return;
+    }
+    setLattice(LATTICE_PRESETS.CUSTOM, basis);
+    onLatticeChange();
+    setStatus("Custom lattice basis applied");
+  };
+  dom.basisApplyBtn.addEventListener("click", applyBasis);
+  dom.latticeCustom.addEventListener("keydown", (evt) => {
+    if (evt.key === "Enter") applyBasis();
+  });
+}
+
+function attachReeveControls() {
+  dom.reeveHeight.addEventListener("change", () => {
+    const { minHeight, maxHeight } = REEVE_LIMITS;
+    const height = parseInteger(dom.reeveHeight.value);
+    const ok = Number.isInteger(height) && height >= minHeight && height <= maxHeight;
+    dom.reeveHeight.toggleAttribute("aria-invalid", !ok);
+    if (!ok) {
+      dom.tetraError.textContent = `Choose a height r from ${minHeight} to ${maxHeight}.`;
+      return;
+    }
+    dom.tetraError.textContent = "";
+    state.reeveHeight = height;
+    state.tetrahedron = reeveTetrahedron(height);
+    onVertexChange();
+  });
+
+  // Typing a coordinate moves that vertex once the four still span a tetrahedron
+  dom.tetraVertexList.addEventListener("input", (evt) => {
+    const row = evt.target.closest("[data-handle]");
+    if (!row) return;
+    const inputs = [...row.querySelectorAll("input")];
+    const read = (axis) => {
+      const input = inputs.find((el) => el.dataset.axis === axis);
+      return parseInteger(input.value);
+    };
+    const vertices = state.tetrahedron.map((v) => ({ ...v }));
+    vertices[Number(row.dataset.handle)] = { x: read("x"), y: read("y"), z: read("z") };
+    const problem = findTetrahedronProblem(vertices);
+    inputs.forEach((input) => input.toggleAttribute("aria-invalid", Boolean(problem)));
+    dom.tetraError.textContent = problem ? `${row.dataset.label}: ${problem}` : "";
+    if (problem) return;
+    state.tetrahedron = vertices;
+    state.reeveHeight = findReeveHeight(vertices);
+    onVertexChange();
+  });
+
+  dom.orbitSpin.addEventListener("change", () => {
+    state.orbitSpin = dom.orbitSpin.checked;
+  });
+}
+
+/**
+ * Apply v ↦ Mv + t to the triangle or polygon, animating the old shape into
+ * its image. The vertices change at once, so the snapshot is recomputed
+ * while the animation runs.
+ */
+function applyTransform(matrix, offset) {
+  const problem = findTransformProblem(matrix, offset);
+  const vertices = getActiveVertices();
+  const image = problem ? null : transformVertices(vertices, matrix, offset);
+  const message = problem ?? findImageProblem(image);
+  dom.transformError.textContent = message ?? "";
+  if (message) return;
+
+  const tab = state.currentTab;
+  const snapshot = tab === TABS.TRIANGLE ? state.triangleSnapshot : state.polygonSnapshot;
+  const tween = createTransformTween(tab, vertices, snapshot, matrix, offset);
+  beginEdit();
+  if (tab === TABS.TRIANGLE) state.triangleVertices = image;
+  else state.polygonVertices = image;
+  commitEdit();
+  state.transformRecord = {
+    tab,
+    matrix,
+    offset,
+    before: { area: snapshot.area, boundary: snapshot.boundary, interior: snapshot.interior },
+    vertices: image,
+  };
+  setSelectedHandle(null);
+  fitViewToContent();
+  onVertexChange();
+  setTransformTween(tween);
+}
+
+function setTransformInputs(matrix, offset) {
+  matrix.flat().forEach((value, idx) => (dom.transformMatrix[idx].value = value));
+  dom.transformOffset[0].value = offset.x;
+  dom.transformOffset[1].value = offset.y;
+}
+
+function attachTransformControls() {
+  dom.transformPresets.addEventListener("click", (evt) => {
+    const preset = TRANSFORM_PRESETS[evt.target.closest("[data-transform]")?.dataset.transform];
+    if (!preset) return;
+    const offset = { x: 0, y: 0 };
+    setTransformInputs(preset.matrix, offset);
+    applyTransform(preset.matrix, offset);
+  });
+
+  const applyInputs = () => {
+    const [a, b, c, d] = dom.transformMatrix.map((input) => parseInteger(input.value));
+    const [x, y] = dom.transformOffset.map((input) => parseInteger(input.value));
+    applyTransform(
+      [
+        [a, b],
+        [c, d],
+      ],
+      { x, y }
+    );
+  };
+  dom.transformApplyBtn.addEventListener("click", applyInputs);
+  dom.transformInputs.addEventListener("keydown", (evt) => {
+    if (evt.key === "Enter") applyInputs();
+  });
+}
+
+/**
+ * Snap every Polygon tab vertex to the chosen grid, as one undoable edit.
+ * Vertices stay put if snapping them would break the polygon.
+ */
+function attachSnapControls() {
+  dom.snapSelect.addEventListener("change", () => {
+    state.snapMode = dom.snapSelect.value;
+    const denominator = SNAP_DENOMINATORS[state.snapMode];
+    const snapped = state.polygonVertices.map((v) => snapToFraction(v, denominator));
+    if (snapped.every((v, idx) => v.x === state.polygonVertices[idx].x && v.y === state.polygonVertices[idx].y)) {
+      refreshUI();
+      return;
+    }
+    if (findPolygonProblems(snapped).length > 0) {
+      setStatus("Snapping every vertex to the new grid would break the polygon; drag them there one at a time.", true);
+      refreshUI();
+      return;
+    }
+    beginEdit();
+    state.polygonVertices = snapped;
+    commitEdit();
+    setSelectedHandle(null);
+    onVertexChange();
+  });
+}
+
+function attachEquivalenceControls() {
+  dom.saveShapeBtn.addEventListener("click", () => {
+    const tab = state.currentTab;
+    state.savedPolygon = { tab, vertices: getActiveVertices().map((v) => ({ ...v })) };
+    refreshUI();
+    setStatus(`Saved the ${tab === TABS.TRIANGLE ? "triangle" : "polygon"} as Q`);
+  });
+
+  dom.compareShapeBtn.addEventListener("click", async () => {
+    const saved = state.savedPolygon;
+    if (!saved) return;
+    const tab = state.currentTab;
+    const vertices = getActiveVertices().map((v) => ({ ...v }));
+    const result = await compareLatticePolygons(vertices, saved.vertices, { channel: "equivalence" });
+    if (!result) return;
+    state.equivalence = { tab, vertices, saved, result };
+    // Ready the transform controls to carry P onto Q
+    if (result.equivalent) {
+      const [x, y] = result.offset;
+      setTransformInputs(result.matrix, { x, y });
+    }
+    refreshUI();
+  });
+}
+
 function setupAnimation() {
   const animate = () => {
+    const tween = state.transformTween;
+    if (tween) {
+      if (tweenProgress(tween) >= 1) setTransformTween(null);
+      if (tween.tab === state.currentTab) drawScene();
+    }
+    if (state.currentTab === TABS.REEVE && state.orbitSpin) {
+      orbitBy(SPIN_PER_FRAME, 0);
+      drawScene();
+    }
     if (state.currentTab === TABS.INDUCTION && state.inductionStep < state.inductionTriangles.length) {
       drawScene();
     }
@@ -232,11 +1372,32 @@ async function initialize() {
   // Initialize renderer and build induction triangles (doesn't need Python)
   initRenderer(dom.canvas);
   buildInductionTriangles();
+
+  // Restore a shared configuration from the URL, if there is one
+  const linkProblems = applyHash(window.location.hash);
+  syncTabButtons();
   
   // Attach event listeners (doesn't need Python)
   attachTabListeners();
   attachPointerHandlers();
+  attachViewControls();
+  attachHistoryControls();
+  attachKeyboardEditing();
+  attachExportControls();
+  attachCoordinateInputs(dom.vertexList, dom.vertexError);
+  attachCoordinateInputs(dom.additiveVertexList, dom.addVertexError);
+  attachPolygonEditing();
+  attachHoleControls();
+  attachStressTest();
+  attachAdditiveControls();
+  attachEhrhartControls();
   attachInductionControls();
+  attachEngineControls();
+  attachLatticeControls();
+  attachTransformControls();
+  attachEquivalenceControls();
+  attachSnapControls();
+  attachReeveControls();
   window.addEventListener("resize", drawScene);
   
   // Draw initial scene with empty data
@@ -245,24 +1406,27 @@ async function initialize() {
   // Load Pyodide and Python geometry module
   try {
     await loadPyodide();
-    
-    // Now compute initial snapshots with Python
-    state.triangleSnapshot = computePolygonSnapshot(state.triangleVertices);
-    state.additiveSnapshot = computeAdditiveSnapshot(state.additiveVertices);
-    computeInductionSnapshots();
-    
-    // Update UI with computed data
-    refreshUI();
-    
-    // Hide loading overlay
-    hideLoadingOverlay();
+    dom.parityBtn.disabled = false;
   } catch (error) {
     console.error("Failed to initialize Python:", error);
-    if (dom.loadingOverlay) {
-      dom.loadingOverlay.querySelector(".loading-text").textContent = 
-        "Failed to load Python. Please refresh the page.";
-    }
+    // Fall back to the JS engine so the app stays usable
+    setGeometryBackend(GEOMETRY_BACKENDS.JS);
+    dom.engineSelect.value = GEOMETRY_BACKENDS.JS;
+    dom.engineSelect.querySelector(`option[value="${GEOMETRY_BACKENDS.PYTHON}"]`).disabled = true;
+    setStatus("Python failed to load; using the JavaScript engine", true);
+  }
+
+  // Now compute initial snapshots with the active engine
+  await recomputeAll();
+
+  // Update UI with computed data
+  refreshUI();
+  if (linkProblems.length > 0) {
+    setStatus(`Some link settings were replaced by defaults: ${linkProblems.join("; ")}`, true);
   }
+
+  // Hide loading overlay
+  hideLoadingOverlay();
   
   // Start animation loop
   setupAnimation();
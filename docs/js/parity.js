@@ -0,0 +1,337 @@
+/**
+ * Parity checker for the two geometry engines.
+ * Runs the Python (Pyodide) and pure-JS engines on the same polygons and
+ * reports every field where their snapshots disagree.
+ */
+
+import * as jsEngine from "./geometry-engine.js";
+import { toNumerators, vertexDenominator } from "./geometry.js";
+import {
+  compareLatticePolygons as pyCompareLattice,
+  computeAdditiveSnapshot as pyComputeAdditive,
+  computeEhrhartData as pyComputeEhrhart,
+  computeHolesSnapshot as pyComputeHoles,
+  computeOverlapSnapshot as pyComputeOverlap,
+  computePolygonSnapshot as pyComputeSnapshot,
+  computeRationalSnapshot as pyComputeRational,
+  computeTetrahedronSnapshot as pyComputeTetrahedron,
+  isPythonReady,
+} from "./pyodide-loader.js";
+
+const toVertices = (pairs) => pairs.map(([x, y]) => ({ x, y }));
+
+// Fixed polygons covering triangles, collinear edges, non-convex shapes, a
+// peak and a plateau poking up into the scanline spans, and one too large for
+// its points to be listed
+export const PARITY_POLYGONS = [
+  [[0, 0], [1, 0], [0, 1]],
+  [[-3, -2], [3, -2], [0, 4]],
+  [[0, 0], [4, 0], [4, 4], [0, 4]],
+  [[0, 0], [6, 0], [6, 2], [3, 1], [0, 2]],
+  [[-4, -3], [4, -3], [5, 2], [1, 0], [-1, 4], [-5, 1]],
+  [[0, 0], [2, 0], [4, 0], [4, 3], [0, 3]],
+  [[-7, -5], [8, -2], [1, 9]],
+  [[0, 0], [3, 0], [4, 3], [5, 0], [6, 0], [7, 2], [9, 2], [10, 0], [12, 0], [12, 6], [0, 6]],
+  [[-1500, -1200], [1700, -900], [300, 1600], [-200, 200]],
+].map(toVertices);
+
+// Polygon pairs glued along a whole edge, part of an edge and a bent path,
+// and two squares too large for their points to be listed
+export const PARITY_GLUED_PAIRS = [
+  [[[-4, -1], [3, -1], [2, 4]], [[-4, -1], [2, 4], [-3, 4]]],
+  [[[0, 0], [4, 0], [4, 4], [0, 4]], [[4, 1], [7, 1], [7, 3], [4, 3]]],
+  [[[0, 0], [4, 0], [4, 4], [0, 4]], [[4, 0], [8, 0], [8, 8], [0, 8], [0, 4], [4, 4]]],
+  [[[0, 0], [100, 0], [100, 100], [0, 100]], [[100, 0], [200, 0], [200, 100], [100, 100]]],
+].map((pair) => pair.map(toVertices));
+
+// Overlapping pairs: a corner overlap, one inside the other, a two-piece
+// intersection, an overlap that also touches along a segment and rectangles
+// too large for their points to be listed
+export const PARITY_OVERLAPPING_PAIRS = [
+  [[[0, 0], [4, 0], [4, 4], [0, 4]], [[2, 2], [6, 2], [6, 6], [2, 6]]],
+  [[[0, 0], [4, 0], [0, 4]], [[0, 1], [4, 1], [4, 3]]],
+  [[[0, 0], [6, 0], [6, 1], [1, 1], [1, 5], [6, 5], [6, 6], [0, 6]], [[3, -1], [5, -1], [5, 7], [3, 7]]],
+  [[[0, 0], [4, 0], [4, 4], [0, 4]], [[3, 1], [6, 1], [6, 6], [1, 6], [1, 4], [2, 4], [2, 5], [3, 5]]],
+  [[[0, 0], [150, 0], [150, 150], [0, 150]], [[50, 50], [250, 50], [250, 150], [50, 150]]],
+].map((pair) => pair.map(toVertices));
+
+// Pairs for the lattice normal form: a unimodular image, a shear, a pair with
+// equal A, B and I that is not equivalent, and an extra collinear vertex
+export const PARITY_EQUIVALENCE_PAIRS = [
+  [[[-3, -2], [3, -2], [0, 4]], [[-5, -7], [7, -1], [7, 2]]],
+  [[[0, 0], [1, 0], [1, 1], [0, 1]], [[0, 0], [1, 0], [2, 1], [1, 1]]],
+  [[[0, 0], [2, 0], [0, 2]], [[0, 0], [4, 0], [0, 1]]],
+  [[[0, 0], [2, 0], [4, 0], [4, 3], [0, 3]], [[0, 0], [4, 0], [4, 3], [0, 3]]],
+].map((pair) => pair.map(toVertices));
+
+// Polygons off the lattice: a half-lattice triangle, a quadrilateral with
+// vertices in thirds, a triangle placed in hundredths and one in halves too
+// large for its points to be listed
+export const PARITY_RATIONAL_POLYGONS = [
+  [[0, 0], [3 / 2, 0], [0, 5 / 2]],
+  [[-1 / 3, 0], [2, 1 / 3], [1, 5 / 3], [0, 2]],
+  [[0.25, -1], [3, 0.5], [1.5, 2.75]],
+  [[-900.5, -800], [950, -850.5], [100, 990.5]],
+].map(toVertices);
+
+// Tetrahedra: Reeve's T_3, a corner simplex with an interior point and a skew one
+export const PARITY_TETRAHEDRA = [
+  [[0, 0, 0], [1, 0, 0], [0, 1, 0], [1, 1, 3]],
+  [[0, 0, 0], [4, 0, 0], [0, 4, 0], [0, 0, 4]],
+  [[-2, 1, 0], [3, -1, 2], [1, 4, -3], [0, 0, 5]],
+].map((tetrahedron) => tetrahedron.map(([x, y, z]) => ({ x, y, z })));
+
+export const PARITY_HOLED_POLYGONS = [
+  { outer: [[-6, -5], [6, -5], [6, 5], [-6, 5]], holes: [[[-3, -2], [0, -2], [-2, 2]]] },
+  {
+    outer: [[0, 0], [10, 0], [10, 6], [0, 6]],
+    holes: [
+      [[2, 2], [4, 2], [4, 4], [2, 4]],
+      [[6, 1], [8, 3], [6, 5]],
+    ],
+  },
+  // Pinched: the hole touches the outer ring at a corner
+  { outer: [[0, 0], [6, 0], [6, 6], [0, 6]], holes: [[[0, 0], [2, 1], [1, 2]]] },
+  // Too large for its points to be listed
+  { outer: [[-300, -300], [300, -300], [300, 300], [-300, 300]], holes: [[[0, 0], [10, 0], [0, 10]]] },
+].map(({ outer, holes }) => ({ outer: toVertices(outer), holes: holes.map(toVertices) }));
+
+function samePoints(a = [], b = []) {
+  if (a.length !== b.length) return false;
+  const keys = new Set(a.map(([x, y]) => `${x},${y}`));
+  return b.every(([x, y]) => keys.has(`${x},${y}`));
+}
+
+function compareSnapshots(prefix, py, js) {
+  const diffs = [];
+  for (const field of ["area", "boundary", "interior"]) {
+    if (Math.abs(py[field] - js[field]) > 1e-9) {
+      diffs.push({ field: `${prefix}${field}`, python: py[field], js: js[field] });
+    }
+  }
+  for (const field of ["boundary_points", "interior_points"]) {
+    if (!samePoints(py[field], js[field])) {
+      diffs.push({ field: `${prefix}${field}`, python: py[field]?.length, js: js[field]?.length });
+    }
+  }
+  return diffs;
+}
+
+function compareRational(py, js) {
+  const diffs = compareSnapshots("", py, js);
+  for (const field of ["area_fraction", "denominator"]) {
+    if (JSON.stringify(py[field]) !== JSON.stringify(js[field])) {
+      diffs.push({ field, python: JSON.stringify(py[field]), js: JSON.stringify(js[field]) });
+    }
+  }
+  return diffs;
+}
+
+/**
+ * Flag an identity that either engine's counts break. Both engines can go
+ * wrong the same way, as when counts were taken from point lists left empty
+ * above MAX_LISTED_POINTS, and comparing them alone would not notice.
+ */
+function checkIdentity(diffs, field, py, js, holds) {
+  if (!holds(py) || !holds(js)) {
+    diffs.push({ field, python: holds(py), js: holds(js) });
+  }
+}
+
+function compareAdditive(py, js) {
+  const diffs = [
+    ...compareSnapshots("p1.", py.p1, js.p1),
+    ...compareSnapshots("p2.", py.p2, js.p2),
+    ...compareSnapshots("union.", py.union, js.union),
+  ];
+  if (py.shared_edge.interior_count !== js.shared_edge.interior_count) {
+    diffs.push({
+      field: "shared_edge.interior_count",
+      python: py.shared_edge.interior_count,
+      js: js.shared_edge.interior_count,
+    });
+  }
+  if (!samePoints(py.shared_edge.points, js.shared_edge.points)) {
+    diffs.push({ field: "shared_edge.points", python: py.shared_edge.points, js: js.shared_edge.points });
+  }
+  if (JSON.stringify(py.shared_edge.segments) !== JSON.stringify(js.shared_edge.segments)) {
+    diffs.push({ field: "shared_edge.segments", python: py.shared_edge.segments, js: js.shared_edge.segments });
+  }
+  checkIdentity(
+    diffs,
+    "I(P1 u P2) = I(P1) + I(P2) + shared",
+    py,
+    js,
+    (s) => s.union.interior === s.p1.interior + s.p2.interior + s.shared_edge.interior_count
+  );
+  return diffs;
+}
+
+function compareOverlap(py, js) {
+  const diffs = [
+    ...compareSnapshots("p1.", py.p1, js.p1),
+    ...compareSnapshots("p2.", py.p2, js.p2),
+    ...compareSnapshots("intersection.", py.intersection, js.intersection),
+    ...compareSnapshots("union.", py.union, js.union),
+  ];
+  if (!samePoints(py.counted_twice, js.counted_twice)) {
+    diffs.push({ field: "counted_twice", python: py.counted_twice.length, js: js.counted_twice.length });
+  }
+  if (py.intersection.rings.length !== js.intersection.rings.length) {
+    diffs.push({ field: "intersection.rings", python: py.intersection.rings.length, js: js.intersection.rings.length });
+  }
+  if (py.intersection.components !== js.intersection.components) {
+    diffs.push({ field: "intersection.components", python: py.intersection.components, js: js.intersection.components });
+  }
+  const points = (snap) => snap.boundary + snap.interior;
+  checkIdentity(
+    diffs,
+    "L(P1 u P2) + L(P1 n P2) = L(P1) + L(P2)",
+    py,
+    js,
+    (s) => points(s.union) + points(s.intersection) === points(s.p1) + points(s.p2)
+  );
+  return diffs;
+}
+
+function compareEhrhart(py, js) {
+  const diffs = [];
+  for (const field of ["quadratic", "linear", "constant", "fits_all"]) {
+    if (py.polynomial[field] !== js.polynomial[field]) {
+      diffs.push({ field: `polynomial.${field}`, python: py.polynomial[field], js: js.polynomial[field] });
+    }
+  }
+  py.dilates.forEach((dilate, idx) => {
+    diffs.push(...compareSnapshots(`dilates[${idx}].`, dilate, js.dilates[idx]));
+  });
+  return diffs;
+}
+
+function compareLattice(py, js) {
+  const diffs = [];
+  const fields = {
+    "first.vertices": [py.first.vertices, js.first.vertices],
+    "second.vertices": [py.second.vertices, js.second.vertices],
+    equivalent: [py.equivalent, js.equivalent],
+    // Python's None arrives as undefined
+    matrix: [py.matrix ?? null, js.matrix],
+    offset: [py.offset ?? null, js.offset],
+  };
+  for (const [field, [python, javascript]] of Object.entries(fields)) {
+    if (JSON.stringify(python) !== JSON.stringify(javascript)) {
+      diffs.push({ field, python: JSON.stringify(python), js: JSON.stringify(javascript) });
+    }
+  }
+  return diffs;
+}
+
+function compareTetrahedra(py, js) {
+  const diffs = [];
+  for (const field of ["volume_sixths", "boundary", "interior"]) {
+    if (py[field] !== js[field]) {
+      diffs.push({ field, python: py[field], js: js[field] });
+    }
+  }
+  const key = (points = []) => points.map((p) => p.join(",")).sort().join(";");
+  for (const field of ["boundary_points", "interior_points"]) {
+    if (key(py[field]) !== key(js[field])) {
+      diffs.push({ field, python: py[field]?.length, js: js[field]?.length });
+    }
+  }
+  return diffs;
+}
+
+/**
+ * Run both engines on every sample and collect mismatches.
+ * @param {Object} [samples]
+ * @param {Array<Array<{x: number, y: number}>>} [samples.polygons]
+ * @param {Array<Array<{x: number, y: number}>>} [samples.rationalPolygons] - Polygons with vertices off the lattice
+ * @param {Array<Array<Array<{x: number, y: number}>>>} [samples.gluedPairs] - [P1, P2] pairs
+ * @param {Array<Array<Array<{x: number, y: number}>>>} [samples.overlappingPairs] - [P1, P2] pairs
+ * @param {Array<{outer: Array, holes: Array}>} [samples.holed]
+ * @param {Array<Array<{x: number, y: number}>>} [samples.ehrhart] - Polygons checked up to 4P
+ * @param {Array<Array<Array<{x: number, y: number}>>>} [samples.equivalencePairs] - Pairs compared by
+ *   lattice normal form
+ * @param {Array<Array<{x: number, y: number, z: number}>>} [samples.tetrahedra]
+ * @returns {Promise<{checked: number, mismatches: Array<Object>}>}
+ */
+export async function runParityCheck({
+  polygons = PARITY_POLYGONS,
+  rationalPolygons = PARITY_RATIONAL_POLYGONS,
+  gluedPairs = PARITY_GLUED_PAIRS,
+  overlappingPairs = PARITY_OVERLAPPING_PAIRS,
+  holed = PARITY_HOLED_POLYGONS,
+  ehrhart = PARITY_POLYGONS.slice(0, 4),
+  equivalencePairs = PARITY_EQUIVALENCE_PAIRS,
+  tetrahedra = PARITY_TETRAHEDRA,
+} = {}) {
+  if (!isPythonReady()) {
+    throw new Error("Python is not loaded, so there is nothing to compare against.");
+  }
+
+  const mismatches = [];
+  for (const vertices of polygons) {
+    const diffs = compareSnapshots("", await pyComputeSnapshot(vertices), jsEngine.computeSnapshot(vertices));
+    diffs.forEach((diff) => mismatches.push({ kind: "snapshot", vertices, ...diff }));
+  }
+  for (const vertices of rationalPolygons) {
+    const denominator = vertexDenominator(vertices);
+    const numerators = toNumerators(vertices, denominator);
+    const diffs = compareRational(
+      await pyComputeRational(numerators, denominator),
+      jsEngine.computeRationalSnapshot(numerators.map((v) => [v.x, v.y]), denominator)
+    );
+    diffs.forEach((diff) => mismatches.push({ kind: "rational", vertices, ...diff }));
+  }
+  for (const [first, second] of gluedPairs) {
+    const diffs = compareAdditive(
+      await pyComputeAdditive(first, second),
+      jsEngine.computeAdditiveSnapshot(first, second)
+    );
+    diffs.forEach((diff) => mismatches.push({ kind: "additive", vertices: first, ...diff }));
+  }
+  for (const [first, second] of overlappingPairs) {
+    const diffs = compareOverlap(
+      await pyComputeOverlap(first, second),
+      jsEngine.computeOverlapSnapshot(first, second)
+    );
+    diffs.forEach((diff) => mismatches.push({ kind: "overlap", vertices: first, ...diff }));
+  }
+  for (const { outer, holes } of holed) {
+    const diffs = compareSnapshots(
+      "",
+      await pyComputeHoles(outer, holes),
+      jsEngine.computeHolesSnapshot(outer, holes)
+    );
+    diffs.forEach((diff) => mismatches.push({ kind: "holes", vertices: outer, ...diff }));
+  }
+  for (const vertices of ehrhart) {
+    const diffs = compareEhrhart(await pyComputeEhrhart(vertices, 4), jsEngine.computeEhrhartData(vertices, 4));
+    diffs.forEach((diff) => mismatches.push({ kind: "ehrhart", vertices, ...diff }));
+  }
+  for (const [first, second] of equivalencePairs) {
+    const diffs = compareLattice(
+      await pyCompareLattice(first, second),
+      jsEngine.compareLatticePolygons(first, second)
+    );
+    diffs.forEach((diff) => mismatches.push({ kind: "equivalence", vertices: first, ...diff }));
+  }
+  for (const vertices of tetrahedra) {
+    const diffs = compareTetrahedra(
+      await pyComputeTetrahedron(vertices),
+      jsEngine.computeTetrahedronSnapshot(vertices)
+    );
+    diffs.forEach((diff) => mismatches.push({ kind: "tetrahedron", vertices, ...diff }));
+  }
+
+  const checked =
+    polygons.length +
+    rationalPolygons.length +
+    gluedPairs.length +
+    overlappingPairs.length +
+    holed.length +
+    ehrhart.length +
+    equivalencePairs.length +
+    tetrahedra.length;
+  return { checked, mismatches };
+}
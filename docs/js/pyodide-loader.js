@@ -1,47 +1,111 @@
 /**
  * Pyodide loader and Python geometry interface.
- * Handles loading Pyodide and providing access to Python geometry functions.
+ * Pyodide and geometry.py run in a Web Worker (geometry-worker.js); this module
+ * is the main-thread side of that worker and exposes a promise-based API.
+ *
+ * Requests can be tagged with a channel. Only one request per channel is in
+ * flight at a time, and a newer request replaces any request still queued on
+ * the same channel, so rapid drags never build up a backlog of stale positions.
+ * A replaced request resolves with `null`.
  */
 
-let pyodide = null;
+let worker = null;
 let pythonReady = false;
 let loadPromise = null;
+let nextRequestId = 1;
 
-// Python geometry functions
-let computeSnapshotPy = null;
-let computeAdditiveSnapshotPy = null;
+const pendingRequests = new Map();
+const channels = new Map();
+
+function postRequest(message) {
+  return new Promise((resolve, reject) => {
+    const id = nextRequestId++;
+    pendingRequests.set(id, { resolve, reject });
+    worker.postMessage({ id, ...message });
+  });
+}
+
+function handleWorkerMessage(evt) {
+  const { id, result, error } = evt.data;
+  const request = pendingRequests.get(id);
+  if (!request) return;
+  pendingRequests.delete(id);
+  if (error) {
+    request.reject(new Error(error));
+  } else {
+    request.resolve(result);
+  }
+}
+
+function handleWorkerError(evt) {
+  const error = new Error(evt.message || "Geometry worker failed to start.");
+  pendingRequests.forEach((request) => request.reject(error));
+  pendingRequests.clear();
+}
+
+/**
+ * Send the next queued request on a channel, if the channel is idle.
+ */
+function drainChannel(name) {
+  const channel = channels.get(name);
+  if (!channel || channel.inFlight || !channel.queued) return;
+
+  const { message, resolve, reject } = channel.queued;
+  channel.queued = null;
+  channel.inFlight = true;
+  postRequest(message)
+    .then(resolve, reject)
+    .finally(() => {
+      channel.inFlight = false;
+      drainChannel(name);
+    });
+}
+
+function sendRequest(message, channelName) {
+  if (!pythonReady) {
+    return Promise.reject(new Error("Python is not ready."));
+  }
+  if (!channelName) {
+    return postRequest(message);
+  }
+
+  if (!channels.has(channelName)) {
+    channels.set(channelName, { inFlight: false, queued: null });
+  }
+  const channel = channels.get(channelName);
+  // Drop whatever was waiting; only the newest request matters
+  channel.queued?.resolve(null);
+
+  return new Promise((resolve, reject) => {
+    channel.queued = { message, resolve, reject };
+    drainChannel(channelName);
+  });
+}
 
 /**
- * Load Pyodide and the geometry module.
+ * Start the geometry worker and wait for Pyodide and the geometry module.
  * @returns {Promise<void>}
  */
 export async function loadPyodide() {
   if (loadPromise) return loadPromise;
-  
+
   loadPromise = (async () => {
     try {
-      // Load Pyodide from CDN
-      pyodide = await globalThis.loadPyodide({
-        indexURL: "https://cdn.jsdelivr.net/pyodide/v0.26.4/full/"
-      });
-      
-      // Fetch and run the Python geometry module
-      const response = await fetch('./py/geometry.py');
-      const pythonCode = await response.text();
-      await pyodide.runPythonAsync(pythonCode);
-      
-      // Get references to Python functions
-      computeSnapshotPy = pyodide.globals.get("compute_snapshot");
-      computeAdditiveSnapshotPy = pyodide.globals.get("compute_additive_snapshot");
-      
+      worker = new Worker(new URL("./geometry-worker.js", import.meta.url));
+      worker.addEventListener("message", handleWorkerMessage);
+      worker.addEventListener("error", handleWorkerError);
+      await postRequest({ type: "init" });
+
       pythonReady = true;
       console.log("Pyodide and geometry module loaded successfully");
     } catch (error) {
       console.error("Failed to load Pyodide:", error);
+      worker?.terminate();
+      worker = null;
       throw error;
     }
   })();
-  
+
   return loadPromise;
 }
 
@@ -62,48 +126,221 @@ export async function waitForPython() {
   await loadPromise;
 }
 
+/**
+ * Call a top-level function from geometry.py in the worker.
+ * @param {string} fn - Python function name
+ * @param {Array} args - Arguments, converted with `toPy` in the worker
+ * @param {{channel?: string}} [options]
+ * @returns {Promise<any>} Converted result, or null if superseded on its channel
+ */
+export function callPython(fn, args, { channel } = {}) {
+  return sendRequest({ type: "call", fn, args }, channel);
+}
+
+const toPairs = (vertices) => vertices.map((v) => [v.x, v.y]);
+
+// Fallback for a call that threw: the empty result, marked `failed: true` so
+// callers can tell an engine error from a genuine result (arrays keep working
+// as arrays)
+const failedResult = (empty) => Object.assign(empty, { failed: true });
+const toTriples = (vertices) => vertices.map((v) => [v.x, v.y, v.z]);
+
 /**
  * Convert JS vertices to Python format and compute snapshot.
  * @param {Array<{x: number, y: number}>} vertices
- * @returns {Object} Polygon snapshot
+ * @param {{channel?: string}} [options]
+ * @returns {Promise<Object|null>} Polygon snapshot
  */
-export function computePolygonSnapshot(vertices) {
-  if (!pythonReady) {
-    return createEmptySnapshot();
-  }
-  
+export async function computePolygonSnapshot(vertices, options) {
   try {
-    const pyVertices = pyodide.toPy(vertices.map(v => [v.x, v.y]));
-    const result = computeSnapshotPy(pyVertices).toJs({ dict_converter: Object.fromEntries });
-    pyVertices.destroy();
-    return result;
+    return await callPython("compute_snapshot", [toPairs(vertices)], options);
   } catch (error) {
     console.error("Error computing polygon snapshot:", error);
-    return createEmptySnapshot();
+    return failedResult(createEmptySnapshot());
   }
 }
 
 /**
- * Convert JS vertices to Python format and compute additive snapshot.
- * @param {Array<{x: number, y: number}>} vertices - Must be exactly 4 vertices
- * @returns {Object} Additive snapshot with t1, t2, union, and shared_edge
+ * Compute the snapshot of a polygon with rational vertices
+ * `numerators[i] / denominator`.
+ * @param {Array<{x: number, y: number}>} numerators - Integer numerators
+ * @param {number} denominator
+ * @param {{channel?: string}} [options]
+ * @returns {Promise<Object|null>} Polygon snapshot plus `area_fraction` and `denominator`
  */
-export function computeAdditiveSnapshot(vertices) {
-  if (!pythonReady) {
-    return createEmptyAdditiveSnapshot();
+export async function computeRationalSnapshot(numerators, denominator, options) {
+  try {
+    return await callPython("compute_rational_snapshot", [toPairs(numerators), denominator], options);
+  } catch (error) {
+    console.error("Error computing rational polygon snapshot:", error);
+    return failedResult(createEmptyRationalSnapshot());
+  }
+}
+
+/**
+ * Time the scanline interior count against the original ray casting on the
+ * dilates of a polygon, inside the worker.
+ * @param {Array<{x: number, y: number}>} vertices
+ * @param {number[]} scales
+ * @param {number} maxRayCastingArea - Bounding box size above which ray casting is skipped
+ * @returns {Promise<Array<Object>>} One row per scale, empty and marked `failed` on error
+ */
+export async function benchmarkInteriorCounting(vertices, scales, maxRayCastingArea) {
+  try {
+    return await callPython("benchmark_interior_counting", [toPairs(vertices), scales, maxRayCastingArea]);
+  } catch (error) {
+    console.error("Error benchmarking interior counting:", error);
+    return failedResult([]);
+  }
+}
+
+/**
+ * Compute snapshots for several polygons in a single worker round trip.
+ * @param {Array<Array<{x: number, y: number}>>} polygons
+ * @returns {Promise<Array<Object>>} One snapshot per polygon; a polygon the
+ *   engine failed on, or every polygon if the whole batch fails, gets an empty
+ *   snapshot marked `failed: true`
+ */
+export async function computePolygonSnapshots(polygons) {
+  try {
+    const calls = polygons.map((vertices) => ({ fn: "compute_snapshot", args: [toPairs(vertices)] }));
+    const outcomes = await sendRequest({ type: "batch", calls });
+    return outcomes.map(({ result, error }) => {
+      if (error === undefined) return result;
+      console.error("Error computing polygon snapshot:", error);
+      return failedResult(createEmptySnapshot());
+    });
+  } catch (error) {
+    console.error("Error computing polygon snapshots:", error);
+    return polygons.map(() => failedResult(createEmptySnapshot()));
   }
-  
+}
+
+/**
+ * Convert JS vertices to Python format and compute the snapshot of two
+ * polygons glued along a common edge.
+ * @param {Array<{x: number, y: number}>} first
+ * @param {Array<{x: number, y: number}>} second
+ * @param {{channel?: string}} [options]
+ * @returns {Promise<Object|null>} Additive snapshot with p1, p2, union, and shared_edge
+ */
+export async function computeAdditiveSnapshot(first, second, options) {
   try {
-    const pyVertices = pyodide.toPy(vertices.map(v => [v.x, v.y]));
-    const result = computeAdditiveSnapshotPy(pyVertices).toJs({ dict_converter: Object.fromEntries });
-    pyVertices.destroy();
-    return result;
+    return await callPython("compute_additive_snapshot", [toPairs(first), toPairs(second)], options);
   } catch (error) {
     console.error("Error computing additive snapshot:", error);
-    return createEmptyAdditiveSnapshot();
+    return failedResult(createEmptyAdditiveSnapshot());
+  }
+}
+
+/**
+ * Compute the snapshot of two polygons that may overlap, with their
+ * intersection and the lattice points they both count.
+ * @param {Array<{x: number, y: number}>} first
+ * @param {Array<{x: number, y: number}>} second
+ * @param {{channel?: string}} [options]
+ * @returns {Promise<Object|null>} Overlap snapshot with p1, p2, intersection, union and counted_twice
+ */
+export async function computeOverlapSnapshot(first, second, options) {
+  try {
+    return await callPython("compute_overlap_snapshot", [toPairs(first), toPairs(second)], options);
+  } catch (error) {
+    console.error("Error computing overlap snapshot:", error);
+    return failedResult(createEmptyOverlapSnapshot());
+  }
+}
+
+/**
+ * Compute the snapshot of a polygon with holes.
+ * @param {Array<{x: number, y: number}>} outer
+ * @param {Array<Array<{x: number, y: number}>>} holes
+ * @param {{channel?: string}} [options]
+ * @returns {Promise<Object|null>} Snapshot with `holes`, `euler_characteristic` and `pinches`
+ */
+export async function computeHolesSnapshot(outer, holes, options) {
+  try {
+    return await callPython("compute_holes_snapshot", [toPairs(outer), holes.map(toPairs)], options);
+  } catch (error) {
+    console.error("Error computing holes snapshot:", error);
+    return failedResult(createEmptyHolesSnapshot());
+  }
+}
+
+/**
+ * Count lattice points in the dilates of a polygon and fit its Ehrhart polynomial.
+ * @param {Array<{x: number, y: number}>} vertices
+ * @param {number} maxDilate
+ * @param {{channel?: string}} [options]
+ * @returns {Promise<Object|null>} dilates, polynomial and reciprocity
+ */
+export async function computeEhrhartData(vertices, maxDilate, options) {
+  try {
+    return await callPython("compute_ehrhart_data", [toPairs(vertices), maxDilate], options);
+  } catch (error) {
+    console.error("Error computing Ehrhart data:", error);
+    return failedResult(createEmptyEhrhartData());
+  }
+}
+
+/**
+ * Compare two polygons up to GL(2, Z) and integer translations through their
+ * lattice normal forms.
+ * @param {Array<{x: number, y: number}>} first
+ * @param {Array<{x: number, y: number}>} second
+ * @param {{channel?: string}} [options]
+ * @returns {Promise<Object|null>} Both normal forms, whether they agree and,
+ *   if so, the map sending the first polygon onto the second
+ */
+export async function compareLatticePolygons(first, second, options) {
+  try {
+    return await callPython("compare_lattice_polygons", [toPairs(first), toPairs(second)], options);
+  } catch (error) {
+    console.error("Error comparing lattice polygons:", error);
+    return failedResult(createEmptyComparison());
+  }
+}
+
+/**
+ * Count the lattice points of a lattice tetrahedron and compute its volume.
+ * @param {Array<{x: number, y: number, z: number}>} vertices
+ * @param {{channel?: string}} [options]
+ * @returns {Promise<Object|null>} Snapshot with volume, volume_sixths, boundary and interior
+ */
+export async function computeTetrahedronSnapshot(vertices, options) {
+  try {
+    return await callPython("compute_tetrahedron_snapshot", [toTriples(vertices)], options);
+  } catch (error) {
+    console.error("Error computing tetrahedron snapshot:", error);
+    return failedResult(createEmptyTetrahedronSnapshot());
+  }
+}
+
+/**
+ * Snapshots of the Reeve tetrahedra T_1, ..., T_maxHeight.
+ * @param {number} maxHeight
+ * @param {{channel?: string}} [options]
+ * @returns {Promise<Array<Object>|null>} One tetrahedron snapshot per height `r`
+ */
+export async function computeReeveFamily(maxHeight, options) {
+  try {
+    return await callPython("compute_reeve_family", [maxHeight], options);
+  } catch (error) {
+    console.error("Error computing Reeve tetrahedra:", error);
+    return failedResult([]);
   }
 }
 
+/**
+ * Create empty Ehrhart data (used as fallback).
+ */
+export function createEmptyEhrhartData() {
+  return {
+    dilates: [],
+    polynomial: { quadratic: 0, linear: 0, constant: 0, fits_all: false },
+    reciprocity: [],
+  };
+}
+
 /**
  * Create an empty polygon snapshot (used as fallback).
  */
@@ -114,6 +351,30 @@ export function createEmptySnapshot() {
     interior: 0,
     boundary_points: [],
     interior_points: [],
+    points_listed: true,
+  };
+}
+
+/**
+ * Create an empty snapshot for a polygon with rational vertices (used as fallback).
+ */
+export function createEmptyRationalSnapshot() {
+  return {
+    ...createEmptySnapshot(),
+    area_fraction: [0, 1],
+    denominator: 1,
+  };
+}
+
+/**
+ * Create an empty snapshot for a polygon with holes (used as fallback).
+ */
+export function createEmptyHolesSnapshot() {
+  return {
+    ...createEmptySnapshot(),
+    holes: 0,
+    euler_characteristic: 1,
+    pinches: 0,
   };
 }
 
@@ -122,14 +383,70 @@ export function createEmptySnapshot() {
  */
 export function createEmptyAdditiveSnapshot() {
   return {
-    t1: createEmptySnapshot(),
-    t2: createEmptySnapshot(),
-    union: createEmptySnapshot(),
+    p1: createEmptySnapshot(),
+    p2: createEmptySnapshot(),
+    union: { ...createEmptySnapshot(), vertices: [] },
     shared_edge: {
       points: [],
       interior_count: 0,
-      endpoints: [[0, 0], [0, 0]],
+      segments: [],
     },
   };
 }
 
+/**
+ * Create an empty overlap snapshot (used as fallback).
+ */
+export function createEmptyOverlapSnapshot() {
+  return {
+    p1: createEmptySnapshot(),
+    p2: createEmptySnapshot(),
+    intersection: { ...createEmptySnapshot(), rings: [], components: 0 },
+    union: createEmptySnapshot(),
+    counted_twice: [],
+    points_listed: true,
+  };
+}
+
+/**
+ * Create an empty tetrahedron snapshot (used as fallback).
+ */
+export function createEmptyTetrahedronSnapshot() {
+  return {
+    volume: 0,
+    volume_sixths: 0,
+    boundary: 0,
+    interior: 0,
+    boundary_points: [],
+    interior_points: [],
+  };
+}
+
+/**
+ * Create an empty lattice normal form (used as fallback).
+ */
+export function createEmptyNormalForm() {
+  return {
+    vertices: [],
+    matrix: [
+      [1, 0],
+      [0, 1],
+    ],
+    offset: [0, 0],
+    corners: 0,
+    area: 0,
+  };
+}
+
+/**
+ * Create an empty polygon comparison (used as fallback).
+ */
+export function createEmptyComparison() {
+  return {
+    first: createEmptyNormalForm(),
+    second: createEmptyNormalForm(),
+    equivalent: false,
+    matrix: null,
+    offset: null,
+  };
+}
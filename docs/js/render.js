@@ -1,15 +1,29 @@
 import {
   BASE_CASE_COLORS,
+  COUNTED_TWICE_COLOR,
   DEFAULT_SCALE,
   INDUCTION_SCALE,
+  MAX_SCALE,
+  MIN_SCALE,
   SHARED_EDGE_COLOR,
   TABS,
-  latticeRange,
-  inductionOuterTriangle,
 } from "./constants.js";
 import { clampVertex } from "./geometry.js";
-import { getSharedEdgeForStep } from "./induction.js";
-import { getActiveVertices, setOriginFromRect, state } from "./state.js";
+import { getSharedEdgesForStep } from "./induction.js";
+import { getDeterminant, latticeToWorld, nearestLatticePoint, worldToLattice } from "./lattice.js";
+import {
+  getActiveRings,
+  getActiveVertices,
+  getEhrhartPolygon,
+  getRejectedEdit,
+  getTransformTween,
+  getView,
+  isOverlapMode,
+  resetOrbit,
+  setOriginFromRect,
+  state,
+} from "./state.js";
+import { tweenProgress, tweenVertex } from "./transform.js";
 
 let canvas;
 let ctx;
@@ -20,23 +34,148 @@ export function initRenderer(canvasElement) {
 }
 
 export function getScale() {
-  return state.currentTab === TABS.INDUCTION ? INDUCTION_SCALE : DEFAULT_SCALE;
+  return getView().scale;
+}
+
+const clampScale = (scale) => Math.max(MIN_SCALE, Math.min(MAX_SCALE, scale));
+
+/**
+ * Vertices the view should frame on the active tab.
+ */
+function getViewContent() {
+  switch (state.currentTab) {
+    case TABS.EHRHART:
+      return getEhrhartPolygon().map((v) => ({ x: v.x * state.ehrhartDilates, y: v.y * state.ehrhartDilates }));
+    case TABS.INDUCTION:
+      return state.inductionOuter;
+    default:
+      return getActiveRings()[0];
+  }
+}
+
+/**
+ * Centre the view on `vertices` and choose the largest scale (up to
+ * `maxScale`) that keeps all of them on the canvas.
+ */
+function fitView(rect, vertices, maxScale) {
+  const view = getView();
+  const points = vertices.map(latticeToWorld);
+  const xs = points.map((v) => v.x);
+  const ys = points.map((v) => v.y);
+  const [minX, maxX, minY, maxY] = [Math.min(...xs), Math.max(...xs), Math.min(...ys), Math.max(...ys)];
+  view.centerX = (minX + maxX) / 2;
+  view.centerY = (minY + maxY) / 2;
+  const padding = 32;
+  view.scale = clampScale(
+    Math.min(
+      maxScale,
+      (rect.width - 2 * padding) / Math.max(1, maxX - minX),
+      (rect.height - 2 * padding) / Math.max(1, maxY - minY)
+    )
+  );
+}
+
+function getFitMaxScale() {
+  return state.currentTab === TABS.EHRHART ? DEFAULT_SCALE : INDUCTION_SCALE;
+}
+
+/**
+ * Fit the active view to the tab's polygon. Tabs whose content changes size
+ * on their own (Ehrhart dilates, induction sources) keep refitting afterwards.
+ */
+export function fitViewToContent() {
+  if (!canvas) return;
+  if (state.currentTab === TABS.REEVE) {
+    resetOrbit();
+    return;
+  }
+  const view = getView();
+  view.auto = state.currentTab === TABS.EHRHART || state.currentTab === TABS.INDUCTION;
+  fitView(canvas.getBoundingClientRect(), getViewContent(), getFitMaxScale());
+}
+
+/**
+ * Move the active view by a canvas-space offset.
+ */
+export function panView(dx, dy) {
+  const view = getView();
+  view.auto = false;
+  view.centerX -= dx / view.scale;
+  view.centerY += dy / view.scale;
+}
+
+/**
+ * Zoom the active view by `factor`, keeping the lattice point under the
+ * canvas position `anchor` fixed.
+ */
+export function zoomView(factor, anchor) {
+  const view = getView();
+  const before = canvasToWorld(anchor);
+  view.auto = false;
+  view.scale = clampScale(view.scale * factor);
+  const rect = canvas.getBoundingClientRect();
+  view.centerX = before.x - (anchor.x - rect.width / 2) / view.scale;
+  view.centerY = before.y + (anchor.y - rect.height / 2) / view.scale;
 }
 
 export function latticeToCanvas(point) {
   const s = getScale();
+  const world = latticeToWorld(point);
   return {
-    x: state.originX + point.x * s,
-    y: state.originY - point.y * s,
+    x: state.originX + world.x * s,
+    y: state.originY - world.y * s,
   };
 }
 
-export function canvasToLattice(point) {
+/**
+ * Canvas position → point in the plane (the view's centre is kept in plane
+ * coordinates, so panning and zooming do not depend on the basis).
+ */
+function canvasToWorld(point) {
   const s = getScale();
-  return clampVertex({
+  return {
     x: (point.x - state.originX) / s,
     y: (state.originY - point.y) / s,
-  });
+  };
+}
+
+/**
+ * The lattice point nearest to a canvas position, or with `denominator` > 1
+ * the nearest point whose coordinates are multiples of 1/denominator, kept
+ * within the editable range.
+ */
+export function canvasToLattice(point, denominator = 1) {
+  if (denominator === 1) return clampVertex(nearestLatticePoint(canvasToWorld(point)));
+  // The nearest point of the finer lattice spanned by v1/d and v2/d
+  const world = canvasToWorld(point);
+  const fine = nearestLatticePoint({ x: world.x * denominator, y: world.y * denominator });
+  return clampVertex({ x: fine.x / denominator, y: fine.y / denominator });
+}
+
+/**
+ * Range of lattice coordinates that covers the canvas, and how many lattice
+ * lines to skip so drawn lines stay at least 8px apart.
+ * @returns {{minX: number, maxX: number, minY: number, maxY: number, step: number}}
+ */
+export function getVisibleLatticeBox(rect) {
+  const corners = [
+    { x: 0, y: 0 },
+    { x: rect.width, y: 0 },
+    { x: 0, y: rect.height },
+    { x: rect.width, y: rect.height },
+  ].map((corner) => worldToLattice(canvasToWorld(corner)));
+  const xs = corners.map((p) => p.x);
+  const ys = corners.map((p) => p.y);
+  const [v1, v2] = state.lattice.basis;
+  // Distance between neighbouring lattice lines, in pixels
+  const spacing = (getDeterminant() / Math.max(Math.hypot(v1.x, v1.y), Math.hypot(v2.x, v2.y))) * getScale();
+  return {
+    minX: Math.floor(Math.min(...xs)),
+    maxX: Math.ceil(Math.max(...xs)),
+    minY: Math.floor(Math.min(...ys)),
+    maxY: Math.ceil(Math.max(...ys)),
+    step: Math.max(1, Math.ceil(8 / spacing)),
+  };
 }
 
 export function findHandle(position) {
@@ -50,49 +189,81 @@ export function findHandle(position) {
   return null;
 }
 
+/**
+ * Find the polygon edge closest to a canvas position.
+ * Returns the ring index and the index of the edge's start vertex within that
+ * ring, or null if nothing is in reach.
+ */
+export function findEdge(position) {
+  const tolerance = 8;
+  let best = null;
+  let bestDist2 = tolerance ** 2;
+  getActiveRings().forEach((verts, ring) => {
+    for (let i = 0; i < verts.length; i++) {
+      const a = latticeToCanvas(verts[i]);
+      const b = latticeToCanvas(verts[(i + 1) % verts.length]);
+      const dx = b.x - a.x;
+      const dy = b.y - a.y;
+      const len2 = dx * dx + dy * dy;
+      if (len2 === 0) continue;
+      const t = Math.max(0, Math.min(1, ((position.x - a.x) * dx + (position.y - a.y) * dy) / len2));
+      const dist2 = (a.x + t * dx - position.x) ** 2 + (a.y + t * dy - position.y) ** 2;
+      if (dist2 <= bestDist2) {
+        best = { ring, index: i };
+        bestDist2 = dist2;
+      }
+    }
+  });
+  return best;
+}
+
+/**
+ * Draw the grid lines, axes and lattice points inside the visible window.
+ * When zoomed far out, lines are thinned to every `step`-th one and the
+ * points are left out.
+ */
 function drawGrid(rect) {
   const s = getScale();
-  const range = state.currentTab === TABS.INDUCTION ? 5 : latticeRange;
+  const { minX, maxX, minY, maxY, step } = getVisibleLatticeBox(rect);
+  const line = (from, to) => {
+    const a = latticeToCanvas(from);
+    const b = latticeToCanvas(to);
+    ctx.beginPath();
+    ctx.moveTo(a.x, a.y);
+    ctx.lineTo(b.x, b.y);
+    ctx.stroke();
+  };
 
   ctx.fillStyle = "#ffffff";
   ctx.fillRect(0, 0, rect.width, rect.height);
 
+  // Lines along v2 through multiples of v1 and along v1 through multiples of v2
   ctx.save();
   ctx.lineWidth = 1;
   ctx.strokeStyle = "#e5e7eb";
-  for (let i = -range; i <= range; i++) {
-    const x = state.originX + i * s;
-    const y = state.originY - i * s;
-    ctx.beginPath();
-    ctx.moveTo(x, 0);
-    ctx.lineTo(x, rect.height);
-    ctx.stroke();
-    ctx.beginPath();
-    ctx.moveTo(0, y);
-    ctx.lineTo(rect.width, y);
-    ctx.stroke();
+  for (let i = Math.ceil(minX / step) * step; i <= maxX; i += step) {
+    line({ x: i, y: minY }, { x: i, y: maxY });
+  }
+  for (let j = Math.ceil(minY / step) * step; j <= maxY; j += step) {
+    line({ x: minX, y: j }, { x: maxX, y: j });
   }
   ctx.restore();
 
   ctx.save();
   ctx.strokeStyle = "#111827";
   ctx.lineWidth = 1.4;
-  ctx.beginPath();
-  ctx.moveTo(0, state.originY);
-  ctx.lineTo(rect.width, state.originY);
-  ctx.stroke();
-  ctx.beginPath();
-  ctx.moveTo(state.originX, 0);
-  ctx.lineTo(state.originX, rect.height);
-  ctx.stroke();
+  line({ x: minX, y: 0 }, { x: maxX, y: 0 });
+  line({ x: 0, y: minY }, { x: 0, y: maxY });
   ctx.restore();
 
+  if (step > 1) return;
   ctx.save();
   ctx.fillStyle = "#9ca3af";
-  const dotSize = state.currentTab === TABS.INDUCTION ? 3.5 : 2.2;
-  for (let x = -range; x <= range; x++) {
-    for (let y = -range; y <= range; y++) {
+  const dotSize = state.currentTab === TABS.INDUCTION ? Math.min(3.5, s / 20) : Math.min(2.2, s / 8);
+  for (let x = minX; x <= maxX; x++) {
+    for (let y = minY; y <= maxY; y++) {
       const p = latticeToCanvas({ x, y });
+      if (p.x < -dotSize || p.x > rect.width + dotSize || p.y < -dotSize || p.y > rect.height + dotSize) continue;
       ctx.beginPath();
       ctx.arc(p.x, p.y, dotSize, 0, Math.PI * 2);
       ctx.fill();
@@ -128,6 +299,25 @@ function drawPolygon(vertexList, options = {}) {
   ctx.restore();
 }
 
+function drawHoledPolygon(outer, holes) {
+  ctx.save();
+  ctx.beginPath();
+  for (const ring of [outer, ...holes]) {
+    const pts = ring.map(latticeToCanvas);
+    ctx.moveTo(pts[0].x, pts[0].y);
+    for (let i = 1; i < pts.length; i++) {
+      ctx.lineTo(pts[i].x, pts[i].y);
+    }
+    ctx.closePath();
+  }
+  ctx.fillStyle = "rgba(27, 154, 170, 0.16)";
+  ctx.fill("evenodd");
+  ctx.strokeStyle = "#1b9aaa";
+  ctx.lineWidth = 2.2;
+  ctx.stroke();
+  ctx.restore();
+}
+
 function drawPoints(points, color, size = 4) {
   ctx.save();
   ctx.fillStyle = color;
@@ -140,57 +330,177 @@ function drawPoints(points, color, size = 4) {
   ctx.restore();
 }
 
-function drawHandles(verts) {
+function drawHandles(verts, selected = null) {
   ctx.save();
-  for (const vertex of verts) {
+  verts.forEach((vertex, idx) => {
     const p = latticeToCanvas(vertex);
     ctx.beginPath();
     ctx.fillStyle = "#ffffff";
-    ctx.strokeStyle = "#1b9aaa";
+    ctx.strokeStyle = idx === selected ? "#f48c06" : "#1b9aaa";
     ctx.lineWidth = 2.4;
     ctx.arc(p.x, p.y, 8, 0, Math.PI * 2);
     ctx.fill();
     ctx.stroke();
+  });
+
+  // Keyboard focus ring around the selected handle
+  if (selected !== null && verts[selected] && document.activeElement === canvas) {
+    const p = latticeToCanvas(verts[selected]);
+    ctx.beginPath();
+    ctx.strokeStyle = "#1d4ed8";
+    ctx.lineWidth = 2;
+    ctx.setLineDash([4, 3]);
+    ctx.arc(p.x, p.y, 13, 0, Math.PI * 2);
+    ctx.stroke();
+    ctx.setLineDash([]);
   }
   ctx.restore();
 }
 
-function drawSharedEdge(sharedEdge, defaultEndpoints) {
+function drawSharedEdge(sharedEdge) {
   if (!sharedEdge) return;
-  const [start, end] = sharedEdge.endpoints || defaultEndpoints;
-  const startPt = latticeToCanvas({ x: start[0], y: start[1] });
-  const endPt = latticeToCanvas({ x: end[0], y: end[1] });
   ctx.save();
   ctx.strokeStyle = SHARED_EDGE_COLOR;
   ctx.lineWidth = 3;
   ctx.setLineDash([6, 6]);
+  for (const [start, end] of sharedEdge.segments ?? []) {
+    const startPt = latticeToCanvas({ x: start[0], y: start[1] });
+    const endPt = latticeToCanvas({ x: end[0], y: end[1] });
+    ctx.beginPath();
+    ctx.moveTo(startPt.x, startPt.y);
+    ctx.lineTo(endPt.x, endPt.y);
+    ctx.stroke();
+  }
+  ctx.setLineDash([]);
+  ctx.restore();
+  drawPoints(sharedEdge.points, SHARED_EDGE_COLOR);
+}
+
+const REJECTED_COLOR = "#b91c1c";
+
+/**
+ * Draw the last refused move: the polygons as they would have been, dashed,
+ * with the edges and vertices at fault in red and a cross where edges would
+ * cross.
+ */
+function drawRejectedEdit() {
+  const edit = getRejectedEdit();
+  if (!edit) return;
+  const rings = edit.rings.map((ring) => ring.map(latticeToCanvas));
+
+  ctx.save();
+  ctx.strokeStyle = "rgba(185, 28, 28, 0.55)";
+  ctx.fillStyle = "rgba(185, 28, 28, 0.06)";
+  ctx.lineWidth = 1.8;
+  ctx.setLineDash([6, 5]);
+  for (const pts of rings) {
+    ctx.beginPath();
+    pts.forEach((p, idx) => (idx === 0 ? ctx.moveTo(p.x, p.y) : ctx.lineTo(p.x, p.y)));
+    ctx.closePath();
+    ctx.fill();
+    ctx.stroke();
+  }
+
+  const ghost = rings[edit.ring][edit.position];
   ctx.beginPath();
-  ctx.moveTo(startPt.x, startPt.y);
-  ctx.lineTo(endPt.x, endPt.y);
+  ctx.arc(ghost.x, ghost.y, 8, 0, Math.PI * 2);
   ctx.stroke();
   ctx.setLineDash([]);
+
+  ctx.strokeStyle = REJECTED_COLOR;
+  ctx.fillStyle = REJECTED_COLOR;
+  ctx.lineWidth = 3.5;
+  for (const problem of edit.problems) {
+    const pts = rings[problem.ring ?? 0];
+    for (const [a, b] of problem.edges) {
+      ctx.beginPath();
+      ctx.moveTo(pts[a].x, pts[a].y);
+      ctx.lineTo(pts[b].x, pts[b].y);
+      ctx.stroke();
+    }
+    for (const idx of problem.vertices) {
+      ctx.beginPath();
+      ctx.arc(pts[idx].x, pts[idx].y, 5, 0, Math.PI * 2);
+      ctx.fill();
+    }
+    if (problem.point) {
+      const p = latticeToCanvas(problem.point);
+      ctx.lineWidth = 2.5;
+      ctx.beginPath();
+      ctx.moveTo(p.x - 6, p.y - 6);
+      ctx.lineTo(p.x + 6, p.y + 6);
+      ctx.moveTo(p.x + 6, p.y - 6);
+      ctx.lineTo(p.x - 6, p.y + 6);
+      ctx.stroke();
+      ctx.lineWidth = 3.5;
+    }
+  }
+  ctx.restore();
+}
+
+/**
+ * Fill the intersection of two overlapping polygons and ring the lattice
+ * points that both of them count.
+ */
+function drawOverlap(overlap) {
+  for (const ring of overlap.intersection.rings) {
+    drawPolygon(
+      ring.map(([x, y]) => ({ x, y })),
+      { fill: "rgba(124, 58, 237, 0.22)", stroke: COUNTED_TWICE_COLOR, lineWidth: 2 }
+    );
+  }
+  ctx.save();
+  ctx.strokeStyle = COUNTED_TWICE_COLOR;
+  ctx.lineWidth = 2;
+  for (const [x, y] of overlap.counted_twice) {
+    const p = latticeToCanvas({ x, y });
+    ctx.beginPath();
+    ctx.arc(p.x, p.y, 7.5, 0, Math.PI * 2);
+    ctx.stroke();
+  }
   ctx.restore();
-  drawPoints(sharedEdge.points, SHARED_EDGE_COLOR);
 }
 
 function drawAdditiveScene() {
+  if (isOverlapMode()) {
+    const [first, second] = state.additivePolygons;
+    drawPoints(state.overlapSnapshot.union.boundary_points, "#f48c06");
+    drawPoints(state.overlapSnapshot.union.interior_points, "#2a9d8f");
+    drawPolygon(first, { fill: "rgba(27, 154, 170, 0.16)", stroke: "#1b9aaa", lineWidth: 2.2 });
+    drawPolygon(second, { fill: "rgba(244, 140, 6, 0.18)", stroke: "#f48c06", lineWidth: 2.2 });
+    drawOverlap(state.overlapSnapshot);
+    drawHandles(getActiveVertices(), state.selectedHandle);
+    return;
+  }
   drawPoints(state.additiveSnapshot.union.boundary_points, "#f48c06");
   drawPoints(state.additiveSnapshot.union.interior_points, "#2a9d8f");
-  const verts = state.additiveVertices;
-  const triangleOne = [verts[0], verts[1], verts[2]];
-  const triangleTwo = [verts[0], verts[3], verts[2]];
-  drawPolygon(triangleOne, { fill: "rgba(27, 154, 170, 0.16)", stroke: "#1b9aaa", lineWidth: 2.2 });
-  drawPolygon(triangleTwo, { fill: "rgba(244, 140, 6, 0.18)", stroke: "#f48c06", lineWidth: 2.2 });
-  drawSharedEdge(state.additiveSnapshot.shared_edge, [
-    [verts[0].x, verts[0].y],
-    [verts[2].x, verts[2].y],
-  ]);
-  drawHandles(state.additiveVertices);
+  const [first, second] = state.additivePolygons;
+  drawPolygon(first, { fill: "rgba(27, 154, 170, 0.16)", stroke: "#1b9aaa", lineWidth: 2.2 });
+  drawPolygon(second, { fill: "rgba(244, 140, 6, 0.18)", stroke: "#f48c06", lineWidth: 2.2 });
+  drawSharedEdge(state.additiveSnapshot.shared_edge);
+  drawHandles(getActiveVertices(), state.selectedHandle);
+}
+
+function drawEhrhartScene() {
+  const base = getEhrhartPolygon();
+  const { dilates } = state.ehrhartData;
+  for (let t = state.ehrhartDilates; t >= 1; t--) {
+    const color = BASE_CASE_COLORS[(t - 1) % BASE_CASE_COLORS.length];
+    const dilate = base.map((v) => ({ x: t * v.x, y: t * v.y }));
+    drawPolygon(dilate, { fill: t === 1 ? color.fill : null, stroke: color.stroke, lineWidth: t === 1 ? 2.5 : 1.8 });
+  }
+  const largest = dilates[dilates.length - 1];
+  if (largest) {
+    const size = Math.max(1.2, Math.min(4, getScale() / 6));
+    drawPoints(largest.boundary_points, "#f48c06", size);
+    drawPoints(largest.interior_points, "#2a9d8f", size);
+  }
 }
 
 function drawInductionScene() {
+  const s = getScale();
   ctx.save();
-  const fullPts = inductionOuterTriangle.map(latticeToCanvas);
+  const fullPts = state.inductionOuter.map(latticeToCanvas);
   ctx.beginPath();
   ctx.moveTo(fullPts[0].x, fullPts[0].y);
   for (let i = 1; i < fullPts.length; i++) {
@@ -204,37 +514,18 @@ function drawInductionScene() {
   ctx.setLineDash([]);
   ctx.restore();
 
+  // Faint mesh of every triangle in the decomposition
   ctx.save();
   ctx.strokeStyle = "#cbd5e1";
   ctx.lineWidth = 1.5;
-  const v0 = inductionOuterTriangle[0];
-  const n = inductionOuterTriangle[1].x - v0.x;
-
-  for (let i = 0; i <= n; i++) {
-    for (let j = 0; j <= n - i; j++) {
-      const p = latticeToCanvas({ x: v0.x + i, y: v0.y + j });
-      if (i + 1 <= n - j) {
-        const p2 = latticeToCanvas({ x: v0.x + i + 1, y: v0.y + j });
-        ctx.beginPath();
-        ctx.moveTo(p.x, p.y);
-        ctx.lineTo(p2.x, p2.y);
-        ctx.stroke();
-      }
-      if (j + 1 <= n - i) {
-        const p2 = latticeToCanvas({ x: v0.x + i, y: v0.y + j + 1 });
-        ctx.beginPath();
-        ctx.moveTo(p.x, p.y);
-        ctx.lineTo(p2.x, p2.y);
-        ctx.stroke();
-      }
-      if (i + 1 <= n - j && j + 1 <= n - i - 1) {
-        const p2 = latticeToCanvas({ x: v0.x + i + 1, y: v0.y + j + 1 });
-        ctx.beginPath();
-        ctx.moveTo(p.x, p.y);
-        ctx.lineTo(p2.x, p2.y);
-        ctx.stroke();
-      }
-    }
+  for (const tri of state.inductionTriangles) {
+    const pts = tri.map(latticeToCanvas);
+    ctx.beginPath();
+    ctx.moveTo(pts[0].x, pts[0].y);
+    ctx.lineTo(pts[1].x, pts[1].y);
+    ctx.lineTo(pts[2].x, pts[2].y);
+    ctx.closePath();
+    ctx.stroke();
   }
   ctx.restore();
 
@@ -253,8 +544,7 @@ function drawInductionScene() {
     ctx.restore();
 
     if (state.inductionStep > 0) {
-      const sharedEdge = getSharedEdgeForStep(state.inductionStep);
-      if (sharedEdge) {
+      for (const sharedEdge of getSharedEdgesForStep(state.inductionStep)) {
         const startPt = latticeToCanvas(sharedEdge.start);
         const endPt = latticeToCanvas(sharedEdge.end);
         ctx.save();
@@ -273,23 +563,166 @@ function drawInductionScene() {
 
   if (state.inductionStep > 0 && state.inductionAccumulatedSnapshots[state.inductionStep - 1]) {
     const snap = state.inductionAccumulatedSnapshots[state.inductionStep - 1];
-    drawPoints(snap.boundary_points, "#f48c06", 7);
-    drawPoints(snap.interior_points, "#2a9d8f", 7);
+    drawPoints(snap.boundary_points, "#f48c06", Math.min(7, s / 10));
+    drawPoints(snap.interior_points, "#2a9d8f", Math.min(7, s / 10));
   }
 
+  const meshVertices = new Map();
+  for (const tri of state.inductionTriangles) {
+    tri.forEach((v) => meshVertices.set(`${v.x},${v.y}`, v));
+  }
   ctx.save();
-  for (let i = 0; i <= n; i++) {
-    for (let j = 0; j <= n - i; j++) {
-      const p = latticeToCanvas({ x: v0.x + i, y: v0.y + j });
+  for (const vertex of meshVertices.values()) {
+    const p = latticeToCanvas(vertex);
+    ctx.beginPath();
+    ctx.fillStyle = "#ffffff";
+    ctx.strokeStyle = "#64748b";
+    ctx.lineWidth = 2;
+    ctx.arc(p.x, p.y, Math.min(8, s / 8), 0, Math.PI * 2);
+    ctx.fill();
+    ctx.stroke();
+  }
+  ctx.restore();
+}
+
+/**
+ * A unimodular transform part way through: the old polygon and its lattice
+ * points carried along the straight paths to their images.
+ */
+function drawTransformTween(tween) {
+  const t = tweenProgress(tween);
+  const carry = (points) =>
+    points.map(([x, y]) => {
+      const p = tweenVertex(tween, { x, y }, t);
+      return [p.x, p.y];
+    });
+  const vertices = tween.vertices.map((v) => tweenVertex(tween, v, t));
+  drawPoints(carry(tween.points.boundary), "#f48c06");
+  drawPoints(carry(tween.points.interior), "#2a9d8f");
+  drawPolygon(vertices);
+  drawHandles(vertices);
+}
+
+// Lattice points of the bounding box are only drawn up to this many
+const MAX_BOX_POINTS = 4000;
+
+/**
+ * Orthographic camera for the 3D tab: turn about the z-axis by the orbit's
+ * yaw, tilt up by its pitch, and scale so the tetrahedron fills the canvas.
+ * Returns a projection from [x, y, z] to canvas {x, y, depth}, where larger
+ * depth is nearer the viewer, carrying that direction as `toViewer`.
+ */
+function tetrahedronCamera(rect, points) {
+  const center = [0, 1, 2].map((axis) => points.reduce((sum, p) => sum + p[axis], 0) / points.length);
+  const radius = Math.max(1, ...points.map((p) => Math.hypot(p[0] - center[0], p[1] - center[1], p[2] - center[2])));
+  const scale = ((Math.min(rect.width, rect.height) * 0.4) / radius) * (getScale() / DEFAULT_SCALE);
+  const { yaw, pitch } = state.orbit;
+  const [cy, sy, cp, sp] = [Math.cos(yaw), Math.sin(yaw), Math.cos(pitch), Math.sin(pitch)];
+  const project = ([x, y, z]) => {
+    const [dx, dy, dz] = [x - center[0], y - center[1], z - center[2]];
+    const right = dx * cy - dy * sy;
+    const forward = dx * sy + dy * cy;
+    return {
+      x: rect.width / 2 + right * scale,
+      y: rect.height / 2 - (forward * sp + dz * cp) * scale,
+      depth: -forward * cp + dz * sp,
+    };
+  };
+  // The direction depth is measured along, in lattice coordinates
+  project.toViewer = [-sy * cp, -cy * cp, sp];
+  return project;
+}
+
+/**
+ * The tetrahedron on the 3D tab: the lattice points of its bounding box,
+ * its faces from back to front with hidden edges dashed, and its boundary
+ * and interior lattice points.
+ */
+function drawTetrahedronScene(rect) {
+  const vertices = state.tetrahedron.map((v) => [v.x, v.y, v.z]);
+  const project = tetrahedronCamera(rect, vertices);
+  const corners = vertices.map(project);
+
+  const lows = [0, 1, 2].map((axis) => Math.min(...vertices.map((v) => v[axis])));
+  const highs = [0, 1, 2].map((axis) => Math.max(...vertices.map((v) => v[axis])));
+  const boxSize = highs.reduce((product, high, axis) => product * (high - lows[axis] + 1), 1);
+  ctx.save();
+  if (boxSize <= MAX_BOX_POINTS) {
+    ctx.fillStyle = "rgba(148, 163, 184, 0.45)";
+    for (let x = lows[0]; x <= highs[0]; x++) {
+      for (let y = lows[1]; y <= highs[1]; y++) {
+        for (let z = lows[2]; z <= highs[2]; z++) {
+          const p = project([x, y, z]);
+          ctx.beginPath();
+          ctx.arc(p.x, p.y, 1.6, 0, Math.PI * 2);
+          ctx.fill();
+        }
+      }
+    }
+  }
+
+  // Face i is opposite vertex i; it faces the viewer when its outward normal
+  // (away from vertex i) points towards the screen
+  const faces = [0, 1, 2, 3].map((i) => {
+    const [a, b, c] = [0, 1, 2, 3].filter((j) => j !== i);
+    const edge = (j) => [0, 1, 2].map((axis) => vertices[j][axis] - vertices[a][axis]);
+    const [u, v, apex] = [edge(b), edge(c), edge(i)];
+    const normal = [u[1] * v[2] - u[2] * v[1], u[2] * v[0] - u[0] * v[2], u[0] * v[1] - u[1] * v[0]];
+    const dot = (w) => normal[0] * w[0] + normal[1] * w[1] + normal[2] * w[2];
+    const outward = dot(apex) > 0 ? -1 : 1;
+    return {
+      corners: [a, b, c].map((j) => corners[j]),
+      front: outward * dot(project.toViewer) > 0,
+      depth: (corners[a].depth + corners[b].depth + corners[c].depth) / 3,
+    };
+  });
+  for (const face of [...faces].sort((f, g) => f.depth - g.depth)) {
+    const [a, b, c] = face.corners;
+    ctx.beginPath();
+    ctx.moveTo(a.x, a.y);
+    ctx.lineTo(b.x, b.y);
+    ctx.lineTo(c.x, c.y);
+    ctx.closePath();
+    ctx.fillStyle = face.front ? "rgba(27, 154, 170, 0.14)" : "rgba(27, 154, 170, 0.06)";
+    ctx.fill();
+  }
+
+  // An edge is hidden when both faces along it look away
+  for (let i = 0; i < 4; i++) {
+    for (let j = i + 1; j < 4; j++) {
+      const [k, l] = [0, 1, 2, 3].filter((m) => m !== i && m !== j);
+      const hidden = !faces[k].front && !faces[l].front;
       ctx.beginPath();
-      ctx.fillStyle = "#ffffff";
-      ctx.strokeStyle = "#64748b";
-      ctx.lineWidth = 2;
-      ctx.arc(p.x, p.y, 8, 0, Math.PI * 2);
-      ctx.fill();
+      ctx.moveTo(corners[i].x, corners[i].y);
+      ctx.lineTo(corners[j].x, corners[j].y);
+      ctx.strokeStyle = "#1b9aaa";
+      ctx.lineWidth = hidden ? 1.4 : 2.2;
+      ctx.setLineDash(hidden ? [5, 4] : []);
       ctx.stroke();
     }
   }
+  ctx.setLineDash([]);
+  ctx.restore();
+
+  const snap = state.tetrahedronSnapshot;
+  const drawPoints3d = (points, color) => {
+    ctx.save();
+    ctx.fillStyle = color;
+    for (const point of points ?? []) {
+      const p = project(point);
+      ctx.beginPath();
+      ctx.arc(p.x, p.y, 4.5, 0, Math.PI * 2);
+      ctx.fill();
+    }
+    ctx.restore();
+  };
+  drawPoints3d(snap.boundary_points, "#f48c06");
+  drawPoints3d(snap.interior_points, "#2a9d8f");
+
+  ctx.save();
+  ctx.font = "600 13px system-ui, sans-serif";
+  ctx.fillStyle = "#0f172a";
+  corners.forEach((p, idx) => ctx.fillText("ABCD"[idx], p.x + 8, p.y - 8));
   ctx.restore();
 }
 
@@ -301,18 +734,41 @@ export function drawScene() {
   canvas.height = rect.height * dpr;
   ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
 
+  if (state.currentTab === TABS.REEVE) {
+    drawTetrahedronScene(rect);
+    return;
+  }
+  if (getView().auto) {
+    fitView(rect, getViewContent(), getFitMaxScale());
+  }
   setOriginFromRect(rect);
   drawGrid(rect);
 
-  if (state.currentTab === TABS.TRIANGLE) {
+  const tween = getTransformTween();
+  if (tween) {
+    drawTransformTween(tween);
+  } else if (state.currentTab === TABS.TRIANGLE) {
     drawPoints(state.triangleSnapshot.boundary_points, "#f48c06");
     drawPoints(state.triangleSnapshot.interior_points, "#2a9d8f");
     drawPolygon(state.triangleVertices);
-    drawHandles(state.triangleVertices);
+    drawHandles(state.triangleVertices, state.selectedHandle);
+  } else if (state.currentTab === TABS.POLYGON) {
+    drawPoints(state.polygonSnapshot.boundary_points, "#f48c06");
+    drawPoints(state.polygonSnapshot.interior_points, "#2a9d8f");
+    drawPolygon(state.polygonVertices);
+    drawHandles(state.polygonVertices, state.selectedHandle);
+  } else if (state.currentTab === TABS.HOLES) {
+    drawPoints(state.holesSnapshot.boundary_points, "#f48c06");
+    drawPoints(state.holesSnapshot.interior_points, "#2a9d8f");
+    drawHoledPolygon(state.holedPolygon.outer, state.holedPolygon.holes);
+    drawHandles(getActiveVertices(), state.selectedHandle);
   } else if (state.currentTab === TABS.ADDITIVE) {
     drawAdditiveScene();
+  } else if (state.currentTab === TABS.EHRHART) {
+    drawEhrhartScene();
   } else if (state.currentTab === TABS.INDUCTION) {
     drawInductionScene();
   }
+  drawRejectedEdit();
 }
 
@@ -1,22 +1,174 @@
-import { BASE_CASE_COLORS, TABS } from "./constants.js";
+import { BASE_CASE_COLORS, GEOMETRY_BACKENDS, INDUCTION_SOURCES, TABS } from "./constants.js";
 import {
   createEmptyAdditiveSnapshot,
+  createEmptyEhrhartData,
+  createEmptyHolesSnapshot,
+  createEmptyOverlapSnapshot,
   createEmptyPolygonSnapshot,
+  createEmptyTetrahedronSnapshot,
   formatArea,
+  formatCoordinate,
+  gcd,
+  isLatticeRing,
 } from "./geometry.js";
 import { renderMath, mathToHtml, MATH } from "./katex-utils.js";
-import { state } from "./state.js";
+import { getGlueSummary } from "./induction.js";
+import { getDeterminant, isSquareLattice } from "./lattice.js";
+import {
+  getActiveRings,
+  getActiveSnapshot,
+  getActiveVertices,
+  getRejectedEdit,
+  isOverlapMode,
+  isPolygonOnLattice,
+  locateHandle,
+  state,
+} from "./state.js";
+import { matrixDeterminant } from "./transform.js";
+
+/**
+ * Show a vertex in its pair of coordinate inputs, leaving alone an input the
+ * user is typing in.
+ */
+function syncCoordInputs(container, vertex) {
+  if (!container) return;
+  for (const input of container.querySelectorAll("input")) {
+    if (input === document.activeElement) continue;
+    input.value = vertex[input.dataset.axis];
+    input.removeAttribute("aria-invalid");
+  }
+}
+
+const sameVertices = (a, b) =>
+  a.length === b.length && a.every((v, idx) => v.x === b[idx].x && v.y === b[idx].y);
+
+const shapeName = (tab) => (tab === TABS.TRIANGLE ? "triangle" : "polygon");
+
+const normalFormLatex = (label, form) =>
+  `\\operatorname{NF}(${label}) = ${form.vertices.map(([x, y]) => `(${x}, ${y})`).join(",\\ ")}`;
+
+const affineMapLatex = ([[a, b], [c, d]], [dx, dy]) =>
+  `v \\mapsto \\begin{pmatrix} ${a} & ${b} \\\\ ${c} & ${d} \\end{pmatrix} v + \\begin{pmatrix} ${dx} \\\\ ${dy} \\end{pmatrix}`;
+
+/**
+ * On the triangle and polygon tabs, the last unimodular transform applied and
+ * A, B and I before and after it, while the shape on screen is its image.
+ */
+function updateTransformBox(dom) {
+  const tab = state.currentTab;
+  const show = tab === TABS.TRIANGLE || tab === TABS.POLYGON;
+  dom.transformBox.classList.toggle("hidden", !show);
+  if (!show) return;
+
+  const record = state.transformRecord;
+  if (!record || record.tab !== tab || !sameVertices(record.vertices, getActiveVertices())) {
+    dom.transformWork.innerHTML = `<div class="hint">Apply a shear, rotation, reflection or any integer matrix with determinant ±1 to the ${shapeName(
+      tab
+    )}.</div>`;
+    return;
+  }
+
+  const after = getActiveSnapshot() ?? createEmptyPolygonSnapshot();
+  const rows = [
+    ["A", formatArea(record.before.area), formatArea(after.area ?? 0)],
+    ["B", record.before.boundary, after.boundary ?? 0],
+    ["I", record.before.interior, after.interior ?? 0],
+  ];
+  const unchanged = rows.every(([, before, value]) => `${before}` === `${value}`);
+  dom.transformWork.innerHTML =
+    linesHtml([
+      {
+        html: mathToHtml(
+          `${affineMapLatex(record.matrix, [record.offset.x, record.offset.y])}, \\quad \\det = ${matrixDeterminant(record.matrix)}`
+        ),
+      },
+    ]) +
+    `<table class="data-table">${tableHtml(
+      ["", "\\text{Before}", "\\text{After}"],
+      rows.map(([label, before, value]) => [mathToHtml(label), before, value])
+    )}</table>` +
+    linesHtml([
+      unchanged
+        ? { html: "Area, B and I are unchanged: the map permutes the lattice points ✓", cls: "success" }
+        : { html: "Area, B or I changed — this should never happen for det ±1", cls: "alert" },
+    ]);
+}
+
+/**
+ * Why two polygons with different normal forms are not lattice-equivalent,
+ * naming an invariant that differs when there is one.
+ */
+function inequivalenceReason({ first, second }) {
+  if (first.corners !== second.corners) {
+    return `P has ${first.corners} corners and Q has ${second.corners}, and unimodular maps send corners to corners.`;
+  }
+  if (first.area !== second.area) {
+    return `Their areas differ (${formatArea(first.area)} and ${formatArea(second.area)}), and unimodular maps preserve area.`;
+  }
+  return "They have the same area and number of corners, but no unimodular map lines up their edges and lattice lengths.";
+}
+
+/**
+ * On the triangle and polygon tabs, the shape saved as Q and the result of
+ * comparing the current shape with it by lattice normal form.
+ */
+function updateEquivalenceBox(dom) {
+  const tab = state.currentTab;
+  // Lattice equivalence only makes sense for lattice polygons
+  const show = (tab === TABS.TRIANGLE || tab === TABS.POLYGON) && isLatticeRing(getActiveVertices());
+  dom.equivalenceBox.classList.toggle("hidden", !show);
+  if (!show) return;
+
+  const saved = state.savedPolygon;
+  dom.compareShapeBtn.disabled = !saved;
+  dom.equivalenceSaved.textContent = saved
+    ? `Q: the ${shapeName(saved.tab)} ${saved.vertices.map((v) => `(${v.x}, ${v.y})`).join(", ")}`
+    : `Save a shape as Q, transform or edit the ${shapeName(tab)}, then compare the two.`;
+
+  const check = state.equivalence;
+  if (
+    !check ||
+    check.tab !== tab ||
+    check.saved !== saved ||
+    !sameVertices(check.vertices, getActiveVertices()) ||
+    check.result.first.corners === 0
+  ) {
+    dom.equivalenceWork.innerHTML = "";
+    return;
+  }
+
+  const { result } = check;
+  const lines = [
+    { html: mathToHtml(normalFormLatex("P", result.first)) },
+    { html: mathToHtml(normalFormLatex("Q", result.second)) },
+  ];
+  if (result.equivalent) {
+    lines.push(
+      { html: `P and Q are lattice-equivalent ✓`, cls: "success" },
+      { html: mathToHtml(`${affineMapLatex(result.matrix, result.offset)} \\text{ sends } P \\text{ onto } Q`) }
+    );
+  } else {
+    lines.push(
+      { html: "P and Q are not lattice-equivalent", cls: "alert" },
+      { html: inequivalenceReason(result) }
+    );
+  }
+  dom.equivalenceWork.innerHTML = linesHtml(lines);
+}
 
 function updateTriangleSidebar(dom) {
   const snap = state.triangleSnapshot ?? createEmptyPolygonSnapshot();
   dom.areaEl.textContent = formatArea(snap.area ?? 0);
   dom.boundaryEl.textContent = snap.boundary ?? 0;
   dom.interiorEl.textContent = snap.interior ?? 0;
-  state.triangleVertices.forEach((vertex, idx) => {
-    if (dom.vertexEls[idx]) {
-      dom.vertexEls[idx].textContent = `(${vertex.x}, ${vertex.y})`;
-    }
-  });
+  state.triangleVertices.forEach((vertex, idx) => syncCoordInputs(dom.vertexEls[idx], vertex));
+}
+
+/**
+ * The exact area of a snapshot with rational vertices, as LaTeX.
+ */
+function fractionLatex([numerator, denominator]) {
+  return denominator === 1 ? String(numerator) : `\\frac{${numerator}}{${denominator}}`;
 }
 
 function conjectureLineKatex(label, labelLatex, snapshot) {
@@ -24,8 +176,12 @@ function conjectureLineKatex(label, labelLatex, snapshot) {
   const boundary = snapshot.boundary ?? 0;
   const interior = snapshot.interior ?? 0;
   const rhs = boundary / 2 + interior - 1;
-  const matches = Math.abs(area - rhs) < 1e-6;
-  const areaStr = formatArea(area);
+  // Off the lattice the area is an exact fraction p/q: compare 2p with (B + 2I - 2)q
+  const fraction = snapshot.area_fraction;
+  const matches = fraction
+    ? 2 * fraction[0] === (boundary + 2 * interior - 2) * fraction[1]
+    : Math.abs(area - rhs) < 1e-6;
+  const areaStr = fraction ? fractionLatex(fraction) : formatArea(area);
   const rhsStr = formatArea(rhs);
   
   const latex = `${labelLatex}: ${areaStr} = \\frac{${boundary}}{2} + ${interior} - 1 = ${rhsStr}`;
@@ -36,12 +192,392 @@ function conjectureLineKatex(label, labelLatex, snapshot) {
   };
 }
 
+const pointText = (v) => `(${formatCoordinate(v.x)}, ${formatCoordinate(v.y)})`;
+
+function vertexLabel(idx) {
+  return idx < 26 ? String.fromCharCode(65 + idx) : `V${idx + 1}`;
+}
+
+/**
+ * One sentence explaining a problem from `findPolygonProblems` or
+ * `findSharedEdgeProblems`. Vertices are labelled by handle, so on the shared
+ * edge tab P2's labels carry on from P1's.
+ * @param {Object} problem
+ * @param {Array<Array<{x: number, y: number}>>} [rings] - The rings the problem's indices refer to
+ */
+export function describeProblem(problem, rings = getActiveRings()) {
+  const offset = rings.slice(0, problem.ring ?? 0).reduce((sum, ring) => sum + ring.length, 0);
+  const label = (idx) => vertexLabel(offset + idx);
+  const edgeLabel = ([a, b]) => `${label(a)}${label(b)}`;
+  const [first, second] = problem.vertices;
+  switch (problem.kind) {
+    case "duplicate":
+      return `${label(first)} and ${label(second)} would be in the same place.`;
+    case "touching":
+      return `${label(first)} would sit on edge ${edgeLabel(problem.edges[0])}, so the boundary would touch itself.`;
+    case "crossing":
+      return `Edges ${edgeLabel(problem.edges[0])} and ${edgeLabel(problem.edges[1])} would cross.`;
+    case "degenerate":
+      return "All the vertices would lie on one line, leaving no area.";
+    case "overlap":
+      return "P1 and P2 would overlap.";
+    case "no-shared-edge":
+      return "P1 and P2 would no longer share any part of an edge.";
+    case "not-single-polygon":
+      return "P1 and P2 would overlap, touch away from the shared edge or enclose a gap, so their union would not be a single polygon.";
+    default:
+      return "The shape would no longer be valid.";
+  }
+}
+
+/**
+ * Explain the last refused vertex move on this tab, if there is one.
+ */
+function updateRejectionBox(dom) {
+  const edit = getRejectedEdit();
+  dom.rejectionBox.classList.toggle("hidden", !edit);
+  if (!edit) return;
+
+  const label = vertexLabel(edit.handle);
+  const tried = edit.rings[edit.ring][edit.position];
+  const kept = getActiveVertices()[edit.handle];
+  const reasons = edit.problems.map((problem) => `<li>${describeProblem(problem, edit.rings)}</li>`).join("");
+  dom.rejectionText.innerHTML =
+    `<p>Moving ${label} to ${pointText(tried)} was refused:</p>` +
+    `<ul>${reasons}</ul>` +
+    (kept ? `<p>${label} stays at ${pointText(kept)}.</p>` : "");
+}
+
+function tableHtml(headers, rows) {
+  const head = `<tr>${headers.map((h) => `<th>${mathToHtml(h)}</th>`).join("")}</tr>`;
+  const body = rows.map((row) => `<tr>${row.map((cell) => `<td>${cell}</td>`).join("")}</tr>`).join("");
+  return head + body;
+}
+
+function linesHtml(lines) {
+  return lines
+    .map((line) => `<div class="conjecture-line${line.cls ? ` ${line.cls}` : ""}">${line.html}</div>`)
+    .join("");
+}
+
+/**
+ * Why the conjecture line may fail for a polygon with vertices off the
+ * lattice: the area moves continuously while B and I only count lattice points.
+ */
+function offLatticeLines(vertices, snapshot) {
+  const off = vertices.map((v, idx) => [v, idx]).filter(([v]) => !isLatticeRing([v]));
+  if (off.length === 0 || !snapshot.area_fraction) return [];
+  const names = off.map(([v, idx]) => `${vertexLabel(idx)} = ${pointText(v)}`).join(", ");
+  const holds = conjectureLineKatex("P", "P", snapshot).matches;
+  return [
+    {
+      html: `${off.length === 1 ? "Vertex" : "Vertices"} ${names} ${off.length === 1 ? "is" : "are"} not a lattice point, so P is not a lattice polygon and the theorem's hypothesis fails.`,
+      matches: false,
+    },
+    {
+      html: holds
+        ? "The formula happens to hold here, but only by coincidence: move a vertex a fraction of a step and A changes while B and I stay the same."
+        : `A = ${mathToHtml(fractionLatex(snapshot.area_fraction))} is exact, but B and I only count lattice points: moving an off-lattice vertex changes A without always changing B or I, so no formula in B and I can keep up.`,
+      matches: true,
+    },
+  ];
+}
+
+function updatePolygonSidebar(dom) {
+  const snap = state.polygonSnapshot ?? createEmptyPolygonSnapshot();
+  const fraction = snap.area_fraction;
+  dom.polyAreaEl.textContent = fraction && fraction[1] > 2 ? `${fraction[0]}/${fraction[1]}` : formatArea(snap.area ?? 0);
+  dom.polyBoundaryEl.textContent = snap.boundary ?? 0;
+  dom.polyInteriorEl.textContent = snap.interior ?? 0;
+  dom.polyVertexCountEl.textContent = state.polygonVertices.length;
+
+  const line = conjectureLineKatex("P", "P", snap);
+  dom.snapSelect.value = state.snapMode;
+  dom.polyConjectureWork.innerHTML = [
+    { html: mathToHtml(MATH.conjectureFull), matches: true },
+    line,
+    ...offLatticeLines(state.polygonVertices, snap),
+    ...(snap.points_listed === false
+      ? [{ html: `B + I = ${snap.boundary + snap.interior} lattice points: counted exactly, but too many to draw.`, matches: true }]
+      : []),
+  ]
+    .map(
+      (entry) =>
+        `<div class="conjecture-line${entry.matches ? "" : " alert"}">${entry.html}</div>`
+    )
+    .join("");
+
+  dom.polyVertexList.innerHTML = state.polygonVertices
+    .map((vertex, idx) => {
+      const cls = idx === state.selectedHandle ? "vertex selected" : "vertex";
+      return `<div class="${cls}"><span>${vertexLabel(idx)}</span><span>(${formatCoordinate(vertex.x)}, ${formatCoordinate(vertex.y)})</span></div>`;
+    })
+    .join("");
+}
+
+function updateHolesSidebar(dom) {
+  const snap = state.holesSnapshot ?? createEmptyHolesSnapshot();
+  const area = snap.area ?? 0;
+  const boundary = snap.boundary ?? 0;
+  const interior = snap.interior ?? 0;
+  const holes = snap.holes ?? 0;
+  const chi = snap.euler_characteristic ?? 1 - holes;
+
+  dom.holesAreaEl.textContent = formatArea(area);
+  dom.holesBoundaryEl.textContent = boundary;
+  dom.holesInteriorEl.textContent = interior;
+  dom.holesCountEl.textContent = holes;
+
+  const plainRhs = boundary / 2 + interior - 1;
+  const correctedRhs = plainRhs + holes;
+  const correctedMatches = Math.abs(area - correctedRhs) < 1e-6;
+  const plainMatches = Math.abs(area - plainRhs) < 1e-6;
+  const areaStr = formatArea(area);
+
+  const lines = [
+    { html: mathToHtml(MATH.conjectureHoles), cls: "" },
+    {
+      html: mathToHtml(
+        `${areaStr} = \\frac{${boundary}}{2} + ${interior} - 1 + ${holes} = ${formatArea(correctedRhs)}`
+      ),
+      cls: correctedMatches ? "success" : "alert",
+    },
+    {
+      html: `${mathToHtml(MATH.conjectureEuler)} with ${mathToHtml(`\\chi = 1 - h = ${chi}`)}`,
+      cls: "",
+    },
+    {
+      html: `Plain formula: ${mathToHtml(
+        `\\frac{${boundary}}{2} + ${interior} - 1 = ${formatArea(plainRhs)} ${plainMatches ? "=" : "\\neq"} ${areaStr}`
+      )}`,
+      cls: plainMatches ? "success" : "alert",
+    },
+  ];
+  if (holes > 0) {
+    lines.push({
+      html: `Fill each hole back in and apply ${mathToHtml(MATH.conjecture)} to the filled polygon and to
+        every hole, then subtract. Interior points of the holes cancel, their boundary points are left with
+        weight ${mathToHtml("\\tfrac{1}{2}")}, and each hole's ${mathToHtml("-1")} is subtracted away,
+        so every hole adds ${mathToHtml("+1")}.`,
+      cls: "",
+    });
+  }
+
+  dom.holesConjectureWork.innerHTML = linesHtml(lines);
+  dom.removeHoleBtn.disabled = state.holedPolygon.holes.length === 0;
+}
+
+/**
+ * A volume given in sixths as a reduced fraction, in LaTeX.
+ */
+function volumeLatex(sixths) {
+  const g = gcd(sixths, 6) || 1;
+  return 6 / g === 1 ? `${sixths / g}` : `\\frac{${sixths / g}}{${6 / g}}`;
+}
+
+const volumeText = (sixths) => {
+  const g = gcd(sixths, 6) || 1;
+  return 6 / g === 1 ? `${sixths / g}` : `${sixths / g}/${6 / g}`;
+};
+
+/**
+ * The 3D tab: the tetrahedron's volume and lattice points, what Pick's
+ * formula would predict, and the Reeve tetrahedra T_r showing that B and I
+ * cannot determine the volume.
+ */
+function updateReeveSidebar(dom) {
+  const snap = state.tetrahedronSnapshot ?? createEmptyTetrahedronSnapshot();
+  dom.reeveVolume.textContent = volumeText(snap.volume_sixths);
+  dom.reeveBoundary.textContent = snap.boundary;
+  dom.reeveInterior.textContent = snap.interior;
+  dom.tetraVertexEls.forEach((row, idx) => syncCoordInputs(row, state.tetrahedron[idx]));
+  if (document.activeElement !== dom.reeveHeight) {
+    dom.reeveHeight.value = state.reeveHeight ?? "";
+  }
+  dom.orbitSpin.checked = state.orbitSpin;
+
+  const pick = snap.boundary / 2 + snap.interior - 1;
+  const matches = Math.abs(pick - snap.volume) < 1e-9;
+  dom.reeveConjectureWork.innerHTML = linesHtml([
+    {
+      html: mathToHtml(
+        `V = \\frac{|\\det(B - A,\\ C - A,\\ D - A)|}{6} = ${volumeLatex(snap.volume_sixths)}`
+      ),
+    },
+    {
+      html: mathToHtml(
+        `\\frac{B}{2} + I - 1 = \\frac{${snap.boundary}}{2} + ${snap.interior} - 1 = ${formatArea(pick)} ${
+          matches ? "=" : "\\neq"
+        } V`
+      ),
+      cls: matches ? "" : "alert",
+    },
+  ]);
+
+  const family = state.reeveFamily;
+  dom.reeveTable.innerHTML = tableHtml(
+    ["r", "B", "I", "V", "\\frac{B}{2} + I - 1"],
+    family.map((t) => [
+      t.r,
+      t.boundary,
+      t.interior,
+      mathToHtml(volumeLatex(t.volume_sixths)),
+      formatArea(t.boundary / 2 + t.interior - 1),
+    ])
+  );
+
+  const [first, second] = family;
+  if (!first || !second) {
+    dom.reeveArgument.innerHTML = "";
+    return;
+  }
+  const sameCounts = family.every((t) => t.boundary === first.boundary && t.interior === first.interior);
+  dom.reeveArgument.innerHTML = linesHtml([
+    {
+      html: sameCounts
+        ? `Every T<sub>r</sub> has B = ${first.boundary} and I = ${first.interior}: its only lattice points are its four vertices.`
+        : "The Reeve tetrahedra in the table do not all share B and I.",
+    },
+    {
+      html: mathToHtml(
+        `V(T_1) = ${volumeLatex(first.volume_sixths)} \\neq ${volumeLatex(second.volume_sixths)} = V(T_2)`
+      ),
+    },
+    {
+      html: `A formula V = f(B, I) would need f(${first.boundary}, ${first.interior}) to be both ${volumeText(
+        first.volume_sixths
+      )} and ${volumeText(second.volume_sixths)}, so no formula in B and I alone gives the volume of a lattice tetrahedron.`,
+      cls: "alert",
+    },
+    {
+      html: `The volume can still be read off lattice point counts, but only by also counting the dilates tP: it is the leading coefficient of ${mathToHtml(
+        "L(t) = V t^3 + \\cdots + 1"
+      )}.`,
+    },
+  ]);
+}
+
+/**
+ * Show `source` in a source picker, with the triangle in place of the
+ * Polygon tab's polygon while that is off the lattice.
+ */
+function syncSourceSelect(select, source) {
+  const onLattice = isPolygonOnLattice();
+  const option = select.querySelector(`option[value="${TABS.POLYGON}"]`);
+  option.disabled = !onLattice;
+  option.title = onLattice ? "" : "The Polygon tab's polygon has vertices off the lattice";
+  select.value = source === TABS.POLYGON && !onLattice ? TABS.TRIANGLE : source;
+}
+
+function updateEhrhartSidebar(dom) {
+  const data = state.ehrhartData ?? createEmptyEhrhartData();
+  syncSourceSelect(dom.ehrhartSource, state.ehrhartSource);
+  dom.ehrhartDilates.value = String(state.ehrhartDilates);
+
+  dom.ehrhartTable.innerHTML = tableHtml(
+    ["t", "A(tP)", "B(tP)", "I(tP)", "L(tP)"],
+    data.dilates.map((d) => [d.t, formatArea(d.area), d.boundary, d.interior, d.lattice_points])
+  );
+
+  const base = data.dilates[0];
+  if (!base) {
+    dom.ehrhartPolynomial.innerHTML = "";
+    dom.ehrhartReciprocityTable.innerHTML = "";
+    dom.ehrhartPick.innerHTML = "";
+    return;
+  }
+
+  const { quadratic, linear, constant, fits_all: fitsAll } = data.polynomial;
+  const fitted = `L(t) = ${formatArea(quadratic)}\\,t^2 + ${formatArea(linear)}\\,t + ${formatArea(constant)}`;
+  const areaMatches = Math.abs(quadratic - base.area) < 1e-6;
+  const boundaryMatches = Math.abs(linear - base.boundary / 2) < 1e-6;
+  dom.ehrhartPolynomial.innerHTML = linesHtml([
+    { html: mathToHtml("L(t) = A\\,t^2 + \\frac{B}{2}\\,t + 1") },
+    { html: `Fitted: ${mathToHtml(fitted)}`, cls: fitsAll ? "success" : "alert" },
+    {
+      html: mathToHtml(`A = ${formatArea(base.area)} ${areaMatches ? "=" : "\\neq"} ${formatArea(quadratic)}`),
+      cls: areaMatches ? "success" : "alert",
+    },
+    {
+      html: mathToHtml(
+        `\\frac{B}{2} = \\frac{${base.boundary}}{2} ${boundaryMatches ? "=" : "\\neq"} ${formatArea(linear)}`
+      ),
+      cls: boundaryMatches ? "success" : "alert",
+    },
+  ]);
+
+  dom.ehrhartReciprocityTable.innerHTML = tableHtml(
+    ["t", "I(tP)", "L(-t)"],
+    data.reciprocity.map((r) => [
+      r.t,
+      r.interior,
+      `${formatArea(r.l_negative)} ${Math.abs(r.interior - r.l_negative) < 1e-6 ? "✓" : "✗"}`,
+    ])
+  );
+
+  const pickHolds = Math.abs(base.interior - (base.area - base.boundary / 2 + 1)) < 1e-6;
+  dom.ehrhartPick.innerHTML = linesHtml([
+    { html: mathToHtml("L(-t) = A\\,t^2 - \\frac{B}{2}\\,t + 1 = I(tP)") },
+    {
+      html: `At ${mathToHtml("t = 1")}: ${mathToHtml(
+        `I(P) = L(-1) = A - \\frac{B}{2} + 1 = ${formatArea(base.area)} - \\frac{${base.boundary}}{2} + 1 = ${base.interior}`
+      )}`,
+      cls: pickHolds ? "success" : "alert",
+    },
+    { html: `Rearranged, that is exactly ${mathToHtml(MATH.conjecture)}.` },
+  ]);
+}
+
+/**
+ * Coordinate inputs for every vertex of several rings, one group per ring.
+ * The rows are rebuilt only when the number of vertices changes, so an input
+ * keeps focus while its vertex moves.
+ */
+function updateCoordinateList(container, rings, ringLabels) {
+  const shape = rings.map((ring) => ring.length).join(",");
+  if (container.dataset.shape !== shape) {
+    container.dataset.shape = shape;
+    let handle = 0;
+    container.innerHTML = rings
+      .map((ring, ringIndex) => {
+        const rows = ring.map(() => {
+          const label = vertexLabel(handle);
+          const inputs = ["x", "y"]
+            .map((axis) => `<input type="number" step="1" data-axis="${axis}" aria-label="${label} ${axis} coordinate" />`)
+            .join(", ");
+          return `<div class="vertex"><span>${label}</span><span class="coord-inputs" data-handle="${handle++}" data-label="${label}">(${inputs})</span></div>`;
+        });
+        return `<div class="cluster-label">${mathToHtml(ringLabels[ringIndex])}</div>${rows.join("")}`;
+      })
+      .join("");
+  }
+
+  const vertices = rings.flat();
+  container.querySelectorAll("[data-handle]").forEach((row) => {
+    const handle = Number(row.dataset.handle);
+    syncCoordInputs(row, vertices[handle]);
+    row.parentElement.classList.toggle("selected", handle === state.selectedHandle);
+  });
+}
+
+const formatPoint = ([x, y]) => `(${x}, ${y})`;
+
 function updateAdditiveSidebar(dom) {
-  const snap = state.additiveSnapshot ?? createEmptyAdditiveSnapshot();
-  const p1 = snap.t1 ?? createEmptyPolygonSnapshot();
-  const p2 = snap.t2 ?? createEmptyPolygonSnapshot();
+  const overlap = isOverlapMode();
+  const snap = overlap
+    ? state.overlapSnapshot ?? createEmptyOverlapSnapshot()
+    : state.additiveSnapshot ?? createEmptyAdditiveSnapshot();
+  const p1 = snap.p1 ?? createEmptyPolygonSnapshot();
+  const p2 = snap.p2 ?? createEmptyPolygonSnapshot();
   const union = snap.union ?? createEmptyPolygonSnapshot();
-  const shared = snap.shared_edge ?? { interior_count: 0, points: [] };
+
+  dom.additiveMode.value = state.additiveMode;
+  dom.additiveStats.edgeInteriorStat.classList.toggle("hidden", overlap);
+  dom.additiveStats.equation.classList.toggle("hidden", overlap);
+  dom.additiveStats.gluedHint.classList.toggle("hidden", overlap);
+  dom.additiveStats.intersection.cluster.classList.toggle("hidden", !overlap);
+  dom.additiveStats.inclusionExclusion.classList.toggle("hidden", !overlap);
+  dom.additiveStats.overlapHint.classList.toggle("hidden", !overlap);
 
   // Render labels with KaTeX
   renderMath(dom.additiveStats.p1.label, "P_1");
@@ -60,23 +596,31 @@ function updateAdditiveSidebar(dom) {
   dom.additiveStats.union.boundary.textContent = union.boundary ?? 0;
   dom.additiveStats.union.interior.textContent = union.interior ?? 0;
 
-  const p1Interior = p1.interior ?? 0;
-  const p2Interior = p2.interior ?? 0;
-  const unionInterior = union.interior ?? 0;
-  const edgeInterior = shared.interior_count ?? 0;
-  dom.additiveStats.edgeInterior.textContent = edgeInterior;
-  
-  // Interior equation with KaTeX
-  const interiorEqLatex = `I(P_1 \\cup P_2) = I(P_1) + I(P_2) + I(\\text{shared}) = ${p1Interior} + ${p2Interior} + ${edgeInterior} = ${unionInterior}`;
-  renderMath(dom.additiveStats.equation, interiorEqLatex);
-
-  // The conjecture verification lines with KaTeX
   const theoremLines = [
     { html: mathToHtml(MATH.conjectureFull), matches: true },
     conjectureLineKatex("P1", "P_1", p1),
     conjectureLineKatex("P2", "P_2", p2),
-    conjectureLineKatex("P1 ∪ P2", "P_1 \\cup P_2", union),
   ];
+
+  if (overlap) {
+    updateOverlapBreakdown(dom, snap);
+    theoremLines.push(conjectureLineKatex("P1 ∩ P2", "P_1 \\cap P_2", snap.intersection));
+  } else {
+    const shared = snap.shared_edge ?? { interior_count: 0, points: [] };
+    const edgeInterior = shared.interior_count ?? 0;
+    dom.additiveStats.edgeInterior.textContent = edgeInterior;
+    const segments = shared.segments ?? [];
+    dom.additiveStats.sharedSegments.textContent =
+      segments.length > 0
+        ? `Shared boundary: ${segments.map(([start, end]) => `${formatPoint(start)} to ${formatPoint(end)}`).join(", ")}`
+        : "";
+
+    // Interior equation with KaTeX
+    renderMath(dom.additiveStats.equation, MATH.interiorUnion(p1.interior ?? 0, p2.interior ?? 0, edgeInterior, union.interior ?? 0));
+  }
+
+  // The conjecture verification lines with KaTeX
+  theoremLines.push(conjectureLineKatex("P1 ∪ P2", "P_1 \\cup P_2", union));
   dom.additiveStats.conjectureWork.innerHTML = theoremLines
     .map(
       (line) =>
@@ -84,11 +628,173 @@ function updateAdditiveSidebar(dom) {
     )
     .join("");
 
-  state.additiveVertices.forEach((vertex, idx) => {
-    if (dom.additiveVertexEls[idx]) {
-      dom.additiveVertexEls[idx].textContent = `(${vertex.x}, ${vertex.y})`;
-    }
-  });
+  updateCoordinateList(dom.additiveVertexList, state.additivePolygons, ["P_1", "P_2"]);
+}
+
+/**
+ * Intersection stats and the inclusion–exclusion lines for overlapping
+ * polygons: area and lattice point counts add up, B/2 + I - 1 need not.
+ */
+function updateOverlapBreakdown(dom, snap) {
+  const { p1, p2, intersection, union } = snap;
+  const stats = dom.additiveStats.intersection;
+  renderMath(stats.label, "P_1 \\cap P_2");
+  stats.area.textContent = formatArea(intersection.area ?? 0);
+  stats.boundary.textContent = intersection.boundary ?? 0;
+  stats.interior.textContent = intersection.interior ?? 0;
+  stats.countedTwice.textContent = snap.counted_twice?.length ?? 0;
+
+  const count = (s) => (s.boundary ?? 0) + (s.interior ?? 0);
+  const areaSum = p1.area + p2.area - intersection.area;
+  const areaAdds = Math.abs(areaSum - union.area) < 1e-6;
+  const countSum = count(p1) + count(p2) - count(intersection);
+  const countAdds = countSum === count(union);
+  const lines = [
+    {
+      latex: `A(P_1 \\cup P_2) = A(P_1) + A(P_2) - A(P_1 \\cap P_2) = ${formatArea(p1.area)} + ${formatArea(p2.area)} - ${formatArea(intersection.area)} = ${formatArea(areaSum)} ${areaAdds ? "=" : "\\neq"} ${formatArea(union.area)}`,
+      matches: areaAdds,
+    },
+    {
+      latex: `L(P_1 \\cup P_2) = L(P_1) + L(P_2) - L(P_1 \\cap P_2) = ${count(p1)} + ${count(p2)} - ${count(intersection)} = ${countSum} ${countAdds ? "=" : "\\neq"} ${count(union)}`,
+      matches: countAdds,
+    },
+  ];
+
+  // φ subtracts the Euler characteristic χ, the number of pieces: the
+  // intersection may be empty or fall apart, and χ(P1 ∪ P2) = 2 - χ(P1 ∩ P2).
+  // Segments and points where the polygons only touch are pieces too; when
+  // that is all they share, P1 ∩ P2 has no area and φ means nothing.
+  const pieces = intersection.components ?? intersection.rings?.length ?? 0;
+  if ((intersection.rings?.length ?? 0) === 0 && count(intersection) > 0) {
+    lines.push({
+      html: `${mathToHtml("P_1")} and ${mathToHtml("P_2")} only touch, so ${mathToHtml("P_1 \\cap P_2")} is not a polygon and ${mathToHtml("\\varphi")} is left out.`,
+      matches: true,
+    });
+  } else {
+    const phi = (s, chi) => (s.boundary ?? 0) / 2 + (s.interior ?? 0) - chi;
+    const phiSum = phi(p1, 1) + phi(p2, 1) - phi(intersection, pieces);
+    const phiUnion = phi(union, 2 - pieces);
+    const phiAdds = Math.abs(phiSum - phiUnion) < 1e-6;
+    lines.push(
+      {
+        latex: `L(P) = B(P) + I(P), \\quad \\varphi(P) = \\frac{B(P)}{2} + I(P) - ${pieces === 1 ? "1" : "\\chi(P)"}`,
+        matches: true,
+      },
+      ...(pieces === 1
+        ? []
+        : [
+            {
+              latex: `\\chi(P_1 \\cap P_2) = ${pieces}, \\quad \\chi(P_1 \\cup P_2) = 2 - ${pieces} = ${2 - pieces}`,
+              matches: true,
+            },
+          ]),
+      {
+        latex: `\\varphi(P_1) + \\varphi(P_2) - \\varphi(P_1 \\cap P_2) = ${formatArea(phiSum)} ${phiAdds ? "=" : "\\neq"} ${formatArea(phiUnion)} = \\varphi(P_1 \\cup P_2)`,
+        matches: phiAdds,
+      }
+    );
+  }
+  dom.additiveStats.inclusionExclusion.innerHTML = lines
+    .map(
+      ({ latex, html, matches }) =>
+        `<div class="conjecture-line${matches ? "" : " alert"}">${html ?? mathToHtml(latex)}</div>`
+    )
+    .join("");
+  dom.additiveStats.sharedSegments.textContent = "";
+}
+
+const formatReal = (value) => `${Number(value.toFixed(3))}`;
+
+/**
+ * On a non-square lattice, the basis and the active shape's Euclidean area:
+ * its area in fundamental parallelograms times det(v1, v2), which Pick's
+ * theorem gives as det·(B/2 + I - 1).
+ */
+function updateLatticeBox(dom) {
+  // The 3D tab always counts points of Z^3
+  const hidden = isSquareLattice() || state.currentTab === TABS.REEVE;
+  dom.latticeBox.classList.toggle("hidden", hidden);
+  if (hidden) return;
+
+  const [v1, v2] = state.lattice.basis;
+  const det = getDeterminant();
+  const snap = getActiveSnapshot() ?? createEmptyPolygonSnapshot();
+  const area = snap.area ?? 0;
+  const boundary = snap.boundary ?? 0;
+  const interior = snap.interior ?? 0;
+  const holes = snap.holes ?? 0;
+  const pinches = snap.pinches ?? 0;
+  const pick = boundary / 2 + interior - 1 + holes - pinches / 2;
+  const holds = Math.abs(area - pick) < 1e-6;
+  const holesTerm = (holes > 0 ? ` + ${holes}` : "") + (pinches > 0 ? ` - \\frac{${pinches}}{2}` : "");
+
+  const lines = [
+    `v_1 = (${formatReal(v1.x)}, ${formatReal(v1.y)}), \\quad v_2 = (${formatReal(v2.x)}, ${formatReal(v2.y)}), \\quad \\det = ${formatReal(det)}`,
+    `A_{\\text{Euclid}} = \\det \\cdot A = ${formatReal(det)} \\cdot ${formatArea(area)} = ${formatReal(det * area)}`,
+    `A_{\\text{Euclid}} = \\det \\cdot \\left(\\frac{B}{2} + I - 1${holes > 0 ? " + h" : ""}${pinches > 0 ? " - \\frac{p}{2}" : ""}\\right) = ${formatReal(det)} \\cdot \\left(\\frac{${boundary}}{2} + ${interior} - 1${holesTerm}\\right) = ${formatReal(det * pick)}`,
+  ];
+  dom.latticeInfo.innerHTML =
+    lines
+      .map((latex, idx) => `<div class="conjecture-line${idx === 2 && !holds ? " alert" : ""}">${mathToHtml(latex)}</div>`)
+      .join("") +
+    `<div class="hint">Areas in the panels below are in units of the fundamental parallelogram.</div>`;
+}
+
+/**
+ * Explain how the shared edges of one glue account for the change in B and I.
+ */
+function glueExplanation(summary) {
+  const edgeCount = summary.sharedEdges.length;
+  if (edgeCount === 0) {
+    return "The new triangle only touches the region at a vertex, so all of its boundary is added.";
+  }
+  if (edgeCount === 1) {
+    return `Glued along one edge: its two endpoints stay on the boundary, the edge itself moves inside, and the opposite vertex ${
+      summary.deltaB === 1 ? "is a new boundary point" : "was already on the boundary"
+    }.`;
+  }
+  const moved =
+    edgeCount === 2
+      ? "the vertex between the shared edges leaves the boundary and becomes interior"
+      : `the ${edgeCount - 1} vertices between the shared edges leave the boundary and become interior`;
+  return `Glued along ${edgeCount} edges at once: the triangle fills a notch, so ${moved}.`;
+}
+
+function updateGlueBox(dom, summary) {
+  if (!summary) {
+    dom.indDeltaA.textContent = "…";
+    dom.indDeltaB.textContent = "…";
+    dom.indDeltaI.textContent = "…";
+    dom.indAbsorbed.textContent = "…";
+    dom.indGlueWork.innerHTML = "";
+    return;
+  }
+
+  const { deltaA, deltaB, deltaI, deltaH, deltaP, absorbed } = summary;
+  const signed = (value) => (value > 0 ? `+${value}` : `${value}`);
+  renderMath(dom.indDeltaA, MATH.halves(deltaA));
+  dom.indDeltaB.textContent = signed(deltaB);
+  dom.indDeltaI.textContent = signed(deltaI);
+  dom.indAbsorbed.textContent = absorbed;
+
+  const holds = Math.abs(deltaA - (deltaB / 2 + deltaI + deltaH - deltaP / 2)) < 1e-9;
+  const lines = [{ html: glueExplanation(summary) }];
+  if (deltaH !== 0) {
+    lines.push({
+      html: `This glue ${deltaH > 0 ? "encloses" : "fills"} a hole, which adds ${mathToHtml(`\\Delta h = ${deltaH}`)} to the right-hand side.`,
+    });
+  }
+  if (deltaP !== 0) {
+    lines.push({
+      html: `The region ${deltaP > 0 ? "now touches" : "no longer touches"} itself at a vertex, which B counts once, so ${mathToHtml(`\\frac{\\Delta p}{2} = ${MATH.halves(deltaP / 2)}`)} comes off the right-hand side.`,
+    });
+  }
+  const identity =
+    MATH.glueIdentity(MATH.halves(deltaA), deltaB, deltaI) +
+    (deltaH !== 0 ? ` + (${deltaH})` : "") +
+    (deltaP !== 0 ? ` - (${MATH.halves(deltaP / 2)})` : "");
+  lines.push({ html: `${mathToHtml(identity)} ${holds ? "✓" : "✗"}`, cls: holds ? "success" : "alert" });
+  dom.indGlueWork.innerHTML = linesHtml(lines);
 }
 
 function updateInductionSidebar(dom) {
@@ -99,6 +805,9 @@ function updateInductionSidebar(dom) {
   renderMath(dom.indBoundaryLabel, "\\text{Boundary } (B)");
   renderMath(dom.indInteriorLabel, "\\text{Interior } (I)");
   renderMath(dom.indConjectureLabel, "\\frac{B}{2} + I - 1");
+  renderMath(dom.indDeltaALabel, "\\Delta A");
+  renderMath(dom.indDeltaBLabel, "\\Delta B");
+  renderMath(dom.indDeltaILabel, "\\Delta I");
   renderMath(dom.indFinalMessage, "A = \\frac{B}{2} + I - 1 \\text{ verified by induction!}");
 
   let progressHTML = "";
@@ -122,7 +831,16 @@ function updateInductionSidebar(dom) {
   } else {
     dom.indStepTitle.innerHTML = `Step ${state.inductionStep}: Glue ${mathToHtml(`P_{${state.inductionStep}}`)}`;
   }
-  dom.indStepDesc.innerHTML = ``;
+  syncSourceSelect(dom.indSource, state.inductionSource);
+  if (state.inductionStep === 0) {
+    const source =
+      state.inductionSource === INDUCTION_SOURCES.STAIRCASE
+        ? "the staircase triangle"
+        : `the ${dom.indSource.value} tab polygon`;
+    dom.indStepDesc.innerHTML = `${totalSteps} primitive triangles cut from ${source}, glued one at a time.`;
+  } else {
+    dom.indStepDesc.innerHTML = ``;
+  }
 
   let legendHTML = "";
   const maxLegendItems = 8;
@@ -165,17 +883,16 @@ function updateInductionSidebar(dom) {
       dom.indInterior.textContent = interior;
       dom.indConjectureResult.textContent = formatArea(conjectureVal);
 
-      if (state.inductionStep > 1 && state.inductionStep <= totalSteps) {
+      if (state.inductionStep > 1) {
         dom.indGlueBox.classList.remove("hidden");
-        const triSnap = state.inductionSnapshots[state.inductionStep - 1];
-        renderMath(dom.indNewArea, `\\frac{1}{2}`);
-        dom.indAbsorbed.textContent = "0";
-      } else if (state.inductionStep === 1) {
+        updateGlueBox(dom, getGlueSummary(state.inductionStep - 1));
+      } else {
         dom.indGlueBox.classList.remove("hidden");
-        renderMath(dom.indNewArea, `\\frac{1}{2}`);
+        renderMath(dom.indDeltaA, MATH.half);
+        dom.indDeltaB.textContent = "3";
+        dom.indDeltaI.textContent = "0";
         dom.indAbsorbed.textContent = "−";
-      } else {
-        dom.indGlueBox.classList.add("hidden");
+        dom.indGlueWork.innerHTML = `<div class="conjecture-line">${mathToHtml("P_1")} starts the region on its own.</div>`;
       }
 
       let conjectureHTML = `<div class="conjecture-line">Conjecture: ${mathToHtml(MATH.conjecture)}</div>`;
@@ -197,12 +914,17 @@ function updateInductionSidebar(dom) {
           const a = snap.area ?? 0;
           const b = snap.boundary ?? 0;
           const iVal = snap.interior ?? 0;
-          const rhs = b / 2 + iVal - 1;
+          const holes = snap.holes ?? 0;
+          const pinches = snap.pinches ?? 0;
+          const rhs = b / 2 + iVal - 1 + holes - pinches / 2;
           const matches = Math.abs(a - rhs) < 1e-6;
           const labelLatex = `P_1 \\cup \\cdots \\cup P_{${i + 1}}`;
           const aStr = formatArea(a);
           const rhsStr = formatArea(rhs);
-          const eqLatex = `${labelLatex}: ${aStr} = \\frac{${b}}{2} + ${iVal} - 1 = ${rhsStr}`;
+          const holesTerm = holes > 0 ? ` + ${holes}` : "";
+          // A hole touching the boundary at a vertex shares that point, which B counts once
+          const pinchTerm = pinches > 0 ? ` - \\frac{${pinches}}{2}` : "";
+          const eqLatex = `${labelLatex}: ${aStr} = \\frac{${b}}{2} + ${iVal} - 1${holesTerm}${pinchTerm} = ${rhsStr}`;
           conjectureHTML += `<div class="conjecture-line ${matches ? "success" : "alert"}">${mathToHtml(eqLatex)} ${matches ? "✓" : "✗"}</div>`;
         }
       }
@@ -217,20 +939,171 @@ function updateInductionSidebar(dom) {
   }
 }
 
+const formatMs = (ms) => (ms < 10 ? `${ms.toFixed(2)} ms` : `${Math.round(ms)} ms`);
+
+/**
+ * Show a stress test run: a summary table with timings, then one button per
+ * polygon that failed the check (the button's `data-failure` indexes
+ * `result.failures`).
+ * @param {Object} dom
+ * @param {Object} result - From `runStressTest`
+ */
+export function updateStressTestBox(dom, result) {
+  const { engine, tested, failures, errors, timings } = result;
+  const engineName = engine === GEOMETRY_BACKENDS.PYTHON ? "Python" : "JavaScript";
+  const rows = [
+    ["Engine", engineName],
+    ["Polygons tested", tested],
+    ["Passed", tested - failures.length - errors.length],
+    ["Failed", failures.length],
+    ...(errors.length > 0 ? [["Engine errors", errors.length]] : []),
+    ["Generating", formatMs(timings.generate)],
+    ["Computing", formatMs(timings.compute)],
+    ["Per polygon", formatMs(timings.perPolygon)],
+  ];
+  dom.stressTable.innerHTML = rows
+    .map(([label, value]) => `<tr><td class="label-cell">${label}</td><td>${value}</td></tr>`)
+    .join("");
+
+  // An engine error says nothing about the formula, so it is reported on its own
+  const errorLines =
+    errors.length > 0
+      ? linesHtml([
+          {
+            html: `The engine failed on ${errors.length} of the polygons (details in the console); they are not counted as failures of the formula.`,
+            cls: "alert",
+          },
+        ])
+      : "";
+  if (failures.length === 0) {
+    const checked = tested - errors.length;
+    dom.stressFailures.innerHTML =
+      errorLines +
+      (checked > 0
+        ? linesHtml([{ html: `${mathToHtml(MATH.conjecture)} held on all ${checked} ${errors.length > 0 ? "computed " : ""}polygons ✓`, cls: "success" }])
+        : "");
+    return;
+  }
+  dom.stressFailures.innerHTML = errorLines + failures
+    .map(({ index, vertices, snapshot, rhs }, idx) => {
+      const work = `A = ${formatArea(snapshot.area)},\\; \\frac{B}{2} + I - 1 = ${formatArea(rhs)}`;
+      return `<button class="stress-failure" data-failure="${idx}" title="Load into the canvas">#${index + 1} · ${vertices.length} vertices · ${mathToHtml(work)}</button>`;
+    })
+    .join("");
+}
+
+/**
+ * Show a counting benchmark: one row per dilate tP with its counts, whether
+ * they satisfy Pick's formula and both timings, then how much faster the
+ * scanline count was on the largest dilate ray casting still ran on.
+ * @param {Object} dom
+ * @param {Object} result - From `runCountingBenchmark`
+ */
+export function updateBenchmarkBox(dom, result) {
+  const { engine, rows, failed } = result;
+  const engineName = engine === GEOMETRY_BACKENDS.PYTHON ? "Python" : "JavaScript";
+  dom.benchmarkTable.innerHTML = tableHtml(
+    ["t", "A(tP)", "B", "I", "\\text{Pick}", "\\text{scanline}", "\\text{ray casting}"],
+    rows.map((row) => [
+      row.scale,
+      formatArea(row.area),
+      row.boundary,
+      row.interior,
+      row.picks_holds ? "✓" : "✗",
+      formatMs(row.scanline_ms),
+      // Python's None arrives as undefined
+      row.ray_casting_ms == null ? "skipped" : `${formatMs(row.ray_casting_ms)}${row.agree ? "" : " ✗"}`,
+    ])
+  );
+
+  const compared = rows.filter((row) => row.ray_casting_ms != null);
+  const largest = compared[compared.length - 1];
+  const lines = [{ html: `${engineName} engine, ${rows.length} dilates` }];
+  const broken = rows.filter((row) => !row.picks_holds).map((row) => row.scale);
+  if (failed) {
+    lines.push({ html: "The engine failed on the next dilate, so the benchmark stopped there ✗", cls: "alert" });
+  }
+  if (broken.length > 0) {
+    lines.push({ html: `The counts break ${mathToHtml(MATH.conjecture)} at t = ${broken.join(", ")} ✗`, cls: "alert" });
+  }
+  if (compared.some((row) => !row.agree)) {
+    lines.push({ html: "The two counts found different interior points ✗", cls: "alert" });
+  } else if (largest && broken.length === 0) {
+    const speedup = largest.ray_casting_ms / Math.max(largest.scanline_ms, 1e-3);
+    lines.push({
+      html: `Both counts agree wherever ray casting ran; at t = ${largest.scale} the scanline count was ${Math.round(speedup)}× faster ✓`,
+      cls: "success",
+    });
+  }
+  const skipped = rows.length - compared.length;
+  if (skipped === rows.length && skipped > 0) {
+    lines.push({ html: "Ray casting was skipped on every dilate: even P's bounding box has too many points to test." });
+  } else if (skipped > 0) {
+    lines.push({ html: `Ray casting was skipped on the ${skipped} largest dilates, where it would test too many points.` });
+  }
+  dom.benchmarkSummary.innerHTML = linesHtml(lines);
+}
+
+/**
+ * Plain-text summary of the active tab for the screen-reader live region:
+ * the selected vertex, then A, B and I of the shape being edited.
+ * @returns {string} Empty on tabs without editable vertices
+ */
+export function describeActiveTab() {
+  const snap = getActiveSnapshot();
+  if (!snap || getActiveRings().length === 0) return "";
+
+  const parts = [];
+  const location = state.selectedHandle === null ? null : locateHandle(state.selectedHandle);
+  if (location) {
+    const vertex = location.ring[location.position];
+    const at = `${formatCoordinate(vertex.x)}, ${formatCoordinate(vertex.y)}`;
+    if (state.currentTab === TABS.ADDITIVE) {
+      const polygon = `P${location.ringIndex + 1}`;
+      parts.push(`Vertex ${vertexLabel(state.selectedHandle)} of ${polygon} at ${at}.`);
+    } else {
+      const ringName = location.ringIndex > 0 ? ` of hole ${location.ringIndex}` : "";
+      parts.push(`Vertex ${vertexLabel(location.position)}${ringName} at ${at}.`);
+    }
+  }
+  parts.push(`Area ${formatArea(snap.area ?? 0)}, boundary points ${snap.boundary ?? 0}, interior points ${snap.interior ?? 0}.`);
+  return parts.join(" ");
+}
+
 export function updateSidebar(dom) {
   const isTriangle = state.currentTab === TABS.TRIANGLE;
+  const isPolygon = state.currentTab === TABS.POLYGON;
+  const isHoles = state.currentTab === TABS.HOLES;
+  const isEhrhart = state.currentTab === TABS.EHRHART;
   const isAdditive = state.currentTab === TABS.ADDITIVE;
   const isInduction = state.currentTab === TABS.INDUCTION;
+  const isReeve = state.currentTab === TABS.REEVE;
 
   dom.trianglePanel.classList.toggle("hidden", !isTriangle);
+  dom.polygonPanel.classList.toggle("hidden", !isPolygon);
+  dom.holesPanel.classList.toggle("hidden", !isHoles);
+  dom.ehrhartPanel.classList.toggle("hidden", !isEhrhart);
   dom.additivePanel.classList.toggle("hidden", !isAdditive);
   dom.inductionPanel.classList.toggle("hidden", !isInduction);
+  dom.reevePanel.classList.toggle("hidden", !isReeve);
+  updateRejectionBox(dom);
+  updateLatticeBox(dom);
+  updateTransformBox(dom);
+  updateEquivalenceBox(dom);
 
   if (isTriangle) {
     updateTriangleSidebar(dom);
+  } else if (isPolygon) {
+    updatePolygonSidebar(dom);
+  } else if (isHoles) {
+    updateHolesSidebar(dom);
+  } else if (isEhrhart) {
+    updateEhrhartSidebar(dom);
   } else if (isAdditive) {
     updateAdditiveSidebar(dom);
   } else if (isInduction) {
     updateInductionSidebar(dom);
+  } else if (isReeve) {
+    updateReeveSidebar(dom);
   }
 }
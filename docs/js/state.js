@@ -1,40 +1,247 @@
-import { TABS, latticeRange, initialTriangle, initialAdditive } from "./constants.js";
-import { createEmptyAdditiveSnapshot, createEmptyPolygonSnapshot } from "./geometry.js";
+import {
+  ADDITIVE_MODES,
+  DEFAULT_ORBIT,
+  DEFAULT_SCALE,
+  INDUCTION_SOURCES,
+  LATTICE_BASES,
+  LATTICE_PRESETS,
+  REEVE_LIMITS,
+  SNAP_MODES,
+  TABS,
+  initialTriangle,
+  initialPolygon,
+  initialHoledPolygon,
+  initialAdditive,
+  inductionOuterTriangle,
+} from "./constants.js";
+import {
+  createEmptyAdditiveSnapshot,
+  createEmptyEhrhartData,
+  createEmptyHolesSnapshot,
+  createEmptyOverlapSnapshot,
+  createEmptyPolygonSnapshot,
+  createEmptyTetrahedronSnapshot,
+  isLatticeRing,
+} from "./geometry.js";
+import { reeveTetrahedron as reeveTetrahedronPoints } from "./geometry-engine.js";
 
 const cloneVertex = (v) => ({ x: v.x, y: v.y });
 
+/**
+ * A tab's viewport: the lattice point shown at the canvas centre and the
+ * number of pixels per lattice unit. Auto views refit to their content on
+ * every draw until the user pans or zooms.
+ */
+export function createView(auto = false) {
+  return { centerX: 0, centerY: 0, scale: DEFAULT_SCALE, auto };
+}
+
 export const state = {
-  latticeRange,
   originX: 0,
   originY: 0,
   activeHandle: null,
+  // Handles dragged along with the active one, fixed when the drag starts
+  linkedHandles: [],
+  selectedHandle: null,
+  // Last refused vertex move, shown as a ghost: {tab, rings, handle, ring, position, problems},
+  // where rings hold the refused positions and ring/position locate the handle in them
+  rejectedEdit: null,
+  // Unimodular transform being animated on the canvas (see transform.js)
+  transformTween: null,
+  // Last transform applied: {tab, matrix, offset, before: {area, boundary, interior}, vertices}
+  transformRecord: null,
+  // Shape saved for the lattice equivalence check: {tab, vertices}
+  savedPolygon: null,
+  // Last comparison with the saved shape: {tab, vertices, saved, result}
+  equivalence: null,
   currentTab: TABS.TRIANGLE,
+  lattice: {
+    preset: LATTICE_PRESETS.SQUARE,
+    basis: LATTICE_BASES[LATTICE_PRESETS.SQUARE].map(cloneVertex),
+  },
+  views: Object.fromEntries(
+    Object.values(TABS).map((tab) => [tab, createView(tab === TABS.EHRHART || tab === TABS.INDUCTION)])
+  ),
   triangleVertices: initialTriangle.map(cloneVertex),
-  additiveVertices: initialAdditive.map(cloneVertex),
+  polygonVertices: initialPolygon.map(cloneVertex),
+  // Where dragged Polygon tab vertices snap to (see SNAP_MODES)
+  snapMode: SNAP_MODES.LATTICE,
+  holedPolygon: {
+    outer: initialHoledPolygon.outer.map(cloneVertex),
+    holes: initialHoledPolygon.holes.map((hole) => hole.map(cloneVertex)),
+  },
+  additiveMode: ADDITIVE_MODES.GLUED,
+  additivePolygons: initialAdditive.map((polygon) => polygon.map(cloneVertex)),
   triangleSnapshot: createEmptyPolygonSnapshot(),
+  polygonSnapshot: createEmptyPolygonSnapshot(),
+  holesSnapshot: createEmptyHolesSnapshot(),
   additiveSnapshot: createEmptyAdditiveSnapshot(),
+  overlapSnapshot: createEmptyOverlapSnapshot(),
+  ehrhartSource: TABS.TRIANGLE,
+  ehrhartDilates: 4,
+  ehrhartData: createEmptyEhrhartData(),
+  inductionSource: INDUCTION_SOURCES.STAIRCASE,
+  inductionOuter: inductionOuterTriangle.map(cloneVertex),
   inductionStep: 0,
   inductionTriangles: [],
   inductionSnapshots: [],
   inductionAccumulatedSnapshots: [],
+  // Height r while the tetrahedron is Reeve's T_r, null once it has been edited into another one
+  reeveHeight: 1,
+  tetrahedron: reeveTetrahedron(1),
+  tetrahedronSnapshot: createEmptyTetrahedronSnapshot(),
+  reeveFamily: [],
+  orbit: { ...DEFAULT_ORBIT },
+  orbitSpin: false,
 };
 
+/**
+ * Vertices of Reeve's tetrahedron T_r as `{x, y, z}` points.
+ */
+export function reeveTetrahedron(height) {
+  return reeveTetrahedronPoints(height).map(([x, y, z]) => ({ x, y, z }));
+}
+
+/**
+ * The height r the height input offers if `vertices` are exactly T_r, in
+ * order, or null for any other tetrahedron.
+ */
+export function findReeveHeight(vertices) {
+  const height = vertices[3]?.z;
+  const offered = Number.isInteger(height) && height >= REEVE_LIMITS.minHeight && height <= REEVE_LIMITS.maxHeight;
+  return offered && JSON.stringify(reeveTetrahedron(height)) === JSON.stringify(vertices) ? height : null;
+}
+
+/**
+ * Turn the 3D camera by the given angles, keeping it between straight below
+ * and straight above.
+ */
+export function orbitBy(dyaw, dpitch) {
+  const limit = Math.PI / 2 - 0.05;
+  state.orbit.yaw += dyaw;
+  state.orbit.pitch = Math.max(-limit, Math.min(limit, state.orbit.pitch + dpitch));
+}
+
+export function resetOrbit() {
+  state.orbit = { ...DEFAULT_ORBIT };
+  state.views[TABS.REEVE] = createView();
+}
+
 export function setTab(tab) {
   state.currentTab = tab;
 }
 
+export function getView() {
+  return state.views[state.currentTab];
+}
+
+/**
+ * Place the lattice origin on the canvas so the active view's centre lands
+ * in the middle of `rect`.
+ */
 export function setOriginFromRect(rect) {
-  state.originX = rect.width / 2;
-  state.originY = rect.height / 2;
+  const view = getView();
+  state.originX = rect.width / 2 - view.centerX * view.scale;
+  state.originY = rect.height / 2 + view.centerY * view.scale;
 }
 
 export function setActiveHandle(index) {
   state.activeHandle = index;
+  state.linkedHandles = index === null ? [] : getLinkedHandles(index);
+}
+
+export function setSelectedHandle(index) {
+  state.selectedHandle = index;
+}
+
+export function setRejectedEdit(edit) {
+  state.rejectedEdit = edit;
+}
+
+/**
+ * The refused move to show on the active tab, or null.
+ */
+export function getRejectedEdit() {
+  const edit = state.rejectedEdit;
+  return edit && edit.tab === state.currentTab ? edit : null;
+}
+
+export function setTransformTween(tween) {
+  state.transformTween = tween;
+}
+
+/**
+ * The transform animating on the active tab, or null.
+ */
+export function getTransformTween() {
+  const tween = state.transformTween;
+  return tween && tween.tab === state.currentTab ? tween : null;
 }
 
 export function resetSnapshots() {
   state.triangleSnapshot = createEmptyPolygonSnapshot();
+  state.polygonSnapshot = createEmptyPolygonSnapshot();
+  state.holesSnapshot = createEmptyHolesSnapshot();
   state.additiveSnapshot = createEmptyAdditiveSnapshot();
+  state.overlapSnapshot = createEmptyOverlapSnapshot();
+}
+
+/**
+ * Whether the shared edge tab lets P1 and P2 overlap instead of gluing them.
+ */
+export function isOverlapMode() {
+  return state.additiveMode === ADDITIVE_MODES.OVERLAP;
+}
+
+/**
+ * Whether the Polygon tab's polygon can stand in for the triangle on the
+ * Ehrhart and induction tabs, which need lattice vertices.
+ */
+export function isPolygonOnLattice() {
+  return isLatticeRing(state.polygonVertices);
+}
+
+/**
+ * Polygon whose dilates the Ehrhart tab explores. The triangle stands in
+ * while the Polygon tab's polygon is off the lattice.
+ */
+export function getEhrhartPolygon() {
+  const polygon = state.ehrhartSource === TABS.POLYGON && isPolygonOnLattice();
+  return polygon ? state.polygonVertices : state.triangleVertices;
+}
+
+/**
+ * Polygon the induction tab decomposes when it is not using the staircase,
+ * with the same stand-in as `getEhrhartPolygon`.
+ */
+export function getInductionSourcePolygon() {
+  const polygon = state.inductionSource === INDUCTION_SOURCES.POLYGON && isPolygonOnLattice();
+  return polygon ? state.polygonVertices : state.triangleVertices;
+}
+
+/**
+ * Snapshot of the shape the active tab is about: the union on the shared edge
+ * tab, P itself on the Ehrhart tab and the region glued so far on the
+ * induction tab.
+ * @returns {Object|null} Null before anything has been computed or glued
+ */
+export function getActiveSnapshot() {
+  switch (state.currentTab) {
+    case TABS.TRIANGLE:
+      return state.triangleSnapshot;
+    case TABS.POLYGON:
+      return state.polygonSnapshot;
+    case TABS.HOLES:
+      return state.holesSnapshot;
+    case TABS.ADDITIVE:
+      return (isOverlapMode() ? state.overlapSnapshot : state.additiveSnapshot)?.union ?? null;
+    case TABS.EHRHART:
+      return state.ehrhartData.dilates[0] ?? null;
+    case TABS.INDUCTION:
+      return state.inductionAccumulatedSnapshots[state.inductionStep - 1] ?? null;
+    default:
+      return null;
+  }
 }
 
 export function resetInductionSnapshots() {
@@ -46,9 +253,92 @@ export function resetInductionStep() {
   state.inductionStep = 0;
 }
 
-export function getActiveVertices() {
-  if (state.currentTab === TABS.TRIANGLE) return state.triangleVertices;
-  if (state.currentTab === TABS.ADDITIVE) return state.additiveVertices;
+/**
+ * Vertex rings edited on the active tab. Most tabs have a single ring; the
+ * holes tab has the outer ring followed by one ring per hole, and the shared
+ * edge tab has P1 followed by P2.
+ */
+export function getActiveRings() {
+  if (state.currentTab === TABS.TRIANGLE) return [state.triangleVertices];
+  if (state.currentTab === TABS.POLYGON) return [state.polygonVertices];
+  if (state.currentTab === TABS.HOLES) return [state.holedPolygon.outer, ...state.holedPolygon.holes];
+  if (state.currentTab === TABS.ADDITIVE) return state.additivePolygons;
   return [];
 }
 
+/**
+ * Replace the active tab's vertex rings, in the order `getActiveRings` returns them.
+ */
+export function setActiveRings(rings) {
+  if (state.currentTab === TABS.TRIANGLE) state.triangleVertices = rings[0];
+  else if (state.currentTab === TABS.POLYGON) state.polygonVertices = rings[0];
+  else if (state.currentTab === TABS.HOLES) state.holedPolygon = { outer: rings[0], holes: rings.slice(1) };
+  else if (state.currentTab === TABS.ADDITIVE) state.additivePolygons = rings;
+}
+
+/**
+ * All handles of the active tab as one flat list. Handle indices used by
+ * `activeHandle` and `selectedHandle` index into this list.
+ */
+export function getActiveVertices() {
+  const rings = getActiveRings();
+  return rings.length === 1 ? rings[0] : rings.flat();
+}
+
+/**
+ * Resolve a flat handle index to its ring and position within that ring.
+ * @returns {{ring: Array, ringIndex: number, position: number} | null}
+ */
+export function locateHandle(index) {
+  const rings = getActiveRings();
+  let offset = index;
+  for (let ringIndex = 0; ringIndex < rings.length; ringIndex++) {
+    if (offset < rings[ringIndex].length) {
+      return { ring: rings[ringIndex], ringIndex, position: offset };
+    }
+    offset -= rings[ringIndex].length;
+  }
+  return null;
+}
+
+/**
+ * Flat handle index of a vertex given by ring and position.
+ */
+export function handleIndex(ringIndex, position) {
+  const rings = getActiveRings();
+  let index = position;
+  for (let i = 0; i < ringIndex; i++) {
+    index += rings[i].length;
+  }
+  return index;
+}
+
+/**
+ * Handles that move together with `index`. With P1 and P2 glued on the shared
+ * edge tab, a vertex of one polygon lying on a vertex of the other is one
+ * point with two handles, so moving either moves both; elsewhere a handle
+ * moves alone. A drag keeps the handles linked when it started, so a vertex
+ * does not pick up the ones it passes over.
+ * @returns {number[]} Flat handle indices, starting with `index`
+ */
+export function getLinkedHandles(index) {
+  if (state.currentTab !== TABS.ADDITIVE || isOverlapMode()) return [index];
+  const vertices = getActiveVertices();
+  const vertex = vertices[index];
+  const { ringIndex } = locateHandle(index);
+  const linked = [index];
+  vertices.forEach((other, i) => {
+    if (other.x === vertex.x && other.y === vertex.y && locateHandle(i).ringIndex !== ringIndex) {
+      linked.push(i);
+    }
+  });
+  return linked;
+}
+
+export function setHandleVertex(index, vertex) {
+  const location = locateHandle(index);
+  if (location) {
+    location.ring[location.position] = vertex;
+  }
+}
+
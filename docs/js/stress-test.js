@@ -0,0 +1,209 @@
+/**
+ * Random polygon stress test.
+ * Generates batches of random simple lattice polygons, runs them through the
+ * selected geometry engine and checks A = B/2 + I - 1 on every one. Any
+ * polygon where the check fails is kept so it can be loaded into the canvas;
+ * polygons the engine could not compute at all are counted apart.
+ * Also benchmarks the scanline interior count against the original ray
+ * casting on ever larger dilates of a polygon.
+ */
+
+import { GEOMETRY_BACKENDS } from "./constants.js";
+import {
+  benchmarkInteriorCounting,
+  computePolygonSnapshots,
+  gcd,
+  getGeometryBackend,
+  isSimplePolygon,
+} from "./geometry.js";
+import { isPythonReady } from "./pyodide-loader.js";
+
+export const STRESS_LIMITS = {
+  minVertices: 3,
+  maxVertices: 20,
+  minRange: 2,
+  maxRange: 50,
+  minCount: 1,
+  maxCount: 1000,
+};
+
+// Tries per polygon before giving up on the requested vertex count and range
+const MAX_ATTEMPTS = 200;
+
+// Polygons generated and computed at a time; the page gets to repaint and
+// handle input between batches
+const BATCH_SIZE = 50;
+
+// Dilates tP the benchmark times. Ray casting is only run while the bounding
+// box has at most maxRayCastingArea points, and no dilate is taller or wider
+// than maxSpan, so a large polygon cannot stall the page.
+export const BENCHMARK_LIMITS = {
+  scales: [1, 4, 16, 64, 256],
+  maxRayCastingArea: 20000,
+  maxSpan: 20000,
+};
+
+const randomInt = (min, max, random) => min + Math.floor(random() * (max - min + 1));
+
+/**
+ * A convex lattice polygon built from its edge vectors: n - 1 random vectors
+ * plus the one that closes the loop, all in different directions. Chained in
+ * order of angle they make a convex polygon with exactly n vertices, which is
+ * then placed at random inside [-range, range].
+ */
+function randomConvexPolygon(vertexCount, range, random) {
+  const size = randomInt(1, Math.max(3, Math.round((4 * range) / vertexCount)), random);
+  const directions = new Set();
+  const direction = (v) => {
+    const g = gcd(v.x, v.y);
+    return `${v.x / g},${v.y / g}`;
+  };
+
+  const edges = [];
+  for (let tries = 0; edges.length < vertexCount - 1 && tries < vertexCount * 20; tries++) {
+    const v = { x: randomInt(-size, size, random), y: randomInt(-size, size, random) };
+    if ((v.x === 0 && v.y === 0) || directions.has(direction(v))) continue;
+    directions.add(direction(v));
+    edges.push(v);
+  }
+  const closing = edges.reduce((sum, v) => ({ x: sum.x - v.x, y: sum.y - v.y }), { x: 0, y: 0 });
+  if (edges.length < vertexCount - 1 || (closing.x === 0 && closing.y === 0) || directions.has(direction(closing))) {
+    return null;
+  }
+  edges.push(closing);
+  edges.sort((a, b) => Math.atan2(a.y, a.x) - Math.atan2(b.y, b.x));
+
+  const vertices = [];
+  let current = { x: 0, y: 0 };
+  for (const edge of edges) {
+    vertices.push(current);
+    current = { x: current.x + edge.x, y: current.y + edge.y };
+  }
+
+  const xs = vertices.map((v) => v.x);
+  const ys = vertices.map((v) => v.y);
+  const [minX, maxX, minY, maxY] = [Math.min(...xs), Math.max(...xs), Math.min(...ys), Math.max(...ys)];
+  if (maxX - minX > 2 * range || maxY - minY > 2 * range) return null;
+  const dx = randomInt(-range - minX, range - maxX, random);
+  const dy = randomInt(-range - minY, range - maxY, random);
+  return vertices.map((v) => ({ x: v.x + dx, y: v.y + dy }));
+}
+
+/**
+ * Distinct random points sorted by angle around their centroid. The result is
+ * star-shaped, and simple unless two points line up with the centroid.
+ */
+function randomStarPolygon(vertexCount, range, random) {
+  const seen = new Map();
+  for (let tries = 0; seen.size < vertexCount && tries < vertexCount * 20; tries++) {
+    const point = { x: randomInt(-range, range, random), y: randomInt(-range, range, random) };
+    seen.set(`${point.x},${point.y}`, point);
+  }
+  const points = [...seen.values()];
+  if (points.length < vertexCount) return null;
+
+  const cx = points.reduce((sum, p) => sum + p.x, 0) / points.length;
+  const cy = points.reduce((sum, p) => sum + p.y, 0) / points.length;
+  return points.sort((a, b) => Math.atan2(a.y - cy, a.x - cx) - Math.atan2(b.y - cy, b.x - cx));
+}
+
+/**
+ * Generate one random simple lattice polygon with coordinates in [-range, range].
+ * @param {Object} options
+ * @param {number} options.vertexCount
+ * @param {number} options.range
+ * @param {boolean} [options.convex=false]
+ * @param {() => number} [random=Math.random]
+ * @returns {Array<{x: number, y: number}>}
+ */
+export function generateRandomPolygon({ vertexCount, range, convex = false }, random = Math.random) {
+  const generate = convex ? randomConvexPolygon : randomStarPolygon;
+  for (let attempt = 0; attempt < MAX_ATTEMPTS; attempt++) {
+    const vertices = generate(vertexCount, range, random);
+    if (vertices && isSimplePolygon(vertices)) return vertices;
+  }
+  const kind = convex ? "convex lattice polygon" : "simple lattice polygon";
+  throw new Error(`Could not find a ${kind} with ${vertexCount} vertices in ±${range}; try fewer vertices or a larger range.`);
+}
+
+// While Python is still loading the JS engine answers instead
+const activeEngine = () =>
+  getGeometryBackend() === GEOMETRY_BACKENDS.PYTHON && isPythonReady() ? GEOMETRY_BACKENDS.PYTHON : GEOMETRY_BACKENDS.JS;
+
+const nextTask = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+/**
+ * Generate `count` random polygons, compute their snapshots with the selected
+ * engine and check Pick's formula on each, in batches of BATCH_SIZE.
+ * @param {Object} options
+ * @param {number} options.count
+ * @param {number} options.vertexCount
+ * @param {number} options.range
+ * @param {boolean} [options.convex=false]
+ * @returns {Promise<{engine: string, tested: number, failures: Array<Object>, errors: Array<Object>,
+ *   timings: {generate: number, compute: number, perPolygon: number}}>}
+ *   Failures hold the polygon's vertices, its snapshot and B/2 + I - 1;
+ *   errors hold the index and vertices of polygons the engine failed on
+ */
+export async function runStressTest({ count, vertexCount, range, convex = false }) {
+  const engine = activeEngine();
+  const failures = [];
+  const errors = [];
+  const timings = { generate: 0, compute: 0, perPolygon: 0 };
+
+  for (let start = 0; start < count; start += BATCH_SIZE) {
+    if (start > 0) await nextTask();
+    const generateStart = performance.now();
+    const polygons = Array.from({ length: Math.min(BATCH_SIZE, count - start) }, () =>
+      generateRandomPolygon({ vertexCount, range, convex })
+    );
+    const generateEnd = performance.now();
+    const snapshots = await computePolygonSnapshots(polygons);
+    timings.generate += generateEnd - generateStart;
+    timings.compute += performance.now() - generateEnd;
+
+    snapshots.forEach((snapshot, offset) => {
+      const index = start + offset;
+      if (snapshot.failed) {
+        errors.push({ index, vertices: polygons[offset] });
+        return;
+      }
+      const rhs = snapshot.boundary / 2 + snapshot.interior - 1;
+      if (!(Math.abs(snapshot.area - rhs) < 1e-9)) {
+        failures.push({ index, vertices: polygons[offset], snapshot, rhs });
+      }
+    });
+  }
+
+  timings.perPolygon = timings.compute / count;
+  return { engine, tested: count, failures, errors, timings };
+}
+
+/**
+ * Time both interior counts on the dilates of `vertices` with the selected
+ * engine, one dilate per call so the page stays responsive between them when
+ * the JavaScript engine runs on the main thread. Every row is checked against
+ * Pick's formula, which the scanline counts must satisfy even where ray
+ * casting was skipped.
+ * @param {Array<{x: number, y: number}>} vertices - A lattice polygon
+ * @returns {Promise<{engine: string, rows: Array<Object>, failed: boolean}>} Rows as from
+ *   `benchmarkInteriorCounting` plus `picks_holds`; scales too large for
+ *   `maxSpan` are left out, and `failed` is set if the engine stopped on a dilate
+ */
+export async function runCountingBenchmark(vertices) {
+  const { scales, maxRayCastingArea, maxSpan } = BENCHMARK_LIMITS;
+  const xs = vertices.map((v) => v.x);
+  const ys = vertices.map((v) => v.y);
+  const span = Math.max(Math.max(...xs) - Math.min(...xs), Math.max(...ys) - Math.min(...ys));
+  const fitting = scales.filter((t) => t * span <= maxSpan);
+  const engine = activeEngine();
+  const rows = [];
+  for (const t of fitting) {
+    if (rows.length > 0) await nextTask();
+    const result = await benchmarkInteriorCounting(vertices, [t], maxRayCastingArea);
+    const row = result[0];
+    if (result.failed || !row) return { engine, rows, failed: true };
+    rows.push({ ...row, picks_holds: row.area === row.boundary / 2 + row.interior - 1 });
+  }
+  return { engine, rows, failed: false };
+}
@@ -0,0 +1,345 @@
+/**
+ * SVG export of the current scene.
+ * Mirrors the drawing in render.js element for element, using the same view
+ * and colours, so the exported file matches what is on screen but stays
+ * sharp at any size. An optional caption lists A, B and I and checks Pick's
+ * identity for the active tab.
+ */
+
+import { BASE_CASE_COLORS, COUNTED_TWICE_COLOR, SHARED_EDGE_COLOR, TABS } from "./constants.js";
+import { formatArea } from "./geometry.js";
+import { getDeterminant, isSquareLattice } from "./lattice.js";
+import { getSharedEdgesForStep } from "./induction.js";
+import { getScale, getVisibleLatticeBox, latticeToCanvas } from "./render.js";
+import { getActiveRings, getActiveSnapshot, getEhrhartPolygon, isOverlapMode, state } from "./state.js";
+
+const CAPTION_LINE_HEIGHT = 22;
+const CAPTION_PADDING = 16;
+
+const num = (value) => Number(value.toFixed(2));
+
+const escapeXml = (text) =>
+  String(text).replace(/[&<>"]/g, (ch) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;" })[ch]);
+
+/**
+ * `rgba(r, g, b, a)` → SVG colour plus opacity, since SVG 1.1 viewers do not
+ * all accept rgba().
+ */
+function paint(attr, color) {
+  if (!color) return `${attr}="none"`;
+  const match = /^rgba\(\s*(\d+),\s*(\d+),\s*(\d+),\s*([\d.]+)\s*\)$/.exec(color);
+  if (!match) return `${attr}="${color}"`;
+  const [, r, g, b, a] = match;
+  return `${attr}="rgb(${r}, ${g}, ${b})" ${attr}-opacity="${a}"`;
+}
+
+function pathData(rings) {
+  return rings
+    .map((ring) => {
+      const pts = ring.map(latticeToCanvas);
+      return `M ${pts.map((p) => `${num(p.x)} ${num(p.y)}`).join(" L ")} Z`;
+    })
+    .join(" ");
+}
+
+function svgGrid(rect) {
+  const s = getScale();
+  const { minX, maxX, minY, maxY, step } = getVisibleLatticeBox(rect);
+  const line = (from, to) => {
+    const a = latticeToCanvas(from);
+    const b = latticeToCanvas(to);
+    return `<line x1="${num(a.x)}" y1="${num(a.y)}" x2="${num(b.x)}" y2="${num(b.y)}"/>`;
+  };
+
+  const parts = [
+    `<clipPath id="gridClip"><rect width="${num(rect.width)}" height="${num(rect.height)}"/></clipPath>`,
+    `<rect width="${num(rect.width)}" height="${num(rect.height)}" fill="#ffffff"/>`,
+  ];
+  const lines = [];
+  for (let i = Math.ceil(minX / step) * step; i <= maxX; i += step) {
+    lines.push(line({ x: i, y: minY }, { x: i, y: maxY }));
+  }
+  for (let j = Math.ceil(minY / step) * step; j <= maxY; j += step) {
+    lines.push(line({ x: minX, y: j }, { x: maxX, y: j }));
+  }
+  parts.push(`<g stroke="#e5e7eb" stroke-width="1" clip-path="url(#gridClip)">${lines.join("")}</g>`);
+  parts.push(
+    `<g stroke="#111827" stroke-width="1.4" clip-path="url(#gridClip)">` +
+      line({ x: minX, y: 0 }, { x: maxX, y: 0 }) +
+      line({ x: 0, y: minY }, { x: 0, y: maxY }) +
+      `</g>`
+  );
+
+  if (step === 1) {
+    const dotSize = state.currentTab === TABS.INDUCTION ? Math.min(3.5, s / 20) : Math.min(2.2, s / 8);
+    const dots = [];
+    for (let x = minX; x <= maxX; x++) {
+      for (let y = minY; y <= maxY; y++) {
+        const p = latticeToCanvas({ x, y });
+        if (p.x < 0 || p.x > rect.width || p.y < 0 || p.y > rect.height) continue;
+        dots.push(`<circle cx="${num(p.x)}" cy="${num(p.y)}" r="${num(dotSize)}"/>`);
+      }
+    }
+    parts.push(`<g fill="#9ca3af">${dots.join("")}</g>`);
+  }
+  return parts.join("\n");
+}
+
+function svgPolygon(vertexList, options = {}) {
+  if (!vertexList || vertexList.length === 0) return "";
+  const { fill = "rgba(27, 154, 170, 0.16)", stroke = "#1b9aaa", lineWidth = 2.2, opacity = 1, dash = null } = options;
+  const opacityAttr = opacity < 1 ? ` opacity="${opacity}"` : "";
+  const dashAttr = dash ? ` stroke-dasharray="${dash}"` : "";
+  return `<path d="${pathData([vertexList])}" ${paint("fill", fill)} ${paint("stroke", stroke)} stroke-width="${lineWidth}" stroke-linejoin="round"${opacityAttr}${dashAttr}/>`;
+}
+
+function svgHoledPolygon(outer, holes) {
+  return `<path d="${pathData([outer, ...holes])}" fill-rule="evenodd" ${paint("fill", "rgba(27, 154, 170, 0.16)")} stroke="#1b9aaa" stroke-width="2.2"/>`;
+}
+
+function svgPoints(points, color, size = 4) {
+  if (!points || points.length === 0) return "";
+  const dots = points.map(([x, y]) => {
+    const p = latticeToCanvas({ x, y });
+    return `<circle cx="${num(p.x)}" cy="${num(p.y)}" r="${num(size)}"/>`;
+  });
+  return `<g fill="${color}">${dots.join("")}</g>`;
+}
+
+function svgVertices(verts, radius = 6, stroke = "#1b9aaa") {
+  const dots = verts.map((vertex) => {
+    const p = latticeToCanvas(vertex);
+    return `<circle cx="${num(p.x)}" cy="${num(p.y)}" r="${num(radius)}"/>`;
+  });
+  return `<g fill="#ffffff" stroke="${stroke}" stroke-width="2">${dots.join("")}</g>`;
+}
+
+function svgSegment(start, end, { color = SHARED_EDGE_COLOR, lineWidth = 3, dash = "6 6" } = {}) {
+  const a = latticeToCanvas(start);
+  const b = latticeToCanvas(end);
+  return `<line x1="${num(a.x)}" y1="${num(a.y)}" x2="${num(b.x)}" y2="${num(b.y)}" stroke="${color}" stroke-width="${lineWidth}" stroke-dasharray="${dash}"/>`;
+}
+
+function svgOverlapScene() {
+  const { union, intersection, counted_twice: countedTwice } = state.overlapSnapshot;
+  const [first, second] = state.additivePolygons;
+  const rings = countedTwice.map(([x, y]) => {
+    const p = latticeToCanvas({ x, y });
+    return `<circle cx="${num(p.x)}" cy="${num(p.y)}" r="7.5"/>`;
+  });
+  const parts = [
+    svgPoints(union.boundary_points, "#f48c06"),
+    svgPoints(union.interior_points, "#2a9d8f"),
+    svgPolygon(first),
+    svgPolygon(second, { fill: "rgba(244, 140, 6, 0.18)", stroke: "#f48c06" }),
+    ...intersection.rings.map((ring) =>
+      svgPolygon(
+        ring.map(([x, y]) => ({ x, y })),
+        { fill: "rgba(124, 58, 237, 0.22)", stroke: COUNTED_TWICE_COLOR, lineWidth: 2 }
+      )
+    ),
+    `<g fill="none" stroke="${COUNTED_TWICE_COLOR}" stroke-width="2">${rings.join("")}</g>`,
+    svgVertices(getActiveRings().flat()),
+  ];
+  return parts.join("\n");
+}
+
+function svgAdditiveScene() {
+  if (isOverlapMode()) return svgOverlapScene();
+  const { union, shared_edge: sharedEdge } = state.additiveSnapshot;
+  const [first, second] = state.additivePolygons;
+  const toPoint = ([x, y]) => ({ x, y });
+  const parts = [
+    svgPoints(union.boundary_points, "#f48c06"),
+    svgPoints(union.interior_points, "#2a9d8f"),
+    svgPolygon(first),
+    svgPolygon(second, { fill: "rgba(244, 140, 6, 0.18)", stroke: "#f48c06" }),
+    ...(sharedEdge.segments ?? []).map(([start, end]) => svgSegment(toPoint(start), toPoint(end))),
+    svgPoints(sharedEdge.points, SHARED_EDGE_COLOR),
+    svgVertices(getActiveRings().flat()),
+  ];
+  return parts.join("\n");
+}
+
+function svgEhrhartScene() {
+  const base = getEhrhartPolygon();
+  const parts = [];
+  for (let t = state.ehrhartDilates; t >= 1; t--) {
+    const color = BASE_CASE_COLORS[(t - 1) % BASE_CASE_COLORS.length];
+    const dilate = base.map((v) => ({ x: t * v.x, y: t * v.y }));
+    parts.push(svgPolygon(dilate, { fill: t === 1 ? color.fill : null, stroke: color.stroke, lineWidth: t === 1 ? 2.5 : 1.8 }));
+  }
+  const { dilates } = state.ehrhartData;
+  const largest = dilates[dilates.length - 1];
+  if (largest) {
+    const size = Math.max(1.2, Math.min(4, getScale() / 6));
+    parts.push(svgPoints(largest.boundary_points, "#f48c06", size));
+    parts.push(svgPoints(largest.interior_points, "#2a9d8f", size));
+  }
+  return parts.join("\n");
+}
+
+function svgInductionScene() {
+  const s = getScale();
+  const parts = [svgPolygon(state.inductionOuter, { fill: null, stroke: "#94a3b8", lineWidth: 3.5, dash: "10 10" })];
+  parts.push(
+    ...state.inductionTriangles.map((tri) => svgPolygon(tri, { fill: null, stroke: "#cbd5e1", lineWidth: 1.5 }))
+  );
+
+  const glued = Math.min(state.inductionStep, state.inductionTriangles.length);
+  for (let i = 0; i < glued; i++) {
+    const color = BASE_CASE_COLORS[i % BASE_CASE_COLORS.length];
+    parts.push(svgPolygon(state.inductionTriangles[i], { fill: color.fill, stroke: color.stroke, lineWidth: 2.5 }));
+  }
+
+  // The next triangle pulses on screen; here it is drawn half transparent
+  if (state.inductionStep < state.inductionTriangles.length) {
+    const color = BASE_CASE_COLORS[state.inductionStep % BASE_CASE_COLORS.length];
+    parts.push(
+      svgPolygon(state.inductionTriangles[state.inductionStep], {
+        fill: color.fill,
+        stroke: color.stroke,
+        lineWidth: 3.5,
+        opacity: 0.6,
+      })
+    );
+    for (const edge of getSharedEdgesForStep(state.inductionStep)) {
+      parts.push(svgSegment(edge.start, edge.end, { lineWidth: 6, dash: "8 8" }));
+    }
+  }
+
+  const snap = getActiveSnapshot();
+  if (snap) {
+    parts.push(svgPoints(snap.boundary_points, "#f48c06", Math.min(7, s / 10)));
+    parts.push(svgPoints(snap.interior_points, "#2a9d8f", Math.min(7, s / 10)));
+  }
+
+  const meshVertices = new Map();
+  for (const tri of state.inductionTriangles) {
+    tri.forEach((v) => meshVertices.set(`${v.x},${v.y}`, v));
+  }
+  parts.push(svgVertices(Array.from(meshVertices.values()), Math.min(8, s / 8), "#64748b"));
+  return parts.join("\n");
+}
+
+function svgScene() {
+  switch (state.currentTab) {
+    case TABS.TRIANGLE:
+    case TABS.POLYGON: {
+      const snap = getActiveSnapshot();
+      const [verts] = getActiveRings();
+      return [
+        svgPoints(snap.boundary_points, "#f48c06"),
+        svgPoints(snap.interior_points, "#2a9d8f"),
+        svgPolygon(verts),
+        svgVertices(verts),
+      ].join("\n");
+    }
+    case TABS.HOLES: {
+      const { outer, holes } = state.holedPolygon;
+      return [
+        svgPoints(state.holesSnapshot.boundary_points, "#f48c06"),
+        svgPoints(state.holesSnapshot.interior_points, "#2a9d8f"),
+        svgHoledPolygon(outer, holes),
+        svgVertices([outer, ...holes].flat()),
+      ].join("\n");
+    }
+    case TABS.ADDITIVE:
+      return svgAdditiveScene();
+    case TABS.EHRHART:
+      return svgEhrhartScene();
+    case TABS.INDUCTION:
+      return svgInductionScene();
+    default:
+      return "";
+  }
+}
+
+function captionTitle() {
+  switch (state.currentTab) {
+    case TABS.TRIANGLE:
+      return "Lattice triangle";
+    case TABS.POLYGON:
+      return `Lattice polygon with ${state.polygonVertices.length} vertices`;
+    case TABS.HOLES: {
+      const count = state.holedPolygon.holes.length;
+      return `Lattice polygon with ${count} ${count === 1 ? "hole" : "holes"}`;
+    }
+    case TABS.ADDITIVE:
+      return isOverlapMode() ? "Two overlapping polygons (union)" : "Two polygons glued along a shared edge (union)";
+    case TABS.EHRHART:
+      return `Ehrhart dilates P, 2P, …, ${state.ehrhartDilates}P (values for P)`;
+    case TABS.INDUCTION:
+      return `Induction: ${state.inductionStep} of ${state.inductionTriangles.length} triangles glued`;
+    default:
+      return "";
+  }
+}
+
+/**
+ * Caption lines for the active tab: a title, the counts, and Pick's identity
+ * with the numbers substituted (plus h on the holes tab).
+ */
+export function getCaptionLines() {
+  const snap = getActiveSnapshot();
+  const lines = [captionTitle()];
+  if (!snap) return lines;
+
+  const area = snap.area ?? 0;
+  const boundary = snap.boundary ?? 0;
+  const interior = snap.interior ?? 0;
+  const holes = snap.holes ?? 0;
+  const rhs = boundary / 2 + interior - 1 + holes;
+  const holesTerm = holes > 0 ? " + h" : "";
+  const holesValue = holes > 0 ? ` + ${holes}` : "";
+  const holds = Math.abs(area - rhs) < 1e-9;
+  lines.push(`A = ${formatArea(area)}    B = ${boundary}    I = ${interior}${holes > 0 ? `    h = ${holes}` : ""}`);
+  lines.push(
+    `A = B/2 + I − 1${holesTerm}:  ${formatArea(area)} ${holds ? "=" : "≠"} ${boundary}/2 + ${interior} − 1${holesValue} ${
+      holds ? "✓" : "✗"
+    }`
+  );
+  if (!isSquareLattice()) {
+    const det = getDeterminant();
+    lines.push(`Euclidean area = det · A = ${Number(det.toFixed(3))} · ${formatArea(area)} = ${Number((det * area).toFixed(3))}`);
+  }
+  return lines;
+}
+
+/**
+ * Build an SVG document of the scene as currently shown on the canvas.
+ * @param {{width: number, height: number}} rect - Canvas size in CSS pixels
+ * @param {{caption?: boolean}} [options]
+ * @returns {string}
+ */
+export function buildSceneSvg(rect, { caption = false } = {}) {
+  const captionLines = caption ? getCaptionLines() : [];
+  const captionHeight = captionLines.length > 0 ? captionLines.length * CAPTION_LINE_HEIGHT + 2 * CAPTION_PADDING : 0;
+  const width = num(rect.width);
+  const height = num(rect.height + captionHeight);
+
+  const parts = [
+    `<?xml version="1.0" encoding="UTF-8"?>`,
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">`,
+    `<defs><clipPath id="scene"><rect width="${width}" height="${num(rect.height)}"/></clipPath></defs>`,
+    `<g clip-path="url(#scene)">`,
+    svgGrid(rect),
+    svgScene(),
+    `</g>`,
+  ];
+
+  if (captionLines.length > 0) {
+    const top = rect.height;
+    parts.push(`<rect y="${num(top)}" width="${width}" height="${captionHeight}" fill="#f8fafc" stroke="#e5e7eb"/>`);
+    captionLines.forEach((line, idx) => {
+      const y = num(top + CAPTION_PADDING + (idx + 0.75) * CAPTION_LINE_HEIGHT);
+      const weight = idx === 0 ? ` font-weight="600"` : "";
+      parts.push(
+        `<text x="${CAPTION_PADDING}" y="${y}" font-family="system-ui, sans-serif" font-size="15" fill="#111827"${weight}>${escapeXml(line)}</text>`
+      );
+    });
+  }
+
+  parts.push(`</svg>`);
+  return parts.filter(Boolean).join("\n");
+}
@@ -0,0 +1,283 @@
+/**
+ * TikZ/LaTeX export.
+ * Produces a compilable LaTeX document with a TikZ picture of the active
+ * tab's polygons in lattice coordinates, boundary and interior points marked,
+ * followed by the equations the sidebar shows, built from the same `MATH`
+ * helpers in katex-utils.js.
+ */
+
+import { BASE_CASE_COLORS, TABS } from "./constants.js";
+import { formatArea } from "./geometry.js";
+import { getGlueSummary } from "./induction.js";
+import { MATH } from "./katex-utils.js";
+import { getDeterminant, isSquareLattice } from "./lattice.js";
+import { getActiveSnapshot, getEhrhartPolygon, isOverlapMode, state } from "./state.js";
+
+const BOUNDARY_COLOR = "F48C06";
+const INTERIOR_COLOR = "2A9D8F";
+const EDGE_COLOR = "1B9AAA";
+const SHARED_COLOR = "C026D3";
+const TWICE_COLOR = "7C3AED";
+
+const coord = (v) => `(${v.x},${v.y})`;
+const pathOf = (ring) => `${ring.map(coord).join(" -- ")} -- cycle`;
+const check = (holds) => (holds ? "\\quad\\checkmark" : "\\quad\\times");
+
+function colorDefinitions() {
+  const lines = [
+    `\\definecolor{boundarypt}{HTML}{${BOUNDARY_COLOR}}`,
+    `\\definecolor{interiorpt}{HTML}{${INTERIOR_COLOR}}`,
+    `\\definecolor{edge}{HTML}{${EDGE_COLOR}}`,
+    `\\definecolor{shared}{HTML}{${SHARED_COLOR}}`,
+    `\\definecolor{twice}{HTML}{${TWICE_COLOR}}`,
+  ];
+  BASE_CASE_COLORS.forEach((color, idx) => {
+    lines.push(`\\definecolor{piece${idx}}{HTML}{${color.stroke.slice(1).toUpperCase()}}`);
+  });
+  return lines;
+}
+
+function pointMarks(points, color) {
+  return (points ?? []).map(([x, y]) => `  \\fill[${color}] (${x},${y}) circle (2.5pt);`);
+}
+
+/**
+ * Polygons to draw on the active tab, as TikZ commands, plus every vertex so
+ * the grid can be sized to fit.
+ */
+function sceneCommands() {
+  const commands = [];
+  const vertices = [];
+  const polygon = (ring, style) => {
+    commands.push(`  \\draw[${style}] ${pathOf(ring)};`);
+    vertices.push(...ring);
+  };
+
+  switch (state.currentTab) {
+    case TABS.TRIANGLE:
+      polygon(state.triangleVertices, "edge, thick, fill=edge!15");
+      break;
+    case TABS.POLYGON:
+      polygon(state.polygonVertices, "edge, thick, fill=edge!15");
+      break;
+    case TABS.HOLES: {
+      const { outer, holes } = state.holedPolygon;
+      commands.push(`  \\draw[edge, thick, fill=edge!15, even odd rule] ${[outer, ...holes].map(pathOf).join(" ")};`);
+      vertices.push(...outer, ...holes.flat());
+      break;
+    }
+    case TABS.ADDITIVE: {
+      const [first, second] = state.additivePolygons;
+      polygon(first, "edge, thick, fill=edge!15");
+      polygon(second, "piece1, thick, fill=piece1!15");
+      if (isOverlapMode()) {
+        const { intersection, counted_twice: countedTwice } = state.overlapSnapshot;
+        for (const ring of intersection.rings) {
+          const path = ring.map(([x, y]) => `(${Number(x.toFixed(4))},${Number(y.toFixed(4))})`).join(" -- ");
+          commands.push(`  \\draw[twice, thick, fill=twice!25] ${path} -- cycle;`);
+        }
+        commands.push(...countedTwice.map(([x, y]) => `  \\draw[twice, thick] (${x},${y}) circle (5pt);`));
+        break;
+      }
+      for (const [[x1, y1], [x2, y2]] of state.additiveSnapshot.shared_edge.segments ?? []) {
+        commands.push(`  \\draw[shared, very thick, dashed] (${x1},${y1}) -- (${x2},${y2});`);
+      }
+      break;
+    }
+    case TABS.EHRHART: {
+      const base = getEhrhartPolygon();
+      for (let t = state.ehrhartDilates; t >= 1; t--) {
+        const color = `piece${(t - 1) % BASE_CASE_COLORS.length}`;
+        const fill = t === 1 ? `, fill=${color}!20` : "";
+        polygon(base.map((v) => ({ x: t * v.x, y: t * v.y })), `${color}, thick${fill}`);
+      }
+      break;
+    }
+    case TABS.INDUCTION: {
+      polygon(state.inductionOuter, "gray, thick, dashed");
+      state.inductionTriangles.forEach((tri, idx) => {
+        const color = `piece${idx % BASE_CASE_COLORS.length}`;
+        const style = idx < state.inductionStep ? `${color}, thick, fill=${color}!25` : "gray!40";
+        polygon(tri, style);
+      });
+      break;
+    }
+    default:
+      break;
+  }
+
+  // Mark the lattice points of the shape the equations talk about
+  const snap =
+    state.currentTab === TABS.EHRHART
+      ? state.ehrhartData.dilates[state.ehrhartData.dilates.length - 1]
+      : getActiveSnapshot();
+  if (snap) {
+    commands.push(...pointMarks(snap.boundary_points, "boundarypt"));
+    commands.push(...pointMarks(snap.interior_points, "interiorpt"));
+  }
+  return { commands, vertices };
+}
+
+/**
+ * The TikZ picture on its own, for pasting into an existing document.
+ */
+export function buildTikzPicture() {
+  const { commands, vertices } = sceneCommands();
+  const xs = vertices.map((v) => v.x);
+  const ys = vertices.map((v) => v.y);
+  const [minX, maxX] = [Math.min(0, ...xs) - 1, Math.max(0, ...xs) + 1];
+  const [minY, maxY] = [Math.min(0, ...ys) - 1, Math.max(0, ...ys) + 1];
+  const span = Math.max(maxX - minX, maxY - minY);
+  const scale = Math.min(1, 12 / span).toFixed(2);
+  // On a non-square lattice, map lattice coordinates through the basis
+  const [v1, v2] = state.lattice.basis;
+  const basis = isSquareLattice()
+    ? ""
+    : `, cm={${[v1.x, v1.y, v2.x, v2.y].map((c) => Number(c.toFixed(4))).join(",")},(0,0)}`;
+
+  return [
+    `\\begin{tikzpicture}[scale=${scale}${basis}]`,
+    `  \\draw[gray!25, very thin] (${minX},${minY}) grid (${maxX},${maxY});`,
+    `  \\draw[gray!70, ->] (${minX},0) -- (${maxX},0);`,
+    `  \\draw[gray!70, ->] (0,${minY}) -- (0,${maxY});`,
+    `  \\foreach \\x in {${minX},...,${maxX}} \\foreach \\y in {${minY},...,${maxY}} \\fill[gray!60] (\\x,\\y) circle (1pt);`,
+    ...commands,
+    `\\end{tikzpicture}`,
+  ].join("\n");
+}
+
+/**
+ * `B/2 + I - 1` for a snapshot, plus `h` for its holes and `-p/2` for the
+ * pinches of an induction region, as the sidebar writes them.
+ * @returns {{value: number, latex: string}}
+ */
+function pickRhs(snapshot) {
+  const holes = snapshot.holes ?? 0;
+  const pinches = snapshot.pinches ?? 0;
+  const holesTerm = (holes > 0 ? ` + ${holes}` : "") + (pinches > 0 ? ` - \\frac{${pinches}}{2}` : "");
+  return {
+    value: snapshot.boundary / 2 + snapshot.interior - 1 + holes - pinches / 2,
+    latex: `\\frac{${snapshot.boundary}}{2} + ${snapshot.interior} - 1${holesTerm}`,
+  };
+}
+
+function conjectureLine(labelLatex, snapshot) {
+  const area = snapshot.area ?? 0;
+  const rhs = pickRhs(snapshot);
+  const holds = Math.abs(area - rhs.value) < 1e-9;
+  const equation =
+    snapshot.holes || snapshot.pinches
+      ? `${formatArea(area)} = ${rhs.latex} = ${formatArea(rhs.value)}`
+      : MATH.conjectureEq(area, snapshot.interior, snapshot.boundary);
+  return `${labelLatex}: ${equation}${check(holds)}`;
+}
+
+/**
+ * The equations the sidebar shows for the active tab, one LaTeX line each,
+ * ending with the Euclidean area on a non-square lattice.
+ */
+export function buildEquationLines() {
+  const lines = tabEquationLines();
+  const snap = getActiveSnapshot();
+  if (!isSquareLattice() && snap) {
+    const det = Number(getDeterminant().toFixed(3));
+    const rhs = pickRhs(snap);
+    lines.push(
+      `A_{\\text{Euclid}} = \\det \\cdot A = ${det} \\cdot \\left(${rhs.latex}\\right) = ${Number((det * rhs.value).toFixed(3))}`
+    );
+  }
+  return lines;
+}
+
+/**
+ * The active tab's own panel equations.
+ */
+function tabEquationLines() {
+  switch (state.currentTab) {
+    case TABS.TRIANGLE:
+    case TABS.POLYGON:
+      return [MATH.conjectureFull, conjectureLine("P", getActiveSnapshot())];
+    case TABS.HOLES: {
+      const snap = state.holesSnapshot;
+      const rhs = snap.boundary / 2 + snap.interior - 1 + snap.holes;
+      const holds = Math.abs(snap.area - rhs) < 1e-9;
+      return [
+        MATH.conjectureHoles,
+        `${formatArea(snap.area)} = \\frac{${snap.boundary}}{2} + ${snap.interior} - 1 + ${snap.holes} = ${formatArea(rhs)}${check(holds)}`,
+      ];
+    }
+    case TABS.ADDITIVE: {
+      if (isOverlapMode()) {
+        const { p1, p2, intersection, union } = state.overlapSnapshot;
+        const count = (s) => s.boundary + s.interior;
+        return [
+          `A(P_1 \\cup P_2) = A(P_1) + A(P_2) - A(P_1 \\cap P_2) = ${formatArea(p1.area)} + ${formatArea(p2.area)} - ${formatArea(intersection.area)} = ${formatArea(union.area)}`,
+          `L(P_1 \\cup P_2) = L(P_1) + L(P_2) - L(P_1 \\cap P_2) = ${count(p1)} + ${count(p2)} - ${count(intersection)} = ${count(union)}`,
+          MATH.conjectureFull,
+          conjectureLine(MATH.P1, p1),
+          conjectureLine(MATH.P2, p2),
+          conjectureLine("P_1 \\cap P_2", intersection),
+          conjectureLine(MATH.union(1, 2), union),
+        ];
+      }
+      const { p1, p2, union, shared_edge: shared } = state.additiveSnapshot;
+      return [
+        MATH.interiorUnion(p1.interior, p2.interior, shared.interior_count, union.interior),
+        MATH.conjectureFull,
+        conjectureLine(MATH.P1, p1),
+        conjectureLine(MATH.P2, p2),
+        conjectureLine(MATH.union(1, 2), union),
+      ];
+    }
+    case TABS.EHRHART: {
+      const { dilates, polynomial } = state.ehrhartData;
+      const base = dilates[0];
+      if (!base) return [];
+      return [
+        "L(t) = A\\,t^2 + \\frac{B}{2}\\,t + 1",
+        `L(t) = ${formatArea(polynomial.quadratic)}\\,t^2 + ${formatArea(polynomial.linear)}\\,t + ${formatArea(polynomial.constant)}`,
+        ...dilates.map((d) => `L(${d.t}) = ${d.lattice_points}`),
+        `I(P) = L(-1) = A - \\frac{B}{2} + 1 = ${formatArea(base.area)} - \\frac{${base.boundary}}{2} + 1 = ${base.interior}`,
+      ];
+    }
+    case TABS.INDUCTION: {
+      const lines = [MATH.conjecture];
+      for (let i = 0; i < state.inductionStep; i++) {
+        const snap = state.inductionAccumulatedSnapshots[i];
+        if (snap) lines.push(conjectureLine(i === 0 ? MATH.P1 : MATH.unionRange(1, i + 1), snap));
+      }
+      const summary = state.inductionStep > 1 ? getGlueSummary(state.inductionStep - 1) : null;
+      if (summary) {
+        const holesTerm =
+          (summary.deltaH !== 0 ? ` + (${summary.deltaH})` : "") +
+          (summary.deltaP !== 0 ? ` - (${MATH.halves(summary.deltaP / 2)})` : "");
+        lines.push(MATH.glueIdentity(MATH.halves(summary.deltaA), summary.deltaB, summary.deltaI) + holesTerm);
+      }
+      return lines;
+    }
+    default:
+      return [];
+  }
+}
+
+/**
+ * A complete LaTeX document: the picture followed by the equations.
+ */
+export function buildLatexDocument() {
+  const equations = buildEquationLines();
+  const body = equations.length > 0 ? ["\\begin{align*}", equations.map((line) => `  & ${line}`).join(" \\\\\n"), "\\end{align*}"] : [];
+  return [
+    "\\documentclass{article}",
+    "\\usepackage{amsmath,amssymb}",
+    "\\usepackage{tikz}",
+    ...colorDefinitions(),
+    "",
+    "\\begin{document}",
+    "\\begin{center}",
+    buildTikzPicture(),
+    "\\end{center}",
+    ...body,
+    "\\end{document}",
+    "",
+  ].join("\n");
+}
@@ -0,0 +1,110 @@
+/**
+ * Unimodular transforms.
+ * Integer affine maps v ↦ Mv + t with det M = ±1 send the lattice onto
+ * itself, so they change how a polygon looks but not its area or its
+ * boundary and interior point counts. This module validates such maps,
+ * applies them to vertex lists and describes the animation between the
+ * polygon and its image.
+ */
+
+import { COORDINATE_LIMIT } from "./constants.js";
+
+export const TRANSFORM_PRESETS = {
+  shearX: { label: "Shear x", matrix: [[1, 1], [0, 1]] },
+  shearY: { label: "Shear y", matrix: [[1, 0], [1, 1]] },
+  rotate: { label: "Rotate 90°", matrix: [[0, -1], [1, 0]] },
+  reflect: { label: "Reflect", matrix: [[-1, 0], [0, 1]] },
+};
+
+export const TRANSFORM_LIMITS = {
+  maxCoordinate: COORDINATE_LIMIT,
+};
+
+const TWEEN_DURATION = 700;
+
+export function matrixDeterminant([[a, b], [c, d]]) {
+  return a * d - b * c;
+}
+
+/**
+ * Why `matrix` and `offset` do not describe a lattice-preserving map, or null
+ * if they do.
+ * @param {number[][]} matrix 2×2, rows first
+ * @param {{x: number, y: number}} offset
+ * @returns {string|null}
+ */
+export function findTransformProblem(matrix, offset) {
+  const entries = matrix.flat();
+  if (!entries.every(Number.isInteger)) {
+    return "Every matrix entry must be a whole number, otherwise lattice points are sent off the lattice.";
+  }
+  if (!Number.isInteger(offset.x) || !Number.isInteger(offset.y)) {
+    return "The translation must be a whole number in each direction, otherwise every vertex leaves the lattice.";
+  }
+  const det = matrixDeterminant(matrix);
+  if (det === 0) {
+    return "det M = 0 squashes the plane onto a line (or a point), so the polygon would collapse to zero area.";
+  }
+  if (Math.abs(det) !== 1) {
+    return (
+      `det M = ${det}, so areas are multiplied by ${Math.abs(det)} and the lattice is sent onto a sublattice ` +
+      `holding only 1 in every ${Math.abs(det)} lattice points. The image would contain lattice points that are ` +
+      "not the image of any point of the polygon, so B and I would change. Only det M = ±1 maps the lattice onto itself."
+    );
+  }
+  return null;
+}
+
+export function transformVertex(vertex, [[a, b], [c, d]], offset) {
+  return { x: a * vertex.x + b * vertex.y + offset.x, y: c * vertex.x + d * vertex.y + offset.y };
+}
+
+export function transformVertices(vertices, matrix, offset) {
+  return vertices.map((v) => transformVertex(v, matrix, offset));
+}
+
+/**
+ * Why the transformed vertices `image` are too far out to show, or null if
+ * they fit.
+ */
+export function findImageProblem(image) {
+  const { maxCoordinate } = TRANSFORM_LIMITS;
+  const tooFar = image.some((v) => Math.abs(v.x) > maxCoordinate || Math.abs(v.y) > maxCoordinate);
+  return tooFar ? `That would move vertices beyond ±${maxCoordinate}; undo a few steps or translate back first.` : null;
+}
+
+/**
+ * Animation from `vertices` to their image. Boundary and interior points of
+ * the old snapshot travel along with the vertices, since the map sends them
+ * to the boundary and interior points of the image.
+ * @returns {{tab: string, vertices: Array, points: Object, matrix: number[][], offset: Object,
+ *   start: number, duration: number}}
+ */
+export function createTransformTween(tab, vertices, snapshot, matrix, offset) {
+  const reduceMotion = window.matchMedia?.("(prefers-reduced-motion: reduce)").matches;
+  return {
+    tab,
+    vertices: vertices.map((v) => ({ ...v })),
+    points: { boundary: snapshot.boundary_points ?? [], interior: snapshot.interior_points ?? [] },
+    matrix,
+    offset,
+    start: performance.now(),
+    duration: reduceMotion ? 0 : TWEEN_DURATION,
+  };
+}
+
+/**
+ * How far along the animation is, eased, from 0 to 1.
+ */
+export function tweenProgress(tween, now = performance.now()) {
+  const t = tween.duration > 0 ? Math.min(1, (now - tween.start) / tween.duration) : 1;
+  return t < 0.5 ? 2 * t * t : 1 - (-2 * t + 2) ** 2 / 2;
+}
+
+/**
+ * Where `vertex` is drawn at progress `t`: on the segment from it to its image.
+ */
+export function tweenVertex(tween, vertex, t) {
+  const image = transformVertex(vertex, tween.matrix, tween.offset);
+  return { x: vertex.x + t * (image.x - vertex.x), y: vertex.y + t * (image.y - vertex.y) };
+}
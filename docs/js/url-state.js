@@ -0,0 +1,306 @@
+/**
+ * Shareable links.
+ * The configuration on screen is written to the URL hash as `key=value`
+ * pairs, e.g. `#tab=polygon&tri=-3,-2;3,-2;0,4&view=0,1,40`. Vertex lists are
+ * `x,y` pairs joined by `;`, and the rings of a polygon with holes (or the
+ * two polygons of the shared edge tab) are joined by `~`; `addmode=overlap`
+ * marks a shared edge tab that lets them overlap, and a non-square lattice is
+ * `lattice=triangular` or `lattice=custom:x1,y1,x2,y2`. The 3D tab's
+ * tetrahedron is `tet=` followed by four `x,y,z` triples. Polygon tab
+ * vertices off the lattice are written as fractions such as `1/3`, and
+ * `snap=half`, `third` or `free` keeps the tab snapping there. Anything in a link
+ * that does not describe a valid configuration is skipped, leaving the
+ * default in place.
+ */
+
+import {
+  ADDITIVE_MODES,
+  COORDINATE_LIMIT,
+  INDUCTION_SOURCES,
+  LATTICE_BASES,
+  LATTICE_PRESETS,
+  MAX_SCALE,
+  MAX_VERTICES,
+  MIN_SCALE,
+  SNAP_MODES,
+  TABS,
+} from "./constants.js";
+import {
+  COMMON_DENOMINATOR,
+  findSharedEdgeProblems,
+  findTetrahedronProblem,
+  formatCoordinate,
+  isSimplePolygon,
+  isValidPolygonWithHoles,
+} from "./geometry.js";
+import { buildInductionTriangles } from "./induction.js";
+import { findBasisProblem, setLattice } from "./lattice.js";
+import { findReeveHeight, getView, state } from "./state.js";
+
+const HASH_UPDATE_DELAY = 250;
+let pendingUpdate = null;
+
+const encodeRing = (vertices) => vertices.map((v) => `${formatCoordinate(v.x)},${formatCoordinate(v.y)}`).join(";");
+
+/**
+ * Parse a coordinate: an integer, or with `rational` also a fraction `p/q`
+ * that some snapping mode can reach, within the editor's ±COORDINATE_LIMIT.
+ * Null if it is neither or too far out.
+ */
+function decodeCoordinate(text = "", rational) {
+  let value = null;
+  if (/^-?\d+$/.test(text)) {
+    value = Number(text);
+  } else {
+    const match = rational && /^(-?\d+)\/(\d+)$/.exec(text);
+    if (!match || Number(match[2]) === 0 || COMMON_DENOMINATOR % Number(match[2]) !== 0) return null;
+    value = Number(match[1]) / Number(match[2]);
+  }
+  return Math.abs(value) <= COORDINATE_LIMIT ? value : null;
+}
+
+/**
+ * Parse `x,y;x,y;...` into vertices, or null if any coordinate is not an
+ * integer (or, with `rational`, a fraction) in range, or there are more
+ * vertices than the editor allows.
+ */
+function decodeRing(text, rational = false) {
+  const pairs = text.split(";");
+  if (pairs.length > MAX_VERTICES) return null;
+  const vertices = pairs.map((pair) => {
+    const [x, y, ...rest] = pair.split(",").map((c) => decodeCoordinate(c, rational));
+    if (rest.length > 0 || x === null || y === null) return null;
+    return { x, y };
+  });
+  return vertices.includes(null) ? null : vertices;
+}
+
+/**
+ * Parse `~`-separated rings, or null if any ring is invalid or they have
+ * more vertices between them than the editor allows.
+ */
+function decodeRings(text) {
+  const rings = text.split("~");
+  // Every ring needs three vertices, so this many rings can never fit
+  if (rings.length > MAX_VERTICES / 3) return null;
+  const decoded = rings.map((ring) => decodeRing(ring));
+  if (decoded.includes(null) || decoded.flat().length > MAX_VERTICES) return null;
+  return decoded;
+}
+
+/**
+ * Encode the current configuration as a URL hash (including the leading `#`).
+ */
+export function encodeHash() {
+  const { outer, holes } = state.holedPolygon;
+  const params = [
+    ["tab", state.currentTab],
+    ["tri", encodeRing(state.triangleVertices)],
+    ["poly", encodeRing(state.polygonVertices)],
+    ...(state.snapMode !== SNAP_MODES.LATTICE ? [["snap", state.snapMode]] : []),
+    ["holes", [outer, ...holes].map(encodeRing).join("~")],
+    ["add", state.additivePolygons.map(encodeRing).join("~")],
+    ...(state.additiveMode === ADDITIVE_MODES.OVERLAP ? [["addmode", state.additiveMode]] : []),
+    ["ehr", `${state.ehrhartSource},${state.ehrhartDilates}`],
+    ["ind", `${state.inductionSource},${state.inductionStep}`],
+    ["tet", state.tetrahedron.map((v) => `${v.x},${v.y},${v.z}`).join(";")],
+  ];
+  const { preset, basis } = state.lattice;
+  if (preset === LATTICE_PRESETS.CUSTOM) {
+    params.push(["lattice", `${preset}:${basis.flatMap((v) => [v.x, v.y]).map((c) => Number(c.toFixed(4))).join(",")}`]);
+  } else if (preset !== LATTICE_PRESETS.SQUARE) {
+    params.push(["lattice", preset]);
+  }
+  const view = getView();
+  if (!view.auto) {
+    const round = (value) => Number(value.toFixed(2));
+    params.push(["view", `${round(view.centerX)},${round(view.centerY)},${round(view.scale)}`]);
+  }
+  return `#${params.map(([key, value]) => `${key}=${value}`).join("&")}`;
+}
+
+/**
+ * Write the hash now, replacing the current history entry.
+ */
+export function writeHash() {
+  clearTimeout(pendingUpdate);
+  pendingUpdate = null;
+  window.history.replaceState(null, "", encodeHash());
+}
+
+/**
+ * Write the hash shortly, so a drag only rewrites the URL once it pauses.
+ */
+export function scheduleHashUpdate() {
+  clearTimeout(pendingUpdate);
+  pendingUpdate = setTimeout(writeHash, HASH_UPDATE_DELAY);
+}
+
+function parseHash(hash) {
+  const params = new Map();
+  for (const part of hash.replace(/^#/, "").split("&")) {
+    if (!part) continue;
+    const eq = part.indexOf("=");
+    if (eq === -1) continue;
+    params.set(decodeURIComponent(part.slice(0, eq)), decodeURIComponent(part.slice(eq + 1)));
+  }
+  return params;
+}
+
+/**
+ * Apply a URL hash to `state`. Each setting is checked on its own; invalid
+ * ones keep their defaults and are described in the returned messages.
+ * @param {string} hash
+ * @returns {string[]} Problems found in the link, empty if it applied cleanly
+ */
+export function applyHash(hash) {
+  const params = parseHash(hash);
+  const problems = [];
+
+  const tab = params.get("tab");
+  if (tab !== undefined) {
+    if (Object.values(TABS).includes(tab)) {
+      state.currentTab = tab;
+    } else {
+      problems.push(`unknown tab "${tab}"`);
+    }
+  }
+
+  const readRing = (key, label, isValid, rational = false) => {
+    if (!params.has(key)) return null;
+    const vertices = decodeRing(params.get(key), rational);
+    if (vertices && isValid(vertices)) return vertices;
+    problems.push(`the ${label} is not valid`);
+    return null;
+  };
+
+  const triangle = readRing("tri", "triangle", (v) => v.length === 3 && isSimplePolygon(v));
+  if (triangle) state.triangleVertices = triangle;
+
+  const polygon = readRing("poly", "polygon", isSimplePolygon, true);
+  if (polygon) state.polygonVertices = polygon;
+
+  const snap = params.get("snap");
+  if (snap !== undefined) {
+    if (Object.values(SNAP_MODES).includes(snap)) {
+      state.snapMode = snap;
+    } else {
+      problems.push(`unknown snapping mode "${snap}"`);
+    }
+  }
+
+  if (params.has("lattice")) {
+    const [preset, components] = params.get("lattice").split(":");
+    if (preset === LATTICE_PRESETS.CUSTOM) {
+      const [x1, y1, x2, y2, ...rest] = (components ?? "").split(",").map((c) => (c === "" ? NaN : Number(c)));
+      const basis = [
+        { x: x1, y: y1 },
+        { x: x2, y: y2 },
+      ];
+      if (rest.length === 0 && !findBasisProblem(basis)) {
+        setLattice(preset, basis);
+      } else {
+        problems.push("the lattice basis is not valid");
+      }
+    } else if (preset in LATTICE_BASES && components === undefined) {
+      setLattice(preset);
+    } else {
+      problems.push(`unknown lattice "${params.get("lattice")}"`);
+    }
+  }
+
+  const additiveMode = params.get("addmode");
+  if (additiveMode !== undefined) {
+    if (Object.values(ADDITIVE_MODES).includes(additiveMode)) {
+      state.additiveMode = additiveMode;
+    } else {
+      problems.push(`unknown shared edge mode "${additiveMode}"`);
+    }
+  }
+
+  if (params.has("add")) {
+    let polygons = decodeRings(params.get("add")) ?? [];
+    // Older links hold a quadrilateral ABCD split along the diagonal AC
+    if (polygons.length === 1 && polygons[0].length === 4) {
+      const [a, b, c, d] = polygons[0];
+      polygons = [[a, b, c], [a, c, d]];
+    }
+    const allowOverlap = state.additiveMode === ADDITIVE_MODES.OVERLAP;
+    if (
+      polygons.length === 2 &&
+      findSharedEdgeProblems(...polygons, { allowOverlap }).length === 0
+    ) {
+      state.additivePolygons = polygons;
+    } else {
+      problems.push("the shared edge polygons are not valid");
+    }
+  }
+
+  if (params.has("holes")) {
+    const rings = decodeRings(params.get("holes"));
+    if (rings && isValidPolygonWithHoles(rings[0], rings.slice(1))) {
+      state.holedPolygon = { outer: rings[0], holes: rings.slice(1) };
+    } else {
+      problems.push("the polygon with holes is not valid");
+    }
+  }
+
+  if (params.has("ehr")) {
+    const [source, dilates] = params.get("ehr").split(",");
+    const sourceOk = source === TABS.TRIANGLE || source === TABS.POLYGON;
+    const dilatesOk = /^\d+$/.test(dilates ?? "") && Number(dilates) >= 3 && Number(dilates) <= 6;
+    if (sourceOk && dilatesOk) {
+      state.ehrhartSource = source;
+      state.ehrhartDilates = Number(dilates);
+    } else {
+      problems.push("the Ehrhart settings are not valid");
+    }
+  }
+
+  if (params.has("ind")) {
+    const [source, step] = params.get("ind").split(",");
+    if (Object.values(INDUCTION_SOURCES).includes(source)) {
+      state.inductionSource = source;
+      const problem = buildInductionTriangles();
+      if (problem) {
+        state.inductionSource = INDUCTION_SOURCES.STAIRCASE;
+        buildInductionTriangles();
+        problems.push(`the induction polygon ${problem}`);
+      }
+      if (/^\d+$/.test(step ?? "") && Number(step) <= state.inductionTriangles.length) {
+        state.inductionStep = Number(step);
+      } else {
+        problems.push("the induction step is out of range");
+      }
+    } else {
+      problems.push(`unknown induction source "${source}"`);
+    }
+  }
+
+  if (params.has("tet")) {
+    const vertices = params.get("tet").split(";").map((triple) => {
+      const coords = triple.split(",");
+      return coords.length === 3 && coords.every((c) => /^-?\d+$/.test(c))
+        ? { x: Number(coords[0]), y: Number(coords[1]), z: Number(coords[2]) }
+        : null;
+    });
+    if (vertices.length === 4 && !vertices.includes(null) && !findTetrahedronProblem(vertices)) {
+      state.tetrahedron = vertices;
+      // The height is shown only when the link holds one of Reeve's tetrahedra
+      state.reeveHeight = findReeveHeight(vertices);
+    } else {
+      problems.push("the tetrahedron is not valid");
+    }
+  }
+
+  if (params.has("view")) {
+    const [centerX, centerY, scale] = params.get("view").split(",").map(Number);
+    if ([centerX, centerY, scale].every(Number.isFinite) && scale >= MIN_SCALE && scale <= MAX_SCALE) {
+      Object.assign(getView(), { centerX, centerY, scale, auto: false });
+    } else {
+      problems.push("the view is not valid");
+    }
+  }
+
+  return problems;
+}
@@ -3,11 +3,17 @@ Lattice point geometry calculations for The Conjecture visualization.
 This module is loaded via Pyodide in the browser.
 """
 
-from math import gcd
-from typing import Sequence, Tuple, List
+from fractions import Fraction
+from math import atan2, ceil, floor, gcd
+from time import perf_counter
+from typing import Iterator, Sequence, Tuple, List
 
 Point = Tuple[int, int]
 
+# Snapshots leave out their point lists above this many lattice points; the
+# counts are always exact
+MAX_LISTED_POINTS = 20000
+
 
 def _validate_points(points: Sequence[Point]) -> List[Point]:
     """Convert and validate a sequence of points."""
@@ -62,11 +68,11 @@ def _is_point_in_polygon(point: Point, vertices: Sequence[Point]) -> bool:
         x1, y1 = start
         x2, y2 = end
         if (y1 > y) != (y2 > y):
+            # The edge meets the ray's line right of the point, compared
+            # without dividing: (x2 - x1)(y - y1) / (y2 - y1) > x - x1
             denom = y2 - y1
-            if denom != 0:
-                xinters = (x2 - x1) * (y - y1) / denom + x1
-                if xinters > x:
-                    inside = not inside
+            if ((x2 - x1) * (y - y1) > (x - x1) * denom) == (denom > 0):
+                inside = not inside
     return inside
 
 
@@ -100,15 +106,131 @@ def get_boundary_points(points: Sequence[Point]) -> int:
     return boundary
 
 
+def _merge_ranges(ranges: Sequence[Tuple[int, int]]) -> List[Tuple[int, int]]:
+    """Sort integer ranges (lo, hi), drop empty ones and merge those that overlap or touch."""
+    merged: List[Tuple[int, int]] = []
+    for lo, hi in sorted(ranges):
+        if lo > hi:
+            continue
+        if merged and lo <= merged[-1][1] + 1:
+            merged[-1] = (merged[-1][0], max(merged[-1][1], hi))
+        else:
+            merged.append((lo, hi))
+    return merged
+
+
+def _intersect_ranges(first: Sequence[Tuple[int, int]], second: Sequence[Tuple[int, int]]) -> List[Tuple[int, int]]:
+    """The integers in both of two merged range lists, as merged ranges."""
+    common = []
+    i = j = 0
+    while i < len(first) and j < len(second):
+        lo, hi = max(first[i][0], second[j][0]), min(first[i][1], second[j][1])
+        if lo <= hi:
+            common.append((lo, hi))
+        if first[i][1] < second[j][1]:
+            i += 1
+        else:
+            j += 1
+    return common
+
+
+def _subtract_ranges(ranges: Sequence[Tuple[int, int]], cuts: Sequence[Tuple[int, int]]) -> List[Tuple[int, int]]:
+    """The integers of merged ranges that are not in any of the merged cuts."""
+    left = []
+    for lo, hi in ranges:
+        for cut_lo, cut_hi in cuts:
+            if cut_hi < lo or cut_lo > hi:
+                continue
+            if cut_lo > lo:
+                left.append((lo, cut_lo - 1))
+            lo = cut_hi + 1
+        if lo <= hi:
+            left.append((lo, hi))
+    return left
+
+
+def _range_size(ranges: Sequence[Tuple[int, int]]) -> int:
+    return sum(hi - lo + 1 for lo, hi in ranges)
+
+
+def _scanline_rows(rings: Sequence[Sequence[Point]], denominator: int = 1) -> Iterator[Tuple[int, List[Tuple[int, int]], List[Tuple[int, int]]]]:
+    """
+    Walk the lattice rows y from the lowest to the highest vertex, yielding
+    (y, closed, inside): the lattice points of the row on or in the region,
+    and those strictly inside it, as merged integer ranges (lo, hi).
+
+    The region is what an odd number of the rings enclose, so an outer ring
+    with holes inside it works as well as a single polygon. Vertices are
+    scaled by `denominator`: the lattice point (x, y) is tested as
+    (x * denominator, y * denominator). The points where edges cross a row
+    pair up into spans, as exact fractions, so a point of the row off the
+    boundary is inside exactly when it lies strictly within a span. The rest
+    of the row's boundary are runs: horizontal edges and vertices whose
+    neighbours both lie below. Each row costs one pass over the edges, so the
+    work grows with height times edges rather than area times edges.
+    """
+    d = denominator
+    edges = [(pts[i], pts[(i + 1) % len(pts)]) for pts in rings for i in range(len(pts))]
+    peaks = [
+        p
+        for pts in rings
+        for i, p in enumerate(pts)
+        if pts[i - 1][1] < p[1] and pts[(i + 1) % len(pts)][1] < p[1] and p[0] % d == 0
+    ]
+    low = min(p[1] for pts in rings for p in pts)
+    high = max(p[1] for pts in rings for p in pts)
+    for y in range(-(-low // d), high // d + 1):
+        row = y * d
+        crossings = []
+        runs = [(x // d, x // d) for x, peak_y in peaks if peak_y == row]
+        for (x1, y1), (x2, y2) in edges:
+            if (y1 > row) != (y2 > row):
+                crossings.append(Fraction(x1 * (y2 - y1) + (x2 - x1) * (row - y1), (y2 - y1) * d))
+            elif y1 == y2 == row:
+                runs.append((-(-min(x1, x2) // d), max(x1, x2) // d))
+        crossings.sort()
+        runs = _merge_ranges(runs)
+        spans = list(zip(crossings[::2], crossings[1::2]))
+        closed = _merge_ranges([(ceil(a), floor(b)) for a, b in spans] + runs)
+        inside = _merge_ranges([(floor(a) + 1, ceil(b) - 1) for a, b in spans])
+        yield y, closed, _subtract_ranges(inside, runs)
+
+
+def _scan_region(rings: Sequence[Sequence[Point]], denominator: int = 1) -> Tuple[int, int, List[tuple]]:
+    """Count the boundary and interior lattice points of a region, keeping its rows to list them later."""
+    rows = list(_scanline_rows(rings, denominator))
+    interior = sum(_range_size(inside) for _, _, inside in rows)
+    return sum(_range_size(closed) for _, closed, _ in rows) - interior, interior, rows
+
+
+def _list_rows(rows: Sequence[tuple]) -> Tuple[List[Point], List[Point]]:
+    """The boundary and interior points of the rows from _scanline_rows, each sorted."""
+    boundary_points, interior_points = [], []
+    for y, closed, inside in rows:
+        for lo, hi in _subtract_ranges(closed, inside):
+            boundary_points.extend((x, y) for x in range(lo, hi + 1))
+        for lo, hi in inside:
+            interior_points.extend((x, y) for x in range(lo, hi + 1))
+    return sorted(boundary_points), sorted(interior_points)
+
+
 def get_interior_points(points: Sequence[Point]) -> int:
     """Count the number of lattice points strictly inside the polygon."""
-    pts = _validate_points(points)
+    return _scan_region([_validate_points(points)])[1]
+
+
+def _collect_interior_by_ray_casting(vertices: Sequence[Point]) -> List[Point]:
+    """
+    The original interior count: test every point of the bounding box against
+    every edge. Kept as the reference for benchmark_interior_counting.
+    """
+    pts = _validate_points(vertices)
     min_x = min(p[0] for p in pts)
     max_x = max(p[0] for p in pts)
     min_y = min(p[1] for p in pts)
     max_y = max(p[1] for p in pts)
 
-    interior = 0
+    interior = []
     n = len(pts)
     for x in range(min_x, max_x + 1):
         for y in range(min_y, max_y + 1):
@@ -118,7 +240,7 @@ def get_interior_points(points: Sequence[Point]) -> int:
             if any(is_point_on_edge(candidate, pts[i], pts[(i + 1) % n]) for i in range(n)):
                 continue
             if _point_in_shape(candidate, pts):
-                interior += 1
+                interior.append(candidate)
     return interior
 
 
@@ -142,24 +264,7 @@ def collect_boundary_points(vertices: Sequence[Point]) -> List[Point]:
 
 def collect_interior_points(vertices: Sequence[Point]) -> List[Point]:
     """Collect all lattice points strictly inside the polygon."""
-    pts = _validate_points(vertices)
-    min_x = min(p[0] for p in pts)
-    max_x = max(p[0] for p in pts)
-    min_y = min(p[1] for p in pts)
-    max_y = max(p[1] for p in pts)
-
-    interior = []
-    n = len(pts)
-    for x in range(min_x, max_x + 1):
-        for y in range(min_y, max_y + 1):
-            candidate = (x, y)
-            if candidate in pts:
-                continue
-            if any(is_point_on_edge(candidate, pts[i], pts[(i + 1) % n]) for i in range(n)):
-                continue
-            if _point_in_shape(candidate, pts):
-                interior.append(candidate)
-    return interior
+    return _list_rows(_scan_region([_validate_points(vertices)])[2])[1]
 
 
 def compute_snapshot(vertices: Sequence[Point]) -> dict:
@@ -172,63 +277,835 @@ def compute_snapshot(vertices: Sequence[Point]) -> dict:
     - interior: Number of interior lattice points
     - boundary_points: List of boundary point coordinates
     - interior_points: List of interior point coordinates
+    - points_listed: False if the polygon holds more than MAX_LISTED_POINTS
+      lattice points, in which case both lists are left empty
     """
     pts = [tuple(int(v) for v in pair) for pair in vertices]
+    boundary = get_boundary_points(pts)
+    _, interior, rows = _scan_region([_validate_points(pts)])
+    listed = boundary + interior <= MAX_LISTED_POINTS
+    boundary_points, interior_points = _list_rows(rows) if listed else ([], [])
     return {
         "area": get_polygon_area(pts),
-        "boundary": get_boundary_points(pts),
-        "interior": get_interior_points(pts),
-        "boundary_points": collect_boundary_points(pts),
-        "interior_points": collect_interior_points(pts),
+        "boundary": boundary,
+        "interior": interior,
+        "boundary_points": boundary_points,
+        "interior_points": interior_points,
+        "points_listed": listed,
     }
 
 
-def _segment_interior_lattice_points(start: Point, end: Point) -> Tuple[int, List[Point]]:
-    """Get interior lattice points on a line segment (excluding endpoints)."""
-    dx, dy = end[0] - start[0], end[1] - start[1]
-    steps = gcd(abs(dx), abs(dy))
-    if steps <= 1:
-        return 0, []
-    step_x, step_y = dx // steps, dy // steps
-    points = [
-        (start[0] + step_x * i, start[1] + step_y * i)
-        for i in range(1, steps)
-    ]
-    return steps - 1, points
+def benchmark_interior_counting(vertices: Sequence[Point], scales: Sequence[int], max_ray_casting_area: int) -> List[dict]:
+    """
+    Time the scanline interior count against the original ray casting on the
+    dilates tP of a polygon, one row per scale t. Ray casting is skipped
+    (ray_casting_ms None) once the bounding box passes max_ray_casting_area,
+    and where both run, agree says whether they found the same points.
+    """
+    pts = _validate_points(vertices)
+    rows = []
+    for t in scales:
+        dilate = [(t * x, t * y) for x, y in pts]
+        start = perf_counter()
+        interior = get_interior_points(dilate)
+        scanline_ms = (perf_counter() - start) * 1000
+
+        width = max(p[0] for p in dilate) - min(p[0] for p in dilate) + 1
+        height = max(p[1] for p in dilate) - min(p[1] for p in dilate) + 1
+        ray_casting_ms = None
+        agree = None
+        if width * height <= max_ray_casting_area:
+            start = perf_counter()
+            reference = _collect_interior_by_ray_casting(dilate)
+            ray_casting_ms = (perf_counter() - start) * 1000
+            agree = reference == collect_interior_points(dilate)
+        rows.append(
+            {
+                "scale": t,
+                "area": get_polygon_area(dilate),
+                "boundary": get_boundary_points(dilate),
+                "interior": interior,
+                "scanline_ms": scanline_ms,
+                "ray_casting_ms": ray_casting_ms,
+                "agree": agree,
+            }
+        )
+    return rows
 
 
-def compute_additive_snapshot(vertices: Sequence[Point]) -> dict:
+def compute_rational_snapshot(numerators: Sequence[Point], denominator: int) -> dict:
     """
-    Compute snapshot for two triangles sharing an edge (quadrilateral).
-    
-    Expects exactly 4 vertices forming a convex quadrilateral where
-    vertices[0] and vertices[2] define the shared diagonal.
-    
+    Compute a snapshot of a polygon whose vertices need not be lattice points.
+
+    Vertex i is (numerators[i][0] / denominator, numerators[i][1] / denominator).
+    The area is exact, as the reduced fraction area_fraction = [p, q], and B and
+    I still count lattice points: (X, Y) is on the polygon exactly when
+    (X * denominator, Y * denominator) is on the scaled polygon, whose vertices
+    are integers, so the scaled polygon is scanned one lattice row at a time.
+    Above MAX_LISTED_POINTS the point lists are left empty, as in
+    compute_snapshot.
+    """
+    pts = _validate_points(numerators)
+    d = int(denominator)
+    if d < 1:
+        raise ValueError("The denominator must be a positive integer.")
+    n = len(pts)
+    area2 = sum(pts[i][0] * pts[(i + 1) % n][1] - pts[(i + 1) % n][0] * pts[i][1] for i in range(n))
+    area = Fraction(abs(area2), 2 * d * d)
+
+    boundary, interior, rows = _scan_region([pts], d)
+    listed = boundary + interior <= MAX_LISTED_POINTS
+    boundary_points, interior_points = _list_rows(rows) if listed else ([], [])
+    return {
+        "area": float(area),
+        "area_fraction": [area.numerator, area.denominator],
+        "denominator": d,
+        "boundary": boundary,
+        "interior": interior,
+        "boundary_points": boundary_points,
+        "interior_points": interior_points,
+        "points_listed": listed,
+    }
+
+
+def compute_holes_snapshot(outer: Sequence[Point], holes: Sequence[Sequence[Point]]) -> dict:
+    """
+    Compute a snapshot for a polygon with holes.
+
+    The holes lie inside the outer ring and do not overlap. They may touch the
+    outer ring or each other at single vertices, as the pinched regions of the
+    induction walkthrough do; such a shared point is counted once in B.
+    Interior points are those strictly inside the outer ring and neither on nor
+    inside any hole.
+
+    Every pinch lowers the area by 1/2 against B/2 + I - 1 + h, so the
+    formula for these regions is A = B/2 + I - 1 + h - p/2.
+
+    Returns the same keys as compute_snapshot, plus:
+    - holes: Number of holes h
+    - euler_characteristic: 1 - h
+    - pinches: Extra times boundary points are shared between rings, p
+    """
+    outer_pts = _validate_points(outer)
+    hole_pts = [_validate_points(hole) for hole in holes]
+
+    # The holes lie inside the outer ring, so the region is what an odd number of rings enclose
+    boundary, interior, rows = _scan_region([outer_pts, *hole_pts])
+    ring_boundary = get_boundary_points(outer_pts) + sum(get_boundary_points(hole) for hole in hole_pts)
+    listed = boundary + interior <= MAX_LISTED_POINTS
+    boundary_points, interior_points = _list_rows(rows) if listed else ([], [])
+
+    return {
+        "area": get_polygon_area(outer_pts) - sum(get_polygon_area(hole) for hole in hole_pts),
+        "boundary": boundary,
+        "interior": interior,
+        "boundary_points": boundary_points,
+        "interior_points": interior_points,
+        "points_listed": listed,
+        "holes": len(hole_pts),
+        "euler_characteristic": 1 - len(hole_pts),
+        "pinches": ring_boundary - boundary,
+    }
+
+
+def compute_ehrhart_data(vertices: Sequence[Point], max_dilate: int) -> dict:
+    """
+    Count lattice points in the dilates tP for t = 1..max_dilate.
+
+    Each dilate is measured with compute_snapshot. The Ehrhart polynomial
+    L(t) = c2 t^2 + c1 t + c0 is fitted exactly through t = 1, 2, 3 and checked
+    against every other dilate; for a lattice polygon c2 = A, c1 = B/2, c0 = 1.
+
     Returns a dictionary with:
-    - t1: Snapshot for triangle (v0, v1, v2)
-    - t2: Snapshot for triangle (v0, v3, v2)
-    - union: Snapshot for the full quadrilateral
-    - shared_edge: Info about the shared diagonal
+    - dilates: Per-t snapshot plus t and lattice_points (B + I)
+    - polynomial: Fitted coefficients and whether they match every dilate
+    - reciprocity: Per-t interior count I(tP) next to L(-t)
     """
     pts = _validate_points(vertices)
-    if len(pts) != 4:
-        raise ValueError("Additive snapshot expects exactly four vertices.")
-    a, b, c, d = pts
+    if max_dilate < 3:
+        raise ValueError("At least three dilates are needed to fit a quadratic.")
+
+    dilates = []
+    for t in range(1, max_dilate + 1):
+        snapshot = compute_snapshot([(t * x, t * y) for x, y in pts])
+        snapshot["t"] = t
+        snapshot["lattice_points"] = snapshot["boundary"] + snapshot["interior"]
+        dilates.append(snapshot)
+
+    l1, l2, l3 = (d["lattice_points"] for d in dilates[:3])
+    c2 = Fraction(l3 - 2 * l2 + l1, 2)
+    c1 = (l2 - l1) - 3 * c2
+    c0 = l1 - c1 - c2
+
+    def evaluate(t: int) -> Fraction:
+        return c2 * t * t + c1 * t + c0
+
+    return {
+        "dilates": dilates,
+        "polynomial": {
+            "quadratic": float(c2),
+            "linear": float(c1),
+            "constant": float(c0),
+            "fits_all": all(evaluate(d["t"]) == d["lattice_points"] for d in dilates),
+        },
+        "reciprocity": [
+            {"t": d["t"], "interior": d["interior"], "l_negative": float(evaluate(-d["t"]))}
+            for d in dilates
+        ],
+    }
+
+
+def _signed_area2(pts: Sequence[Point]) -> int:
+    """Twice the signed area of a ring (positive when counter-clockwise)."""
+    return sum(
+        pts[i][0] * pts[(i + 1) % len(pts)][1] - pts[(i + 1) % len(pts)][0] * pts[i][1]
+        for i in range(len(pts))
+    )
+
+
+def _lattice_steps(pts: Sequence[Point]) -> List[Tuple[Point, Point]]:
+    """Split a ring's edges into steps between consecutive lattice points."""
+    steps = []
+    for i in range(len(pts)):
+        start = pts[i]
+        end = pts[(i + 1) % len(pts)]
+        dx, dy = end[0] - start[0], end[1] - start[1]
+        count = gcd(abs(dx), abs(dy))
+        step_x, step_y = dx // count, dy // count
+        for j in range(count):
+            steps.append(
+                (
+                    (start[0] + step_x * j, start[1] + step_y * j),
+                    (start[0] + step_x * (j + 1), start[1] + step_y * (j + 1)),
+                )
+            )
+    return steps
+
+
+def _segments_intersect(p1: Point, p2: Point, p3: Point, p4: Point) -> bool:
+    """Check if two closed segments share a point."""
+    o1, o2 = _edge_sign(p3, p1, p2), _edge_sign(p4, p1, p2)
+    o3, o4 = _edge_sign(p1, p3, p4), _edge_sign(p2, p3, p4)
+    if o1 == 0 and is_point_on_edge(p3, p1, p2):
+        return True
+    if o2 == 0 and is_point_on_edge(p4, p1, p2):
+        return True
+    if o3 == 0 and is_point_on_edge(p1, p3, p4):
+        return True
+    if o4 == 0 and is_point_on_edge(p2, p3, p4):
+        return True
+    return o1 * o2 < 0 and o3 * o4 < 0
+
+
+def _is_simple_ring(pts: Sequence[Point]) -> bool:
+    """Check that no two non-adjacent edges of a ring meet."""
+    n = len(pts)
+    for i in range(n):
+        for j in range(i + 2, n):
+            if i == 0 and j == n - 1:
+                continue
+            if _segments_intersect(pts[i], pts[(i + 1) % n], pts[j], pts[(j + 1) % n]):
+                return False
+    return True
+
+
+def _merge_steps(steps: Sequence[Tuple[Point, Point]]) -> List[List[Point]]:
+    """Merge runs of consecutive steps in the same direction into segments."""
+    runs = []
+    for start, end in steps:
+        direction = (end[0] - start[0], end[1] - start[1])
+        if runs and runs[-1][1] == start and runs[-1][2] == direction:
+            runs[-1][1] = end
+        else:
+            runs.append([start, end, direction])
+    # The last run may continue into the first one around the ring
+    if len(runs) > 1 and runs[-1][1] == runs[0][0] and runs[-1][2] == runs[0][2]:
+        runs[0][0] = runs.pop()[0]
+    return [[start, end] for start, end, _ in runs]
+
+
+def glue_polygons(first: Sequence[Point], second: Sequence[Point]) -> Tuple[List[Point], List[Tuple[Point, Point]]]:
+    """
+    Glue two simple lattice polygons along the boundary they have in common.
+
+    Both rings are turned counter-clockwise and split into steps between
+    consecutive lattice points, so each step of a shared stretch of boundary
+    (a whole edge, part of one, or several in a row) appears once in each
+    direction. Cancelling those pairs leaves the boundary of the union.
+
+    Returns the union's ring and the shared steps, in order along the first
+    polygon. Raises ValueError if the polygons share no boundary, or if what
+    is left is not one simple loop (they overlap, touch elsewhere or enclose a
+    gap).
+    """
+    rings = []
+    for polygon in (first, second):
+        pts = _validate_points(polygon)
+        if not _is_simple_ring(pts):
+            raise ValueError("Both polygons must be simple.")
+        rings.append(pts if _signed_area2(pts) > 0 else pts[::-1])
+    first_steps, second_steps = (_lattice_steps(ring) for ring in rings)
+
+    second_set = set(second_steps)
+    if any(step in second_set for step in first_steps):
+        # Running the same way along a step puts both interiors on the same side
+        raise ValueError("The polygons overlap.")
+    shared = [(start, end) for start, end in first_steps if (end, start) in second_set]
+    if not shared:
+        raise ValueError("The polygons do not share an edge.")
+
+    shared_set = set(shared)
+    reversed_shared = {(end, start) for start, end in shared}
+    remaining = [s for s in first_steps if s not in shared_set] + [
+        s for s in second_steps if s not in reversed_shared
+    ]
+
+    successor = {}
+    for start, end in remaining:
+        if start in successor:
+            raise ValueError("The polygons do not glue into a single polygon.")
+        successor[start] = end
+
+    origin = remaining[0][0]
+    loop = [origin]
+    current = successor[origin]
+    while current != origin and len(loop) <= len(remaining):
+        loop.append(current)
+        current = successor.get(current, origin)
+    if len(loop) != len(remaining):
+        raise ValueError("The polygons do not glue into a single polygon.")
+
+    n = len(loop)
+    ring = [p for i, p in enumerate(loop) if _edge_sign(loop[(i + 1) % n], loop[i - 1], p) != 0]
+    if len(ring) < 3 or not _is_simple_ring(ring):
+        raise ValueError("The polygons do not glue into a single polygon.")
+    return ring, shared
+
 
-    triangle_one = compute_snapshot((a, b, c))
-    triangle_two = compute_snapshot((a, d, c))
-    union = compute_snapshot(pts)
+def compute_additive_snapshot(first: Sequence[Point], second: Sequence[Point]) -> dict:
+    """
+    Compute snapshots for two polygons glued along a common edge.
+
+    The common boundary is found with glue_polygons, so it may be a whole edge
+    of both, part of an edge, or a run of several edges. Its lattice points
+    other than the two ends stop being boundary points of the union and
+    become interior points, so I(P1 u P2) = I(P1) + I(P2) + shared points.
+
+    Returns a dictionary with:
+    - p1, p2: Snapshots for each polygon
+    - union: Snapshot for the glued polygon, plus its vertices
+    - shared_edge: Lattice points absorbed into the interior, their count,
+      and the shared segments as [start, end] pairs
+    """
+    p1 = compute_snapshot(first)
+    p2 = compute_snapshot(second)
+    ring, shared = glue_polygons(first, second)
+    union = compute_snapshot(ring)
+    union["vertices"] = ring
 
-    edge_interior_count, edge_interior_points = _segment_interior_lattice_points(a, c)
+    # Boundary points are collected whatever the size: there are only as many as the perimeter has
+    absorbed = (set(collect_boundary_points(first)) | set(collect_boundary_points(second))) - set(
+        collect_boundary_points(ring)
+    )
 
     return {
-        "t1": triangle_one,
-        "t2": triangle_two,
+        "p1": p1,
+        "p2": p2,
         "union": union,
         "shared_edge": {
-            "points": edge_interior_points,
-            "interior_count": edge_interior_count,
-            "endpoints": [a, c]
+            "points": sorted(absorbed),
+            "interior_count": len(absorbed),
+            "segments": _merge_steps(shared),
+        },
+    }
+
+
+def _cross(u: Tuple, v: Tuple):
+    return u[0] * v[1] - u[1] * v[0]
+
+
+def _is_inside_ring(point: Tuple, pts: Sequence[Point]) -> bool:
+    """Ray casting for a point known not to lie on the ring; exact for Fractions."""
+    x, y = point
+    inside = False
+    n = len(pts)
+    for i in range(n):
+        (x1, y1), (x2, y2) = pts[i], pts[(i + 1) % n]
+        if (y1 > y) != (y2 > y) and x < x1 + Fraction(x2 - x1) * (y - y1) / (y2 - y1):
+            inside = not inside
+    return inside
+
+
+def _clip_ring_boundary(ring: Sequence[Point], other: Sequence[Point], keep_shared: bool) -> List[Tuple[Tuple, Tuple]]:
+    """
+    The pieces of a counter-clockwise ring's boundary that bound its
+    intersection with another counter-clockwise ring.
+
+    Each edge is cut wherever it meets the other ring. A piece strictly inside
+    the other ring is kept; a piece running along the other ring's boundary in
+    the same direction bounds both, so it is kept from one ring only
+    (keep_shared). Pieces are returned as pairs of Fraction points.
+    """
+    pieces = []
+    n, m = len(ring), len(other)
+    for i in range(n):
+        a, b = ring[i], ring[(i + 1) % n]
+        ab = (b[0] - a[0], b[1] - a[1])
+        length2 = ab[0] * ab[0] + ab[1] * ab[1]
+        cuts = {Fraction(0), Fraction(1)}
+        along = []
+        for j in range(m):
+            c, d = other[j], other[(j + 1) % m]
+            cd = (d[0] - c[0], d[1] - c[1])
+            ac = (c[0] - a[0], c[1] - a[1])
+            denom = _cross(ab, cd)
+            if denom != 0:
+                t = Fraction(_cross(ac, cd), denom)
+                u = Fraction(_cross(ac, ab), denom)
+                if 0 <= t <= 1 and 0 <= u <= 1:
+                    cuts.add(t)
+            elif _cross(ac, ab) == 0:
+                # Collinear: note the stretch of this edge that lies along c-d
+                tc = Fraction(ac[0] * ab[0] + ac[1] * ab[1], length2)
+                td = Fraction((d[0] - a[0]) * ab[0] + (d[1] - a[1]) * ab[1], length2)
+                low, high = max(min(tc, td), Fraction(0)), min(max(tc, td), Fraction(1))
+                if low < high:
+                    cuts.update((low, high))
+                    along.append((low, high, ab[0] * cd[0] + ab[1] * cd[1] > 0))
+        cuts = sorted(cuts)
+        for t0, t1 in zip(cuts, cuts[1:]):
+            mid = (t0 + t1) / 2
+            overlap = next((same for low, high, same in along if low <= mid <= high), None)
+            if overlap is None:
+                point = (a[0] + ab[0] * mid, a[1] + ab[1] * mid)
+                keep = _is_inside_ring(point, other)
+            else:
+                keep = overlap and keep_shared
+            if keep:
+                pieces.append(
+                    (
+                        (a[0] + ab[0] * t0, a[1] + ab[1] * t0),
+                        (a[0] + ab[0] * t1, a[1] + ab[1] * t1),
+                    )
+                )
+    return pieces
+
+
+def _trace_rings(pieces: Sequence[Tuple[Tuple, Tuple]]) -> List[List[Tuple]]:
+    """Chain boundary pieces end to start into closed rings, dropping straight-through vertices."""
+    successors = {}
+    for start, end in pieces:
+        successors.setdefault(start, []).append(end)
+    rings = []
+    for start, _ in pieces:
+        if not successors.get(start):
+            continue
+        loop = [start]
+        current = successors[start].pop()
+        while current != start and successors.get(current):
+            loop.append(current)
+            current = successors[current].pop()
+        n = len(loop)
+        ring = [
+            p
+            for i, p in enumerate(loop)
+            if _cross((p[0] - loop[i - 1][0], p[1] - loop[i - 1][1]), (loop[(i + 1) % n][0] - p[0], loop[(i + 1) % n][1] - p[1])) != 0
+        ]
+        if len(ring) >= 3:
+            rings.append(ring)
+    return rings
+
+
+def _count_components(rings: Sequence[Sequence[Point]], pieces: Sequence[Tuple[Tuple, Tuple]]) -> int:
+    """
+    The number of connected pieces of the intersection of two rings: the parts
+    with area, bounded by the clipped boundary pieces, and the places where
+    the boundaries only touch, along a segment or at a point. Every point where
+    the boundaries meet is a cut, so pieces and contacts join at end points.
+    """
+    parent = {}
+
+    def find(p):
+        parent.setdefault(p, p)
+        while parent[p] != p:
+            parent[p] = parent[parent[p]]
+            p = parent[p]
+        return p
+
+    def join(p, q):
+        parent[find(p)] = find(q)
+
+    for start, end in pieces:
+        join(start, end)
+    first, second = rings
+    n, m = len(first), len(second)
+    for i in range(n):
+        a, b = first[i], first[(i + 1) % n]
+        ab = (b[0] - a[0], b[1] - a[1])
+        length2 = ab[0] * ab[0] + ab[1] * ab[1]
+        for j in range(m):
+            c, d = second[j], second[(j + 1) % m]
+            cd = (d[0] - c[0], d[1] - c[1])
+            ac = (c[0] - a[0], c[1] - a[1])
+            denom = _cross(ab, cd)
+            if denom != 0:
+                t = Fraction(_cross(ac, cd), denom)
+                u = Fraction(_cross(ac, ab), denom)
+                if 0 <= t <= 1 and 0 <= u <= 1:
+                    find((a[0] + ab[0] * t, a[1] + ab[1] * t))
+            elif _cross(ac, ab) == 0:
+                tc = Fraction(ac[0] * ab[0] + ac[1] * ab[1], length2)
+                td = Fraction((d[0] - a[0]) * ab[0] + (d[1] - a[1]) * ab[1], length2)
+                low, high = max(min(tc, td), Fraction(0)), min(max(tc, td), Fraction(1))
+                if low <= high:
+                    join((a[0] + ab[0] * low, a[1] + ab[1] * low), (a[0] + ab[0] * high, a[1] + ab[1] * high))
+    return len({find(p) for p in parent})
+
+
+def _covered_around(point: Point, rings: Sequence[Sequence[Point]], span: int) -> bool:
+    """
+    Whether the union of the rings covers a small disc around a lattice point
+    on their boundaries. The edges through the point split the disc into
+    sectors; each sector is tested at one point just off the lattice point.
+    """
+    directions = set()
+    for pts in rings:
+        n = len(pts)
+        for i in range(n):
+            a, b = pts[i], pts[(i + 1) % n]
+            if is_point_on_edge(point, a, b):
+                for end in (a, b):
+                    if end != point:
+                        dx, dy = end[0] - point[0], end[1] - point[1]
+                        g = gcd(abs(dx), abs(dy))
+                        directions.add((dx // g, dy // g))
+    ordered = sorted(directions, key=lambda d: atan2(d[1], d[0]))
+    for i, d1 in enumerate(ordered):
+        d2 = ordered[(i + 1) % len(ordered)]
+        turn = _cross(d1, d2)
+        if len(ordered) == 1 or (turn == 0 and d1 == d2):
+            v = (-d1[1], d1[0])
+        elif turn > 0:
+            v = (d1[0] + d2[0], d1[1] + d2[1])
+        elif turn == 0:
+            v = (-d1[1], d1[0])
+        else:
+            v = (-d1[0] - d2[0], -d1[1] - d2[1])
+        # Edges not through the point are at least 1 / (2 * span) away
+        step = Fraction(1, 4 * span * (abs(v[0]) + abs(v[1])))
+        sample = (point[0] + v[0] * step, point[1] + v[1] * step)
+        if not any(_is_inside_ring(sample, pts) for pts in rings):
+            return False
+    return True
+
+
+def compute_overlap_snapshot(first: Sequence[Point], second: Sequence[Point]) -> dict:
+    """
+    Compute snapshots for two polygons that may overlap.
+
+    The intersection is bounded by the parts of each boundary that lie inside
+    the other polygon, so its area comes exactly from the shoelace sum over
+    those pieces, and A(P1 u P2) = A(P1) + A(P2) - A(P1 n P2). Lattice points
+    follow the same inclusion-exclusion: the points of P1 n P2 are counted
+    once by each polygon.
+
+    Returns a dictionary with:
+    - p1, p2: Snapshots for each polygon
+    - intersection: Area, lattice point counts and lists, its rings
+      (vertices need not be lattice points) and components, the number of
+      connected pieces including places where the polygons only touch
+    - union: Area and lattice point counts and lists
+    - counted_twice: Lattice points in both closed polygons
+    - points_listed: False if the union holds more than MAX_LISTED_POINTS
+      lattice points, in which case every point list is left empty
+    """
+    rings = []
+    for polygon in (first, second):
+        pts = _validate_points(polygon)
+        if not _is_simple_ring(pts):
+            raise ValueError("Both polygons must be simple.")
+        rings.append(pts if _signed_area2(pts) > 0 else pts[::-1])
+    p1 = compute_snapshot(first)
+    p2 = compute_snapshot(second)
+
+    pieces = _clip_ring_boundary(rings[0], rings[1], True) + _clip_ring_boundary(rings[1], rings[0], False)
+    twice_area = sum((_cross(start, end) for start, end in pieces), Fraction(0))
+    area = twice_area / 2
+    intersection_rings = _trace_rings(pieces)
+
+    # Row by row, the points in both polygons are the common part of their ranges
+    rows = [dict((y, (closed, inside)) for y, closed, inside in _scanline_rows([pts])) for pts in rings]
+    both_rows, union_rows = [], []
+    for y in sorted(rows[0].keys() | rows[1].keys()):
+        (closed1, inside1), (closed2, inside2) = (rows[i].get(y, ([], [])) for i in (0, 1))
+        both_rows.append((y, _intersect_ranges(closed1, closed2), _intersect_ranges(inside1, inside2)))
+        union_rows.append((y, _merge_ranges(closed1 + closed2), _merge_ranges(inside1 + inside2)))
+
+    # A point on both boundaries is inside the union when the two polygons close in around it
+    coords = [v for pts in rings for p in pts for v in p]
+    span = max(coords) - min(coords) + 1
+    on_both = set(collect_boundary_points(rings[0])) & set(collect_boundary_points(rings[1]))
+    covered = sorted(p for p in on_both if _covered_around(p, rings, span))
+
+    both = sum(_range_size(closed) for _, closed, _ in both_rows)
+    both_inside = sum(_range_size(inside) for _, _, inside in both_rows)
+    union_closed = sum(_range_size(closed) for _, closed, _ in union_rows)
+    union_inside = sum(_range_size(inside) for _, _, inside in union_rows) + len(covered)
+
+    listed = union_closed <= MAX_LISTED_POINTS
+    if listed:
+        both_edge_points, both_inside_points = _list_rows(both_rows)
+        union_edge_points, union_inside_points = _list_rows(union_rows)
+        union_inside_points = sorted(union_inside_points + covered)
+        union_edge_points = sorted(set(union_edge_points) - set(covered))
+        counted_twice = sorted(both_edge_points + both_inside_points)
+    else:
+        both_edge_points = both_inside_points = union_edge_points = union_inside_points = counted_twice = []
+
+    return {
+        "p1": p1,
+        "p2": p2,
+        "intersection": {
+            "area": float(area),
+            "boundary": both - both_inside,
+            "interior": both_inside,
+            "boundary_points": both_edge_points,
+            "interior_points": both_inside_points,
+            "rings": [[[float(x), float(y)] for x, y in ring] for ring in intersection_rings],
+            "components": _count_components(rings, pieces),
         },
+        "union": {
+            "area": p1["area"] + p2["area"] - float(area),
+            "boundary": union_closed - union_inside,
+            "interior": union_inside,
+            "boundary_points": union_edge_points,
+            "interior_points": union_inside_points,
+        },
+        "counted_twice": counted_twice,
+        "points_listed": listed,
     }
 
+
+def _corners(pts: Sequence[Point]) -> List[Point]:
+    """Drop vertices that lie on the segment between their neighbours."""
+    n = len(pts)
+    corners = [
+        p for i, p in enumerate(pts)
+        if _cross(
+            (p[0] - pts[i - 1][0], p[1] - pts[i - 1][1]),
+            (pts[(i + 1) % n][0] - p[0], pts[(i + 1) % n][1] - p[1]),
+        ) != 0
+    ]
+    if len(corners) < 3:
+        raise ValueError("The polygon needs at least three corners that are not collinear.")
+    return corners
+
+
+def _extended_gcd(a: int, b: int) -> Tuple[int, int, int]:
+    """Return (g, s, t) with a*s + b*t = g = gcd(a, b)."""
+    if b == 0:
+        return (a, 1, 0) if a >= 0 else (-a, -1, 0)
+    g, s, t = _extended_gcd(b, a % b)
+    return g, t, s - (a // b) * t
+
+
+def _compose(outer: Tuple, inner: Tuple) -> Tuple:
+    """The affine map outer ∘ inner, each given as (matrix, offset)."""
+    (a, b), (c, d) = outer[0]
+    (e, f), (g, h) = inner[0]
+    x, y = inner[1]
+    matrix = ((a * e + b * g, a * f + b * h), (c * e + d * g, c * f + d * h))
+    return matrix, (a * x + b * y + outer[1][0], c * x + d * y + outer[1][1])
+
+
+def _invert(transform: Tuple) -> Tuple:
+    """Inverse of an integer affine map with det ±1."""
+    ((a, b), (c, d)), (x, y) = transform
+    det = a * d - b * c
+    matrix = ((d * det, -b * det), (-c * det, a * det))
+    return matrix, (-(matrix[0][0] * x + matrix[0][1] * y), -(matrix[1][0] * x + matrix[1][1] * y))
+
+
+def _apply(transform: Tuple, p: Point) -> Point:
+    ((a, b), (c, d)), (x, y) = transform
+    return a * p[0] + b * p[1] + x, c * p[0] + d * p[1] + y
+
+
+def _canonical_map(start: Point, ahead: Point, behind: Point) -> Tuple:
+    """
+    The unimodular affine map sending `start` to the origin, the edge towards
+    `ahead` along the positive x-axis, and `behind` to a point (x, y) with
+    y > 0 and 0 <= x < y.
+    """
+    dx, dy = ahead[0] - start[0], ahead[1] - start[1]
+    g = gcd(dx, dy)
+    p, q = dx // g, dy // g
+    # Complete (p, q) to a basis (p, q), (r, s) with p*s - q*r = 1
+    _, s, minus_r = _extended_gcd(p, q)
+    to_basis = ((s, minus_r), (-q, p))
+    wx, wy = _apply((to_basis, (0, 0)), (behind[0] - start[0], behind[1] - start[1]))
+    # Reflect so `behind` is above the axis, then shear it into the strip
+    flip = 1 if wy > 0 else -1
+    k = wx // (wy * flip)
+    linear = _compose((((1, -k), (0, 1)), (0, 0)), (((1, 0), (0, flip)), (0, 0)))
+    linear = _compose(linear, (to_basis, (0, 0)))
+    image = _apply(linear, start)
+    return linear[0], (-image[0], -image[1])
+
+
+def lattice_normal_form(vertices: Sequence[Point]) -> dict:
+    """
+    Canonical representative of a lattice polygon under GL(2, Z) and integer
+    translations.
+
+    Collinear vertices are dropped first, since they are not intrinsic to the
+    shape. Each corner, in each direction around the polygon, fixes a unique
+    unimodular map sending the corner to the origin, its next edge along the
+    positive x-axis and its previous neighbour into the strip 0 <= x < y. The
+    normal form is the lexicographically smallest image vertex list; two
+    polygons are lattice-equivalent exactly when their normal forms agree.
+
+    Returns a dictionary with:
+    - vertices: The normal form, starting at the origin
+    - matrix, offset: The map v -> Mv + t sending the polygon to it
+    - corners: Number of corners (non-collinear vertices)
+    - area: Area, equal for the polygon and its normal form
+    """
+    pts = _corners(_validate_points(vertices))
+    n = len(pts)
+    best = None
+    for order in (pts, pts[::-1]):
+        for i in range(n):
+            transform = _canonical_map(order[i], order[(i + 1) % n], order[i - 1])
+            image = [_apply(transform, order[(i + j) % n]) for j in range(n)]
+            if best is None or image < best[0]:
+                best = (image, transform)
+
+    image, (matrix, offset) = best
+    return {
+        "vertices": [list(p) for p in image],
+        "matrix": [list(row) for row in matrix],
+        "offset": list(offset),
+        "corners": n,
+        "area": abs(_signed_area2(image)) / 2,
+    }
+
+
+def compare_lattice_polygons(first: Sequence[Point], second: Sequence[Point]) -> dict:
+    """
+    Decide whether two lattice polygons are equivalent under GL(2, Z) and
+    integer translations by comparing their normal forms.
+
+    Returns a dictionary with:
+    - first, second: Each polygon's lattice_normal_form
+    - equivalent: Whether the normal forms agree
+    - matrix, offset: When equivalent, a map v -> Mv + t sending the first
+      polygon onto the second; otherwise None
+    """
+    first_form = lattice_normal_form(first)
+    second_form = lattice_normal_form(second)
+    equivalent = first_form["vertices"] == second_form["vertices"]
+    matrix = offset = None
+    if equivalent:
+        to_first = (tuple(map(tuple, first_form["matrix"])), tuple(first_form["offset"]))
+        to_second = (tuple(map(tuple, second_form["matrix"])), tuple(second_form["offset"]))
+        combined = _compose(_invert(to_second), to_first)
+        matrix, offset = [list(row) for row in combined[0]], list(combined[1])
+    return {
+        "first": first_form,
+        "second": second_form,
+        "equivalent": equivalent,
+        "matrix": matrix,
+        "offset": offset,
+    }
+
+
+Point3 = Tuple[int, int, int]
+
+
+def _det3(u: Point3, v: Point3, w: Point3) -> int:
+    """Determinant of the 3x3 matrix with rows u, v, w."""
+    return (
+        u[0] * (v[1] * w[2] - v[2] * w[1])
+        - u[1] * (v[0] * w[2] - v[2] * w[0])
+        + u[2] * (v[0] * w[1] - v[1] * w[0])
+    )
+
+
+def _signed_volume6(a: Point3, b: Point3, c: Point3, d: Point3) -> int:
+    """Six times the signed volume of the tetrahedron abcd."""
+    return _det3(
+        (b[0] - a[0], b[1] - a[1], b[2] - a[2]),
+        (c[0] - a[0], c[1] - a[1], c[2] - a[2]),
+        (d[0] - a[0], d[1] - a[1], d[2] - a[2]),
+    )
+
+
+def compute_tetrahedron_snapshot(vertices: Sequence[Point3]) -> dict:
+    """
+    Count the lattice points of a lattice tetrahedron and compute its volume.
+
+    A lattice point p is in the closed tetrahedron when the four tetrahedra
+    formed by p and each face all have the orientation of the whole (or are
+    flat), and it is on the boundary when one of them is flat.
+
+    Returns a dictionary with:
+    - volume: Volume as a float
+    - volume_sixths: Six times the volume, an integer
+    - boundary: Number of lattice points on the faces, edges and vertices
+    - interior: Number of lattice points strictly inside
+    - boundary_points, interior_points: The points themselves
+    """
+    pts = [tuple(int(v) for v in p) for p in vertices]
+    if len(pts) != 4 or any(len(p) != 3 for p in pts):
+        raise ValueError("A tetrahedron needs exactly four points in space.")
+    whole = _signed_volume6(*pts)
+    if whole == 0:
+        raise ValueError("The four vertices lie in one plane.")
+    sign = 1 if whole > 0 else -1
+
+    boundary_points: List[Point3] = []
+    interior_points: List[Point3] = []
+    lows = [min(p[axis] for p in pts) for axis in range(3)]
+    highs = [max(p[axis] for p in pts) for axis in range(3)]
+    for x in range(lows[0], highs[0] + 1):
+        for y in range(lows[1], highs[1] + 1):
+            for z in range(lows[2], highs[2] + 1):
+                p = (x, y, z)
+                parts = [
+                    sign * _signed_volume6(*(p if j == i else pts[j] for j in range(4)))
+                    for i in range(4)
+                ]
+                if min(parts) < 0:
+                    continue
+                (boundary_points if 0 in parts else interior_points).append(p)
+
+    return {
+        "volume": abs(whole) / 6,
+        "volume_sixths": abs(whole),
+        "boundary": len(boundary_points),
+        "interior": len(interior_points),
+        "boundary_points": boundary_points,
+        "interior_points": interior_points,
+    }
+
+
+def reeve_tetrahedron(height: int) -> List[Point3]:
+    """Reeve's tetrahedron T_r with vertices (0,0,0), (1,0,0), (0,1,0), (1,1,r)."""
+    return [(0, 0, 0), (1, 0, 0), (0, 1, 0), (1, 1, height)]
+
+
+def compute_reeve_family(max_height: int) -> List[dict]:
+    """
+    Snapshots of the Reeve tetrahedra T_1, ..., T_max_height, each with its
+    height r. Every T_r has the same B = 4 and I = 0 while its volume r/6
+    keeps growing, so no formula in B and I alone can give the volume.
+    """
+    if max_height < 2:
+        raise ValueError("At least two Reeve tetrahedra are needed to compare.")
+    family = []
+    for r in range(1, max_height + 1):
+        snapshot = compute_tetrahedron_snapshot(reeve_tetrahedron(r))
+        snapshot["r"] = r
+        family.append(snapshot)
+    return family
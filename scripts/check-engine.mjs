@@ -0,0 +1,466 @@
+/**
+ * Check the JavaScript geometry engine against brute force on random polygons.
+ *
+ * The engine counts lattice points by scanline rows and clips overlapping
+ * polygons edge by edge; here every point of the bounding box is tested on its
+ * own instead, so a regression in either shows up as a mismatch. Covered:
+ * snapshots, rational snapshots, holes, overlaps (with the pieces of the
+ * intersection), glued pairs and the lattice normal form.
+ *
+ * Run from the repository root:
+ *   node scripts/check-engine.mjs [seed]
+ * Exits with status 1 if any check fails.
+ */
+
+import * as engine from "../docs/js/geometry-engine.js";
+
+const seed = Number(process.argv[2] ?? 1);
+let failures = 0;
+let checks = 0;
+
+// mulberry32: small, seedable and good enough to spread polygons around
+let randomState = seed >>> 0;
+function random() {
+  randomState = (randomState + 0x6d2b79f5) >>> 0;
+  let t = randomState;
+  t = Math.imul(t ^ (t >>> 15), t | 1);
+  t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+  return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+}
+const randomInt = (low, high) => low + Math.floor(random() * (high - low + 1));
+
+function expect(label, actual, expected, context) {
+  checks++;
+  const a = JSON.stringify(actual);
+  const e = JSON.stringify(expected);
+  if (a === e) return;
+  failures++;
+  if (failures <= 20) {
+    console.log(`FAIL ${label}: got ${a}, expected ${e}`);
+    console.log(`     ${JSON.stringify(context)}`);
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Exact brute force on integer points
+// ---------------------------------------------------------------------------
+
+const cross = (o, a, b) => (a[0] - o[0]) * (b[1] - o[1]) - (a[1] - o[1]) * (b[0] - o[0]);
+
+function onSegment(p, a, b) {
+  return (
+    cross(a, b, p) === 0 &&
+    Math.min(a[0], b[0]) <= p[0] &&
+    p[0] <= Math.max(a[0], b[0]) &&
+    Math.min(a[1], b[1]) <= p[1] &&
+    p[1] <= Math.max(a[1], b[1])
+  );
+}
+
+const edges = (ring) => ring.map((p, i) => [p, ring[(i + 1) % ring.length]]);
+const onRing = (p, ring) => edges(ring).some(([a, b]) => onSegment(p, a, b));
+
+/**
+ * Ray casting for a point not on the ring, comparing without dividing.
+ */
+function insideRing(p, ring) {
+  let inside = false;
+  for (const [[x1, y1], [x2, y2]] of edges(ring)) {
+    if (y1 > p[1] !== y2 > p[1]) {
+      const side = (x2 - x1) * (p[1] - y1) - (p[0] - x1) * (y2 - y1);
+      if (side > 0 === y2 > y1) inside = !inside;
+    }
+  }
+  return inside;
+}
+
+/**
+ * "boundary", "interior" or "outside" for a point and a simple ring.
+ */
+function classify(p, ring) {
+  if (onRing(p, ring)) return "boundary";
+  return insideRing(p, ring) ? "interior" : "outside";
+}
+
+function box(rings, scale = 1) {
+  const xs = rings.flat().map((p) => p[0]);
+  const ys = rings.flat().map((p) => p[1]);
+  return {
+    x0: Math.floor(Math.min(...xs) / scale),
+    x1: Math.ceil(Math.max(...xs) / scale),
+    y0: Math.floor(Math.min(...ys) / scale),
+    y1: Math.ceil(Math.max(...ys) / scale),
+  };
+}
+
+/**
+ * Every lattice point of the bounding box, sorted like the engine's lists.
+ */
+function* latticePoints(rings, scale = 1) {
+  const { x0, x1, y0, y1 } = box(rings, scale);
+  for (let x = x0; x <= x1; x++) {
+    for (let y = y0; y <= y1; y++) yield [x, y];
+  }
+}
+
+const counts = (snap) => [snap.boundary, snap.interior];
+const sizes = (points) => [points.boundary.length, points.interior.length];
+const sortPoints = (points) => [...points].sort(([ax, ay], [bx, by]) => (ax === bx ? ay - by : ax - bx));
+
+function area2(ring) {
+  return edges(ring).reduce((sum, [a, b]) => sum + a[0] * b[1] - a[1] * b[0], 0);
+}
+
+function segmentsMeet(a, b, c, d) {
+  const d1 = cross(c, d, a);
+  const d2 = cross(c, d, b);
+  const d3 = cross(a, b, c);
+  const d4 = cross(a, b, d);
+  if (((d1 > 0 && d2 < 0) || (d1 < 0 && d2 > 0)) && ((d3 > 0 && d4 < 0) || (d3 < 0 && d4 > 0))) return true;
+  return onSegment(a, c, d) || onSegment(b, c, d) || onSegment(c, a, b) || onSegment(d, a, b);
+}
+
+/**
+ * Simple with no repeated or collinear corners: only neighbouring edges meet,
+ * and only at their common vertex.
+ */
+function isSimple(ring) {
+  const n = ring.length;
+  if (n < 3 || area2(ring) === 0) return false;
+  if (ring.some((p, i) => cross(ring[(i + n - 1) % n], p, ring[(i + 1) % n]) === 0)) return false;
+  for (let i = 0; i < n; i++) {
+    for (let j = i + 1; j < n; j++) {
+      const adjacent = j === i + 1 || (i === 0 && j === n - 1);
+      if (adjacent) continue;
+      if (segmentsMeet(ring[i], ring[(i + 1) % n], ring[j], ring[(j + 1) % n])) return false;
+    }
+  }
+  return true;
+}
+
+/**
+ * A random simple polygon, star-shaped around (cx, cy).
+ */
+function randomPolygon(radius, cx = 0, cy = 0, maxCorners = 8) {
+  for (;;) {
+    const n = randomInt(3, maxCorners);
+    const ring = [];
+    for (let k = 0; k < n; k++) {
+      const angle = (2 * Math.PI * (k + random() * 0.9)) / n;
+      const r = radius * (0.25 + 0.75 * random());
+      ring.push([cx + Math.round(r * Math.cos(angle)), cy + Math.round(r * Math.sin(angle))]);
+    }
+    if (isSimple(ring)) return ring;
+  }
+}
+
+/**
+ * A random simple rectilinear polygon (an L, or a rectangle when the notch
+ * is empty), whose boundaries often run along each other's.
+ */
+function randomRectilinear(span) {
+  const x = randomInt(-span, span);
+  const y = randomInt(-span, span);
+  const w = randomInt(1, span);
+  const h = randomInt(1, span);
+  const cx = randomInt(1, w);
+  const cy = randomInt(1, h);
+  if (cx === w || cy === h) return [[x, y], [x + w, y], [x + w, y + h], [x, y + h]];
+  return [[x, y], [x + w, y], [x + w, y + cy], [x + cx, y + cy], [x + cx, y + h], [x, y + h]];
+}
+
+// ---------------------------------------------------------------------------
+// Checks
+// ---------------------------------------------------------------------------
+
+function checkSnapshots() {
+  for (let i = 0; i < 60; i++) {
+    const ring = randomPolygon([4, 12, 40][i % 3], randomInt(-20, 20), randomInt(-20, 20));
+    const boundary = [];
+    const interior = [];
+    for (const p of latticePoints([ring])) {
+      const where = classify(p, ring);
+      if (where === "boundary") boundary.push(p);
+      if (where === "interior") interior.push(p);
+    }
+    const snap = engine.computeSnapshot(ring);
+    expect("snapshot area", snap.area, Math.abs(area2(ring)) / 2, ring);
+    expect("snapshot counts", counts(snap), [boundary.length, interior.length], ring);
+    const listed = [sortPoints(snap.boundary_points), sortPoints(snap.interior_points)];
+    expect("snapshot points", listed, [boundary, interior], ring);
+  }
+}
+
+function checkRationalSnapshots() {
+  for (let i = 0; i < 60; i++) {
+    const denominator = [2, 3, 7][i % 3];
+    const numerators = randomPolygon([3, 9][i % 2] * denominator);
+    let boundary = 0;
+    let interior = 0;
+    for (const [x, y] of latticePoints([numerators], denominator)) {
+      const where = classify([x * denominator, y * denominator], numerators);
+      if (where === "boundary") boundary++;
+      if (where === "interior") interior++;
+    }
+    const snap = engine.computeRationalSnapshot(numerators, denominator);
+    const context = { numerators, denominator };
+    expect("rational counts", counts(snap), [boundary, interior], context);
+    expect("rational area", snap.area, Math.abs(area2(numerators)) / (2 * denominator * denominator), context);
+  }
+}
+
+function checkHoles() {
+  for (let i = 0; i < 40; i++) {
+    const outer = randomPolygon(12);
+    // Half unit squares at distinct cells never overlap, though they may touch
+    const holes = [];
+    const used = new Set();
+    for (let k = 0; k < randomInt(1, 4); k++) {
+      const [x, y] = [randomInt(-8, 8), randomInt(-8, 8)];
+      const hole = [[x, y], [x + 1, y], [x, y + 1]];
+      const clear =
+        hole.every((p) => classify(p, outer) === "interior") &&
+        edges(hole).every(([a, b]) => edges(outer).every(([c, d]) => !segmentsMeet(a, b, c, d)));
+      if (clear && !used.has(`${x},${y}`)) {
+        used.add(`${x},${y}`);
+        holes.push(hole);
+      }
+    }
+    if (holes.length === 0) continue;
+
+    let boundary = 0;
+    let interior = 0;
+    let ringPoints = 0;
+    for (const p of latticePoints([outer])) {
+      const rings = [outer, ...holes];
+      ringPoints += rings.filter((ring) => onRing(p, ring)).length;
+      if (rings.some((ring) => onRing(p, ring))) {
+        boundary++;
+      } else if (insideRing(p, outer) && !holes.some((hole) => insideRing(p, hole))) {
+        interior++;
+      }
+    }
+    const snap = engine.computeHolesSnapshot(outer, holes);
+    const context = { outer, holes };
+    expect("holes counts", counts(snap), [boundary, interior], context);
+    expect("holes pinches", snap.pinches, ringPoints - boundary, context);
+    expect("holes area", snap.area, (Math.abs(area2(outer)) - holes.length) / 2, context);
+  }
+}
+
+/**
+ * Whether the closed union of two rings covers a small disc around a point on
+ * both boundaries, tested in many directions just off the point.
+ */
+function unionCoversAround(p, rings) {
+  const steps = 4096;
+  for (let k = 0; k < steps; k++) {
+    const angle = (2 * Math.PI * (k + 0.5)) / steps;
+    const sample = [p[0] + 1e-6 * Math.cos(angle), p[1] + 1e-6 * Math.sin(angle)];
+    if (!rings.some((ring) => insideRing(sample, ring))) return false;
+  }
+  return true;
+}
+
+/**
+ * Lattice points of two closed polygons: those in both and those in the
+ * union, each split into boundary and interior.
+ */
+function bruteUnion(rings) {
+  const both = { boundary: [], interior: [] };
+  const union = { boundary: [], interior: [] };
+  for (const p of latticePoints(rings)) {
+    const [first, second] = rings.map((ring) => classify(p, ring));
+    if (first !== "outside" && second !== "outside") {
+      (first === "interior" && second === "interior" ? both.interior : both.boundary).push(p);
+    }
+    if (first === "outside" && second === "outside") continue;
+    const inside =
+      first === "interior" ||
+      second === "interior" ||
+      (first === "boundary" && second === "boundary" && unionCoversAround(p, rings));
+    (inside ? union.interior : union.boundary).push(p);
+  }
+  return { both, union };
+}
+
+/**
+ * Connected pieces of the intersection of two rectilinear lattice polygons:
+ * its points on the half-integer grid, joined to their four neighbours.
+ */
+function rectilinearPieces(rings) {
+  const cells = new Set();
+  const { x0, x1, y0, y1 } = box(rings);
+  for (let x = 2 * x0; x <= 2 * x1; x++) {
+    for (let y = 2 * y0; y <= 2 * y1; y++) {
+      if (rings.every((ring) => classify([x, y], ring.map(([a, b]) => [2 * a, 2 * b])) !== "outside")) {
+        cells.add(`${x},${y}`);
+      }
+    }
+  }
+  let pieces = 0;
+  const seen = new Set();
+  for (const start of cells) {
+    if (seen.has(start)) continue;
+    pieces++;
+    const stack = [start];
+    seen.add(start);
+    while (stack.length > 0) {
+      const [x, y] = stack.pop().split(",").map(Number);
+      for (const key of [`${x + 1},${y}`, `${x - 1},${y}`, `${x},${y + 1}`, `${x},${y - 1}`]) {
+        if (cells.has(key) && !seen.has(key)) {
+          seen.add(key);
+          stack.push(key);
+        }
+      }
+    }
+  }
+  return pieces;
+}
+
+/**
+ * Area of the intersection of two rectilinear lattice polygons, by unit cells.
+ */
+function rectilinearOverlapArea(rings) {
+  let cells = 0;
+  const { x0, x1, y0, y1 } = box(rings);
+  for (let x = x0; x < x1; x++) {
+    for (let y = y0; y < y1; y++) {
+      const centre = [2 * x + 1, 2 * y + 1];
+      if (rings.every((ring) => insideRing(centre, ring.map(([a, b]) => [2 * a, 2 * b])))) cells++;
+    }
+  }
+  return cells;
+}
+
+function checkOverlaps() {
+  for (let i = 0; i < 240; i++) {
+    const rectilinear = i % 3 > 0;
+    const rings = rectilinear
+      ? [randomRectilinear(4), randomRectilinear(4)]
+      : [randomPolygon(7), randomPolygon(7, randomInt(-4, 4), randomInt(-4, 4))];
+    const { both, union } = bruteUnion(rings);
+    const snap = engine.computeOverlapSnapshot(...rings);
+    const { intersection } = snap;
+    expect("overlap intersection counts", counts(intersection), sizes(both), rings);
+    expect("overlap union counts", counts(snap.union), sizes(union), rings);
+    expect("overlap counted twice", snap.counted_twice, sortPoints([...both.boundary, ...both.interior]), rings);
+    if (rectilinear) {
+      expect("overlap area", intersection.area, rectilinearOverlapArea(rings), rings);
+      expect("overlap pieces", intersection.components, rectilinearPieces(rings), rings);
+    }
+  }
+}
+
+/**
+ * A random polygon on one side of the y-axis whose edge on the axis runs
+ * from (0, low) to (0, high); `side` is 1 for the right and -1 for the left.
+ */
+function randomHalfPolygon(side, low, high) {
+  for (;;) {
+    const middle = (low + high) / 2;
+    const n = randomInt(1, 5);
+    const angles = Array.from({ length: n }, () => Math.PI * (0.05 + 0.9 * random())).sort((a, b) => a - b);
+    const far = angles.map((angle) => {
+      const r = 2 + 6 * random();
+      return [side * Math.max(1, Math.round(r * Math.sin(angle))), Math.round(middle - r * Math.cos(angle))];
+    });
+    const ring = side > 0 ? [[0, low], ...far, [0, high]] : [[0, high], ...far.reverse(), [0, low]];
+    if (isSimple(ring)) return ring;
+  }
+}
+
+function checkGluedPairs() {
+  for (let i = 0; i < 60; i++) {
+    // The right polygon's edge on the axis starts within the left one's and
+    // sometimes runs past it
+    const low = randomInt(-4, 0);
+    const high = randomInt(1, 4);
+    const secondLow = randomInt(low, high - 1);
+    const secondHigh = randomInt(secondLow + 1, high) + (i % 3 === 0 ? 2 : 0);
+    const rings = [randomHalfPolygon(-1, low, high), randomHalfPolygon(1, secondLow, secondHigh)];
+    const { union } = bruteUnion(rings);
+    const absorbed = [...latticePoints(rings)].filter(
+      (p) => rings.some((ring) => onRing(p, ring)) && union.interior.some(([x, y]) => x === p[0] && y === p[1])
+    );
+    const snap = engine.computeAdditiveSnapshot(...rings);
+    expect("glued union counts", counts(snap.union), sizes(union), rings);
+    expect("glued union area", snap.union.area, (Math.abs(area2(rings[0])) + Math.abs(area2(rings[1]))) / 2, rings);
+    expect("glued absorbed points", snap.shared_edge.points, absorbed, rings);
+  }
+}
+
+/**
+ * A random unimodular matrix, as a product of shears and swaps.
+ */
+function randomUnimodular() {
+  let m = [
+    [1, 0],
+    [0, 1],
+  ];
+  for (let k = 0; k < 3; k++) {
+    const s = randomInt(-2, 2);
+    const step = [
+      [[1, s], [0, 1]],
+      [[1, 0], [s, 1]],
+      [[0, 1], [1, 0]],
+    ][randomInt(0, 2)];
+    m = [
+      [step[0][0] * m[0][0] + step[0][1] * m[1][0], step[0][0] * m[0][1] + step[0][1] * m[1][1]],
+      [step[1][0] * m[0][0] + step[1][1] * m[1][0], step[1][0] * m[0][1] + step[1][1] * m[1][1]],
+    ];
+  }
+  return m;
+}
+
+const applyMap = ([[a, b], [c, d]], [x, y], p) => [a * p[0] + b * p[1] + x, c * p[0] + d * p[1] + y];
+const pointSet = (points) => JSON.stringify(sortPoints(points));
+
+function checkNormalForms() {
+  for (let i = 0; i < 60; i++) {
+    const ring = randomPolygon(5);
+    const matrix = randomUnimodular();
+    const offset = [randomInt(-9, 9), randomInt(-9, 9)];
+    let image = ring.map((p) => applyMap(matrix, offset, p));
+    const shift = randomInt(0, image.length - 1);
+    image = [...image.slice(shift), ...image.slice(0, shift)];
+    if (i % 2 === 1) image.reverse();
+
+    const result = engine.compareLatticePolygons(ring, image);
+    const context = { ring, image };
+    expect("normal form of an image", result.equivalent, true, context);
+    if (result.equivalent) {
+      const mapped = ring.map((p) => applyMap(result.matrix, result.offset, p));
+      expect("normal form map", pointSet(mapped), pointSet(image), context);
+    }
+    const form = engine.latticeNormalForm(ring);
+    const [original, canonical] = [ring, form.vertices].map((pts) => engine.computeSnapshot(pts));
+    expect("normal form area", canonical.area, original.area, context);
+    expect("normal form counts", counts(canonical), counts(original), context);
+
+    // Moving a vertex so the area changes leaves a shape that cannot match
+    const moved = ring.map((p, k) => (k === 0 ? [p[0] + 1, p[1]] : p));
+    if (isSimple(moved) && area2(moved) !== area2(ring)) {
+      const { equivalent } = engine.compareLatticePolygons(ring, moved);
+      expect("normal form of a different shape", equivalent, false, { ring, moved });
+    }
+  }
+}
+
+const allChecks = [
+  checkSnapshots,
+  checkRationalSnapshots,
+  checkHoles,
+  checkOverlaps,
+  checkGluedPairs,
+  checkNormalForms,
+];
+for (const check of allChecks) {
+  const start = performance.now();
+  const before = failures;
+  check();
+  const outcome = failures === before ? "ok" : `${failures - before} failed`;
+  console.log(`${check.name}: ${outcome} (${Math.round(performance.now() - start)} ms)`);
+}
+console.log(`${checks} checks, ${failures} failed (seed ${seed})`);
+process.exitCode = failures > 0 ? 1 : 0;